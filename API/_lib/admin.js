@@ -0,0 +1,20 @@
+// api/_lib/admin.js
+// Shared-secret check for catalog endpoints that change pricing data.
+
+import { timingSafeEqual } from 'crypto';
+
+export const ADMIN_KEY_HEADER = 'x-admin-key';
+
+export const isAdminConfigured = () => Boolean(process.env.ADMIN_API_KEY);
+
+/**
+ * True when the request carries the ADMIN_API_KEY in the x-admin-key header.
+ */
+export const isAdminRequest = (req) => {
+  const expected = process.env.ADMIN_API_KEY;
+  const received = req.headers[ADMIN_KEY_HEADER];
+  if (!expected || typeof received !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && timingSafeEqual(a, b);
+};
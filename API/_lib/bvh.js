@@ -0,0 +1,146 @@
+// api/_lib/bvh.js
+// Bounding volume hierarchy over a triangle soup for fast ray queries.
+
+const LEAF_SIZE = 4;
+
+/**
+ * Builds a BVH over the triangles in `positions` (9 floats per triangle).
+ * @returns {{ positions: Float32Array, nodes: object[], order: Uint32Array }}
+ */
+export const buildBvh = (positions) => {
+  const triangleCount = positions.length / 9;
+  const order = new Uint32Array(triangleCount);
+  const centroids = new Float64Array(triangleCount * 3);
+  const bounds = new Float64Array(triangleCount * 6);
+
+  for (let t = 0; t < triangleCount; t++) {
+    order[t] = t;
+    for (let axis = 0; axis < 3; axis++) {
+      const a = positions[t * 9 + axis], b = positions[t * 9 + 3 + axis], c = positions[t * 9 + 6 + axis];
+      centroids[t * 3 + axis] = (a + b + c) / 3;
+      bounds[t * 6 + axis] = Math.min(a, b, c);
+      bounds[t * 6 + 3 + axis] = Math.max(a, b, c);
+    }
+  }
+
+  const nodes = [];
+  const build = (start, end) => {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    const centroidMin = [Infinity, Infinity, Infinity];
+    const centroidMax = [-Infinity, -Infinity, -Infinity];
+    for (let i = start; i < end; i++) {
+      const t = order[i];
+      for (let axis = 0; axis < 3; axis++) {
+        min[axis] = Math.min(min[axis], bounds[t * 6 + axis]);
+        max[axis] = Math.max(max[axis], bounds[t * 6 + 3 + axis]);
+        centroidMin[axis] = Math.min(centroidMin[axis], centroids[t * 3 + axis]);
+        centroidMax[axis] = Math.max(centroidMax[axis], centroids[t * 3 + axis]);
+      }
+    }
+
+    const node = { min, max, start, end, left: -1, right: -1 };
+    const nodeIndex = nodes.push(node) - 1;
+    if (end - start <= LEAF_SIZE) return nodeIndex;
+
+    // Split at the centroid midpoint of the widest axis.
+    const spans = [0, 1, 2].map(axis => centroidMax[axis] - centroidMin[axis]);
+    const axis = spans.indexOf(Math.max(...spans));
+    if (spans[axis] === 0) return nodeIndex;
+    const split = (centroidMin[axis] + centroidMax[axis]) / 2;
+
+    let mid = start;
+    for (let i = start; i < end; i++) {
+      if (centroids[order[i] * 3 + axis] < split) {
+        [order[i], order[mid]] = [order[mid], order[i]];
+        mid++;
+      }
+    }
+    if (mid === start || mid === end) mid = (start + end) >> 1;
+
+    node.left = build(start, mid);
+    node.right = build(mid, end);
+    return nodeIndex;
+  };
+
+  build(0, triangleCount);
+  return { positions, nodes, order };
+};
+
+const rayHitsBox = (origin, inverseDir, min, max, maxDistance) => {
+  let near = 0;
+  let far = maxDistance;
+  for (let axis = 0; axis < 3; axis++) {
+    let t0 = (min[axis] - origin[axis]) * inverseDir[axis];
+    let t1 = (max[axis] - origin[axis]) * inverseDir[axis];
+    if (t0 > t1) [t0, t1] = [t1, t0];
+    near = Math.max(near, t0);
+    far = Math.min(far, t1);
+    if (near > far) return false;
+  }
+  return true;
+};
+
+// Möller–Trumbore ray/triangle intersection; returns the hit distance or -1.
+const intersectTriangle = (positions, t, origin, dir) => {
+  const o = t * 9;
+  const ax = positions[o], ay = positions[o + 1], az = positions[o + 2];
+  const e1x = positions[o + 3] - ax, e1y = positions[o + 4] - ay, e1z = positions[o + 5] - az;
+  const e2x = positions[o + 6] - ax, e2y = positions[o + 7] - ay, e2z = positions[o + 8] - az;
+
+  const px = dir[1] * e2z - dir[2] * e2y;
+  const py = dir[2] * e2x - dir[0] * e2z;
+  const pz = dir[0] * e2y - dir[1] * e2x;
+  const det = e1x * px + e1y * py + e1z * pz;
+  if (Math.abs(det) < 1e-12) return -1;
+  const inverseDet = 1 / det;
+
+  const sx = origin[0] - ax, sy = origin[1] - ay, sz = origin[2] - az;
+  const u = (sx * px + sy * py + sz * pz) * inverseDet;
+  if (u < 0 || u > 1) return -1;
+
+  const qx = sy * e1z - sz * e1y;
+  const qy = sz * e1x - sx * e1z;
+  const qz = sx * e1y - sy * e1x;
+  const v = (dir[0] * qx + dir[1] * qy + dir[2] * qz) * inverseDet;
+  if (v < 0 || u + v > 1) return -1;
+
+  return (e2x * qx + e2y * qy + e2z * qz) * inverseDet;
+};
+
+/**
+ * Finds the closest triangle hit along a ray.
+ * @param {ReturnType<typeof buildBvh>} bvh
+ * @param {number[]} origin
+ * @param {number[]} dir - Unit direction.
+ * @param {{ minDistance?: number, maxDistance?: number, skipTriangle?: number }} [options]
+ * @returns {{ distance: number, triangle: number } | null}
+ */
+export const intersectRay = (bvh, origin, dir, options = {}) => {
+  const { minDistance = 0, skipTriangle = -1 } = options;
+  let closest = options.maxDistance ?? Infinity;
+  let closestTriangle = -1;
+  const inverseDir = dir.map(d => 1 / d);
+
+  const stack = [0];
+  while (stack.length) {
+    const node = bvh.nodes[stack.pop()];
+    if (!rayHitsBox(origin, inverseDir, node.min, node.max, closest)) continue;
+
+    if (node.left === -1) {
+      for (let i = node.start; i < node.end; i++) {
+        const t = bvh.order[i];
+        if (t === skipTriangle) continue;
+        const distance = intersectTriangle(bvh.positions, t, origin, dir);
+        if (distance > minDistance && distance < closest) {
+          closest = distance;
+          closestTriangle = t;
+        }
+      }
+    } else {
+      stack.push(node.left, node.right);
+    }
+  }
+
+  return closestTriangle === -1 ? null : { distance: closest, triangle: closestTriangle };
+};
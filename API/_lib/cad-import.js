@@ -0,0 +1,85 @@
+// api/_lib/cad-import.js
+// Tessellates STEP and IGES B-rep files offline with a WASM build of OpenCascade.
+
+import { createRequire } from 'module';
+import occtimportjs from 'occt-import-js';
+import { detectStepUnit } from '../../shared/units.js';
+
+const require = createRequire(import.meta.url);
+
+// Chord tolerance as a share of the average bounding-box size; fine enough
+// that tessellated volume stays within ~0.1% of the exact B-rep volume.
+const TESSELLATION_PARAMS = {
+  linearUnit: 'millimeter',
+  linearDeflectionType: 'bounding_box_ratio',
+  linearDeflection: 0.001,
+  angularDeflection: 0.5,
+};
+
+export const BREP_FORMATS = {
+  step: 'ReadStepFile',
+  stp: 'ReadStepFile',
+  iges: 'ReadIgesFile',
+  igs: 'ReadIgesFile',
+};
+
+// The WASM module is large; compile it once per warm instance.
+let occtPromise = null;
+const loadOcct = () => {
+  if (!occtPromise) {
+    occtPromise = occtimportjs({
+      // Resolve the .wasm next to the package so bundlers trace and ship it.
+      locateFile: (path) => require.resolve(`occt-import-js/dist/${path}`),
+    }).catch((error) => {
+      occtPromise = null;
+      throw error;
+    });
+  }
+  return occtPromise;
+};
+
+/**
+ * Imports a STEP or IGES file and returns a triangle soup in millimetres. OpenCascade converts from
+ * the file's own unit; `unit` reports it for STEP, while IGES is only known to be converted.
+ * @param {Uint8Array} bytes
+ * @param {string} extension - One of the keys of BREP_FORMATS.
+ * @returns {Promise<{ positions: Float32Array, triangleCount: number, format: string, bodyCount: number,
+ *   unit: string, unitSource: 'file'|'importer' }>}
+ */
+export const tessellateBrep = async (bytes, extension) => {
+  const reader = BREP_FORMATS[extension];
+  if (!reader) throw new Error(`Unsupported B-rep format: .${extension}`);
+
+  const occt = await loadOcct();
+  const result = occt[reader](new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength), TESSELLATION_PARAMS);
+  if (!result.success) {
+    throw new Error(`Could not read the ${extension.toUpperCase()} file. It may be corrupt or use an unsupported schema.`);
+  }
+
+  const triangleCount = result.meshes.reduce((sum, mesh) => sum + mesh.index.array.length / 3, 0);
+  if (triangleCount === 0) {
+    throw new Error(`The ${extension.toUpperCase()} file contains no solid geometry to tessellate.`);
+  }
+
+  // Flatten every body's indexed mesh into one triangle soup.
+  const positions = new Float32Array(triangleCount * 9);
+  let offset = 0;
+  for (const mesh of result.meshes) {
+    const vertices = mesh.attributes.position.array;
+    for (const index of mesh.index.array) {
+      positions[offset++] = vertices[index * 3];
+      positions[offset++] = vertices[index * 3 + 1];
+      positions[offset++] = vertices[index * 3 + 2];
+    }
+  }
+
+  const declaredUnit = BREP_FORMATS[extension] === 'ReadStepFile' ? detectStepUnit(bytes) : null;
+  return {
+    positions,
+    triangleCount,
+    format: extension,
+    bodyCount: result.meshes.length,
+    unit: declaredUnit ?? 'mm',
+    unitSource: declaredUnit ? 'file' : 'importer',
+  };
+};
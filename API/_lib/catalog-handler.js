@@ -0,0 +1,81 @@
+// api/_lib/catalog-handler.js
+// Serverless handler shared by the catalog endpoints: anyone can list a catalog;
+// creating, updating and deleting entries requires the admin key.
+
+import { ADMIN_KEY_HEADER, isAdminConfigured, isAdminRequest } from './admin.js';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {{ noun: string, collection: string, store: ReturnType<import('./catalog-store.js').createCatalogStore>, validate: (input: object) => { errors: string[] } }} catalog
+ *   noun/collection name the JSON keys, e.g. 'material'/'materials'
+ */
+export const createCatalogHandler = ({ noun, collection, store, validate }) => async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', `Content-Type, ${ADMIN_KEY_HEADER}`);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method Not Allowed' });
+  }
+
+  const label = noun.charAt(0).toUpperCase() + noun.slice(1);
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ [collection]: await store.list() });
+    }
+
+    // --- ADMIN ONLY BELOW ---
+    if (!isAdminConfigured()) {
+      return res.status(503).json({ message: `Editing ${collection} is disabled: ADMIN_API_KEY is not set on the server.` });
+    }
+    if (!isAdminRequest(req)) {
+      return res.status(401).json({ message: `A valid admin key is required to change ${collection}.` });
+    }
+
+    const items = await store.list();
+    const id = req.query.id;
+
+    if (req.method === 'DELETE') {
+      if (!id) return res.status(400).json({ message: 'Missing id query parameter.' });
+      if (items.length === 1 && items[0].id === id) {
+        return res.status(409).json({ message: `The catalog must keep at least one ${noun}.` });
+      }
+      if (!(await store.remove(id))) return res.status(404).json({ message: `${label} "${id}" not found.` });
+      return res.status(204).end();
+    }
+
+    // POST creates, PUT ?id=... replaces an existing entry.
+    let body;
+    try {
+      body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+    } catch {
+      return res.status(400).json({ message: 'Invalid JSON in request body.' });
+    }
+    if (!isObject(body)) return res.status(400).json({ message: 'Request body must be a JSON object.' });
+    const validation = validate(req.method === 'PUT' ? { ...body, id: id ?? body.id } : body);
+    if (validation.errors.length > 0) {
+      return res.status(422).json({ message: `Invalid ${noun}.`, errors: validation.errors });
+    }
+    const item = validation[noun];
+
+    const exists = items.some(existing => existing.id === item.id);
+    if (req.method === 'POST' && exists) {
+      return res.status(409).json({ message: `${label} "${item.id}" already exists.` });
+    }
+    if (req.method === 'PUT' && !exists) {
+      return res.status(404).json({ message: `${label} "${item.id}" not found.` });
+    }
+
+    await store.upsert(item);
+    return res.status(req.method === 'POST' ? 201 : 200).json({ [noun]: item });
+
+  } catch (error) {
+    console.error(`${label} catalog error:`, error);
+    return res.status(500).json({ message: `Could not update the ${noun} catalog.` });
+  }
+};
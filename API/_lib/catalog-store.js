@@ -0,0 +1,45 @@
+// api/_lib/catalog-store.js
+// Editable catalogs (materials, presses) persisted in the configured store.
+// A catalog reads as its built-in defaults until an admin first edits it.
+
+import { getStore } from './store/index.js';
+
+/**
+ * @param {string} name - Store key suffix, e.g. 'materials'
+ * @param {Array<{ id: string }>} defaults
+ */
+export const createCatalogStore = (name, defaults) => {
+  const key = `catalog:${name}`;
+
+  const list = async () => (await (await getStore()).get(key)) || defaults;
+
+  const save = async (items) => {
+    await (await getStore()).set(key, items);
+    return items;
+  };
+
+  return {
+    list,
+
+    /**
+     * Inserts or replaces an item by id.
+     * @returns {Promise<boolean>} true if the item was new.
+     */
+    upsert: async (item) => {
+      const items = await list();
+      const created = !items.some(existing => existing.id === item.id);
+      await save(created ? [...items, item] : items.map(existing => (existing.id === item.id ? item : existing)));
+      return created;
+    },
+
+    /**
+     * @returns {Promise<boolean>} false if no item has that id.
+     */
+    remove: async (id) => {
+      const items = await list();
+      if (!items.some(item => item.id === id)) return false;
+      await save(items.filter(item => item.id !== id));
+      return true;
+    },
+  };
+};
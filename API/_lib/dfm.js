@@ -0,0 +1,171 @@
+// api/_lib/dfm.js
+// Design-for-manufacturability checks: draft, undercuts and wall thickness violations.
+
+import { intersectRay } from './bvh.js';
+
+export const DEFAULT_MIN_DRAFT_DEG = 1;
+export const DEFAULT_MAX_WALL_MM = 4;
+const NO_DRAFT_DEG = 0.25;
+// Undercut regions smaller than this share of the surface are treated as numeric noise.
+const MIN_UNDERCUT_AREA_FRACTION = 0.002;
+const VERTICAL_TOLERANCE = 1e-3;
+
+const AXES = { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] };
+
+/**
+ * Parses a pull direction such as 'z', '+y' or '-x' into a unit vector.
+ * @returns {{ label: string, vector: number[], axis: number }}
+ */
+export const parsePullDirection = (value = 'z') => {
+  const match = /^([+-]?)([xyz])$/i.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid pull direction "${value}". Use x, y or z with an optional sign.`);
+  const sign = match[1] === '-' ? -1 : 1;
+  const key = match[2].toLowerCase();
+  return { label: `${match[1] === '-' ? '-' : '+'}${key}`, vector: AXES[key].map(c => c * sign), axis: 'xyz'.indexOf(key) };
+};
+
+const triangleFrame = (positions, t, isInverted) => {
+  const o = t * 9;
+  const ux = positions[o + 3] - positions[o], uy = positions[o + 4] - positions[o + 1], uz = positions[o + 5] - positions[o + 2];
+  const vx = positions[o + 6] - positions[o], vy = positions[o + 7] - positions[o + 1], vz = positions[o + 8] - positions[o + 2];
+  let nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+  const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+  if (length === 0) return null;
+  const sign = isInverted ? -1 : 1;
+  nx = (sign * nx) / length; ny = (sign * ny) / length; nz = (sign * nz) / length;
+  const centroid = [0, 1, 2].map(axis => (positions[o + axis] + positions[o + 3 + axis] + positions[o + 6 + axis]) / 3);
+  return { normal: [nx, ny, nz], centroid, area: length / 2 };
+};
+
+// A face is moldable if the steel forming it can retract along +pull or -pull
+// without hitting the part. Faces pointing along ±pull can only use that side.
+const isReleasable = (bvh, t, frame, pull, offset) => {
+  const facing = frame.normal[0] * pull[0] + frame.normal[1] * pull[1] + frame.normal[2] * pull[2];
+  const origin = frame.centroid.map((c, axis) => c + frame.normal[axis] * offset);
+  const clear = (dir) => !intersectRay(bvh, origin, dir, { minDistance: offset, skipTriangle: t });
+
+  if (facing > VERTICAL_TOLERANCE) return clear(pull);
+  if (facing < -VERTICAL_TOLERANCE) return clear(pull.map(c => -c));
+  return clear(pull) || clear(pull.map(c => -c));
+};
+
+// Splits flagged triangles into connected regions (shared welded vertices).
+const countRegions = (flagged, indices, areas, minArea) => {
+  const parent = new Map();
+  const find = (v) => {
+    while (parent.get(v) !== v) {
+      parent.set(v, parent.get(parent.get(v)));
+      v = parent.get(v);
+    }
+    return v;
+  };
+  for (const t of flagged) {
+    for (let k = 0; k < 3; k++) if (!parent.has(indices[t * 3 + k])) parent.set(indices[t * 3 + k], indices[t * 3 + k]);
+    const root = find(indices[t * 3]);
+    parent.set(find(indices[t * 3 + 1]), root);
+    parent.set(find(indices[t * 3 + 2]), root);
+  }
+
+  const regionAreas = new Map();
+  for (const t of flagged) {
+    const root = find(indices[t * 3]);
+    regionAreas.set(root, (regionAreas.get(root) || 0) + areas[t]);
+  }
+  return [...regionAreas.values()].filter(area => area >= minArea).sort((a, b) => b - a);
+};
+
+/**
+ * Runs the DFM checks.
+ * @param {Float32Array} positions
+ * @param {Uint32Array} indices - Welded vertex indices, used to group undercut faces.
+ * @param {ReturnType<import('./bvh.js').buildBvh>} bvh
+ * @param {{ isInverted?: boolean, diagonal: number, surfaceArea: number, pullDirection?: string,
+ *   minDraftDeg?: number, maxWall?: number, thickness?: object|null }} options
+ * @returns {{ pullDirection: string, minDraftDeg: number, undercutCount: number,
+ *   findings: { type: string, severity: 'critical'|'warning'|'info', title: string, detail: string, area?: number }[] }}
+ */
+export const analyzeDfm = (positions, indices, bvh, options) => {
+  const {
+    isInverted = false,
+    diagonal,
+    surfaceArea,
+    minDraftDeg = DEFAULT_MIN_DRAFT_DEG,
+    maxWall = DEFAULT_MAX_WALL_MM,
+    thickness = null,
+  } = options;
+  const pull = parsePullDirection(options.pullDirection);
+  const offset = diagonal * 1e-6;
+  const triangleCount = positions.length / 9;
+  const minDraftSin = Math.sin((minDraftDeg * Math.PI) / 180);
+  const noDraftSin = Math.sin((NO_DRAFT_DEG * Math.PI) / 180);
+
+  const areas = new Float64Array(triangleCount);
+  const undercutTriangles = [];
+  let lowDraftArea = 0;
+  let noDraftArea = 0;
+
+  for (let t = 0; t < triangleCount; t++) {
+    const frame = triangleFrame(positions, t, isInverted);
+    if (!frame) continue;
+    areas[t] = frame.area;
+
+    // Draft is the angle between the face and the pull direction.
+    const along = Math.abs(frame.normal[0] * pull.vector[0] + frame.normal[1] * pull.vector[1] + frame.normal[2] * pull.vector[2]);
+    if (along < noDraftSin) noDraftArea += frame.area;
+    else if (along < minDraftSin) lowDraftArea += frame.area;
+
+    if (!isReleasable(bvh, t, frame, pull.vector, offset)) undercutTriangles.push(t);
+  }
+
+  const findings = [];
+
+  if (noDraftArea + lowDraftArea > 0) {
+    const share = ((noDraftArea + lowDraftArea) / surfaceArea) * 100;
+    findings.push({
+      type: 'draft',
+      severity: noDraftArea > 0.01 * surfaceArea ? 'critical' : 'warning',
+      title: 'Insufficient draft',
+      detail: `${share.toFixed(1)}% of the surface has less than ${minDraftDeg}° draft relative to ${pull.label}`
+        + (noDraftArea > 0 ? ` (${((noDraftArea / surfaceArea) * 100).toFixed(1)}% has none).` : '.'),
+      area: Number((noDraftArea + lowDraftArea).toFixed(1)),
+    });
+  }
+
+  const undercutRegions = countRegions(undercutTriangles, indices, areas, surfaceArea * MIN_UNDERCUT_AREA_FRACTION);
+  if (undercutRegions.length > 0) {
+    findings.push({
+      type: 'undercut',
+      severity: 'critical',
+      title: `${undercutRegions.length} undercut${undercutRegions.length > 1 ? 's' : ''}`,
+      detail: `Features that cannot release along ${pull.label}; each needs a side action or lifter.`,
+      area: Number(undercutRegions.reduce((sum, area) => sum + area, 0).toFixed(1)),
+    });
+  }
+
+  if (thickness) {
+    for (const region of thickness.thinRegions) {
+      findings.push({
+        type: 'thin-wall',
+        severity: region.thickness < thickness.minAllowed / 2 ? 'critical' : 'warning',
+        title: `Thin wall (${region.thickness} mm)`,
+        detail: `Below the ${thickness.minAllowed} mm minimum over ~${region.area.toFixed(0)} mm² near (${region.center.join(', ')}). Risk of short shots.`,
+        area: region.area,
+      });
+    }
+    if (thickness.max > maxWall) {
+      findings.push({
+        type: 'thick-wall',
+        severity: thickness.max > 2 * maxWall ? 'critical' : 'warning',
+        title: `Thick wall (${thickness.max} mm)`,
+        detail: `Exceeds the ${maxWall} mm guideline. Expect sink marks, voids and a longer cooling time; consider coring out.`,
+      });
+    }
+  }
+
+  return {
+    pullDirection: pull.label,
+    minDraftDeg,
+    undercutCount: undercutRegions.length,
+    findings,
+  };
+};
@@ -0,0 +1,25 @@
+// api/_lib/firebase-admin.js
+// Firebase Admin SDK for the serverless functions. Credentials come from FIREBASE_SERVICE_ACCOUNT
+// (the service account JSON) or the platform's default credentials; with FIREBASE_AUTH_EMULATOR_HOST
+// or FIRESTORE_EMULATOR_HOST set the SDK talks to the local emulators instead.
+
+import { cert, getApps, initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore } from 'firebase-admin/firestore';
+
+const getAdminApp = () => {
+  if (getApps().length > 0) return getApps()[0];
+  const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT ? JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT) : null;
+  return initializeApp({
+    ...(serviceAccount && { credential: cert(serviceAccount) }),
+    projectId: process.env.FIREBASE_PROJECT_ID || serviceAccount?.project_id,
+  });
+};
+
+export const isFirebaseAdminConfigured = () => Boolean(
+  process.env.FIREBASE_SERVICE_ACCOUNT || process.env.FIREBASE_PROJECT_ID || process.env.FIREBASE_AUTH_EMULATOR_HOST,
+);
+
+export const getAdminAuth = () => getAuth(getAdminApp());
+
+export const getAdminFirestore = () => getFirestore(getAdminApp());
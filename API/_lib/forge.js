@@ -0,0 +1,181 @@
+// api/_lib/forge.js
+// Autodesk Platform Services (Forge) client: auth, OSS upload, translation jobs and geometry download.
+
+import { readFile } from 'fs/promises';
+import ForgeSDK from 'forge-apis';
+import { parseObj } from './obj.js';
+
+const FORGE_CLIENT_ID = process.env.FORGE_CLIENT_ID;
+const FORGE_CLIENT_SECRET = process.env.FORGE_CLIENT_SECRET;
+const FORGE_WEBHOOK_URL = process.env.FORGE_WEBHOOK_URL;
+const FORGE_WEBHOOK_SECRET = process.env.FORGE_WEBHOOK_SECRET;
+// Point at scripts/aps-stub-server.js (e.g. http://localhost:8787) to run the whole flow offline.
+const FORGE_BASE_URL = process.env.FORGE_BASE_URL;
+const FORGE_BUCKET_KEY = process.env.FORGE_BUCKET_KEY
+  || `${(FORGE_CLIENT_ID || 'quote-engine').toLowerCase().replace(/[^a-z0-9]/g, '')}-cad-uploads`;
+export const FORGE_WORKFLOW_ID = process.env.FORGE_WORKFLOW_ID || 'cad-quote-engine';
+
+const SCOPES = ['bucket:create', 'bucket:read', 'data:read', 'data:write', 'data:create'];
+// Refresh a little before expiry so a token never lapses mid-request.
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// OAuth2 clients read the base path when constructed, so switch it first.
+if (FORGE_BASE_URL) {
+  ForgeSDK.ApiClient.instance.switchServerPath(FORGE_BASE_URL);
+}
+
+// Callbacks are only accepted when signed, so the webhook secret is required too.
+export const isForgeConfigured = () => Boolean(FORGE_CLIENT_ID && FORGE_CLIENT_SECRET && FORGE_WEBHOOK_URL && FORGE_WEBHOOK_SECRET);
+
+// Cached per warm serverless instance.
+let oauthClient = null;
+let cachedCredentials = null;
+let bucketReady = false;
+let webhookReady = false;
+
+const isConflict = (error) => error?.statusCode === 409 || error?.response?.status === 409;
+
+const describeError = (error) => {
+  const status = error?.statusCode || error?.response?.status;
+  const detail = error?.statusBody?.reason || error?.response?.data?.reason || error?.message || String(error);
+  return status ? `${status} ${detail}` : detail;
+};
+
+/**
+ * Returns a two-legged token, reusing the cached one until it is about to expire.
+ * @returns {Promise<{ oauthClient: object, credentials: { access_token: string, expires_at: number } }>}
+ */
+export const authenticateWithForge = async () => {
+  if (!oauthClient) {
+    oauthClient = new ForgeSDK.AuthClientTwoLeggedV2(FORGE_CLIENT_ID, FORGE_CLIENT_SECRET, SCOPES, false);
+  }
+  if (!cachedCredentials || cachedCredentials.expires_at - TOKEN_REFRESH_MARGIN_MS < Date.now()) {
+    try {
+      cachedCredentials = await oauthClient.authenticate();
+    } catch (error) {
+      throw new Error(`Forge authentication failed: ${describeError(error)}`);
+    }
+  }
+  return { oauthClient, credentials: cachedCredentials };
+};
+
+const ensureBucket = async ({ oauthClient, credentials }) => {
+  if (bucketReady) return;
+  try {
+    // Transient buckets purge uploads after 24 hours; we only need them until translation ends.
+    await new ForgeSDK.BucketsApi().createBucket({ bucketKey: FORGE_BUCKET_KEY, policyKey: 'transient' }, {}, oauthClient, credentials);
+  } catch (error) {
+    if (!isConflict(error)) throw new Error(`Could not create Forge bucket: ${describeError(error)}`);
+  }
+  bucketReady = true;
+};
+
+// APS signs every callback with this app's secret token; create it, or replace one set earlier.
+const registerWebhookSecret = async ({ oauthClient, credentials }) => {
+  const tokensApi = new ForgeSDK.TokensApi();
+  try {
+    await tokensApi.CreateToken(FORGE_WEBHOOK_SECRET, {}, oauthClient, credentials);
+  } catch {
+    try {
+      await tokensApi.UpdateToken(FORGE_WEBHOOK_SECRET, {}, oauthClient, credentials);
+    } catch (error) {
+      throw new Error(`Could not register Forge webhook secret: ${describeError(error)}`);
+    }
+  }
+};
+
+// Registers our callback for finished translations in this workflow (once per instance).
+const ensureWebhook = async ({ oauthClient, credentials }) => {
+  if (webhookReady) return;
+  await registerWebhookSecret({ oauthClient, credentials });
+  try {
+    await new ForgeSDK.WebhooksApi().CreateSystemEventHook(
+      'derivative', 'extraction.finished', FORGE_WEBHOOK_URL, { workflow: FORGE_WORKFLOW_ID }, {}, oauthClient, credentials
+    );
+  } catch (error) {
+    if (!isConflict(error)) throw new Error(`Could not register Forge webhook: ${describeError(error)}`);
+  }
+  webhookReady = true;
+};
+
+const toUrn = (objectId) => Buffer.from(objectId).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Uploads the CAD file to OSS through a signed S3 URL and returns its design URN.
+ * @param {{ filepath: string, originalFilename: string }} file - formidable file
+ * @param {string} jobId - Used to keep object keys unique.
+ */
+export const uploadToForgeOSS = async (file, jobId, auth) => {
+  await ensureBucket(auth);
+  const objectsApi = new ForgeSDK.ObjectsApi();
+  const objectKey = `${jobId}-${file.originalFilename}`.replace(/[^\w.-]/g, '_');
+
+  try {
+    const { body: signed } = await objectsApi.getS3UploadURL(FORGE_BUCKET_KEY, objectKey, { minutesExpiration: 10 }, auth.oauthClient, auth.credentials);
+    const bytes = await readFile(file.filepath);
+    const upload = await fetch(signed.urls[0], { method: 'PUT', body: bytes });
+    if (!upload.ok) throw new Error(`S3 upload returned ${upload.status}`);
+
+    const { body: completed } = await objectsApi.completeS3Upload(
+      FORGE_BUCKET_KEY, objectKey, { uploadKey: signed.uploadKey, size: bytes.length }, {}, auth.oauthClient, auth.credentials
+    );
+    return toUrn(completed.objectId);
+  } catch (error) {
+    throw new Error(`Forge upload failed: ${describeError(error)}`);
+  }
+};
+
+/**
+ * Translation job requesting an OBJ derivative, which the webhook downloads
+ * and runs through the local geometry engine. Our jobId travels in the
+ * workflow attributes and comes back in the webhook payload.
+ */
+export const buildForgeJobPayload = (urn, jobId, rootFilename) => ({
+  input: { urn, ...(rootFilename ? { rootFilename } : {}) },
+  output: {
+    formats: [{ type: 'obj', advanced: { exportFileStructure: 'single' } }],
+  },
+  misc: {
+    workflow: FORGE_WORKFLOW_ID,
+    workflowAttribute: { jobId },
+  },
+});
+
+export const startForgeJob = async (jobPayload, auth) => {
+  await ensureWebhook(auth);
+  try {
+    await new ForgeSDK.DerivativesApi().translate(jobPayload, { xAdsForce: true }, auth.oauthClient, auth.credentials);
+  } catch (error) {
+    throw new Error(`Forge translation request failed: ${describeError(error)}`);
+  }
+};
+
+/**
+ * Downloads the OBJ derivative for a finished translation and parses it.
+ * @param {string} urn
+ */
+export const fetchForgeGeometry = async (urn) => {
+  const auth = await authenticateWithForge();
+  const derivativesApi = new ForgeSDK.DerivativesApi();
+
+  const { body: manifest } = await derivativesApi.getManifest(urn, {}, auth.oauthClient, auth.credentials);
+  const objDerivative = manifest.derivatives?.find(d => d.outputType === 'obj' && d.status === 'success');
+  const objFile = objDerivative?.children?.find(child => child.role === 'obj' || child.urn?.endsWith('.obj'));
+  if (!objFile) throw new Error('Translation finished without an OBJ derivative.');
+
+  const { body } = await derivativesApi.getDerivativeManifest(urn, objFile.urn, {}, auth.oauthClient, auth.credentials);
+  return parseObj(typeof body === 'string' ? body : Buffer.from(body).toString('utf8'));
+};
+
+/**
+ * Pulls our fields out of an extraction.finished callback.
+ * @returns {{ jobId: string|null, status: string|null, urn: string|null }}
+ */
+export const readWebhookEvent = (body) => {
+  const payload = body?.payload || {};
+  return {
+    jobId: payload.WorkflowAttribute?.jobId || payload.workflowAttribute?.jobId || payload.context?.jobId || null,
+    status: payload.status || body?.status || null,
+    urn: payload.URN || payload.urn || body?.resourceUrn || null,
+  };
+};
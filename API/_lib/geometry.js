@@ -0,0 +1,71 @@
+// api/_lib/geometry.js
+// Full mesh analysis: the shared measurements (shared/mesh.js) plus wall thickness and DFM checks.
+// All mesh coordinates are treated as millimetres.
+
+import { buildBvh } from './bvh.js';
+import { analyzeWallThickness } from './thickness.js';
+import { analyzeDfm, parsePullDirection } from './dfm.js';
+import { weldVertices, checkTopology, computeBoundingBox, computeVolumeAndArea, computeProjectedArea } from '../../shared/mesh.js';
+
+// --- PIPELINE ---
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+/**
+ * Runs the full geometry analysis and returns data in the `analysisData`
+ * shape consumed by useQuoteCalculator (volume in cm³, lengths in mm).
+ * @param {{ positions: Float32Array, triangleCount: number, units?: object }} mesh - in millimetres
+ *   (see applyModelUnits in shared/units.js)
+ * @param {{ minWallThickness?: number, pullDirection?: string, minDraftDeg?: number, maxWallThickness?: number }} [options]
+ */
+export const analyzeMesh = (mesh, options = {}) => {
+  const { positions, triangleCount } = mesh;
+  const { indices } = weldVertices(positions);
+  const topology = checkTopology(indices);
+  const boundingBox = computeBoundingBox(positions);
+  const { volumeMm3, surfaceAreaMm2, isInverted } = computeVolumeAndArea(positions);
+  const pull = parsePullDirection(options.pullDirection);
+  const projectedAreaMm2 = computeProjectedArea(positions, boundingBox, pull.axis);
+
+  const bvh = buildBvh(positions);
+  const diagonal = Math.hypot(...boundingBox.max.map((value, axis) => value - boundingBox.min[axis]));
+  const thickness = analyzeWallThickness(positions, bvh, {
+    isInverted,
+    diagonal,
+    minAllowed: options.minWallThickness,
+  });
+  const dfm = analyzeDfm(positions, indices, bvh, {
+    isInverted,
+    diagonal,
+    surfaceArea: surfaceAreaMm2,
+    pullDirection: pull.label,
+    minDraftDeg: options.minDraftDeg,
+    maxWall: options.maxWallThickness,
+    thickness,
+  });
+
+  // The thickest wall governs cooling. Fall back to the thin-shell approximation
+  // (V ≈ A/2 · t) when rays cannot be resolved, e.g. on an open surface.
+  const wallThickness = thickness
+    ? thickness.max
+    : (surfaceAreaMm2 > 0 ? (2 * volumeMm3) / surfaceAreaMm2 : 0);
+
+  return {
+    volume: round(volumeMm3 / 1000, 3),
+    dimensions: {
+      length: round(boundingBox.max[0] - boundingBox.min[0], 2),
+      width: round(boundingBox.max[1] - boundingBox.min[1], 2),
+      height: round(boundingBox.max[2] - boundingBox.min[2], 2),
+    },
+    wallThickness: round(wallThickness, 2),
+    thickness,
+    dfm,
+    surfaceArea: round(surfaceAreaMm2 / 100, 2),
+    projectedArea: round(projectedAreaMm2 / 100, 2),
+    triangleCount,
+    topology,
+    units: mesh.units,
+    // A closed, consistently wound mesh gives exact volume; anything else is approximate.
+    accuracy: topology.isWatertight ? 'high' : 'low',
+  };
+};
@@ -0,0 +1,112 @@
+// api/_lib/job-store.js
+// Analysis job records shared by analyze, forge-webhook and poll-status, on top of the configured store.
+
+import { getStore } from './store/index.js';
+
+// Jobs (and their results) expire a day after their last update unless configured otherwise.
+export const JOB_TTL_SECONDS = parseInt(process.env.JOB_TTL_SECONDS, 10) || 24 * 60 * 60;
+
+export const FINAL_STATUSES = ['complete', 'failed'];
+
+// Pipeline stages in order, with the progress (%) reported once a job reaches each one.
+export const JOB_STAGES = {
+  uploaded: 10,
+  translating: 30,
+  'extracting-geometry': 60,
+  dfm: 85,
+  complete: 100,
+};
+
+const jobKey = (jobId) => `job:${jobId}`;
+
+const withTimestamps = (record, now = Date.now()) => ({
+  ...record,
+  updatedAt: new Date(now).toISOString(),
+  expiresAt: new Date(now + JOB_TTL_SECONDS * 1000).toISOString(),
+});
+
+/**
+ * Creates a job record.
+ * @param {string} jobId
+ * @param {{ status: string, file?: { originalFilename?: string, size?: number, mimetype?: string }, analysisData?: object, [key: string]: any }} fields
+ * @returns {Promise<object>} The stored record.
+ */
+export const createJob = async (jobId, { file, ...fields }) => {
+  const store = await getStore();
+  const record = withTimestamps({
+    jobId,
+    status: 'submitted',
+    stage: 'uploaded',
+    progress: JOB_STAGES.uploaded,
+    analysisData: null,
+    error: null,
+    file: file ? { name: file.originalFilename || null, size: file.size ?? null, type: file.mimetype || null } : null,
+    createdAt: new Date().toISOString(),
+    ...fields,
+  });
+  await store.set(jobKey(jobId), record, { ttlSeconds: JOB_TTL_SECONDS });
+  return record;
+};
+
+/**
+ * @returns {Promise<object|null>} null when the job never existed or has expired.
+ */
+export const getJob = async (jobId) => (await getStore()).get(jobKey(jobId));
+
+/**
+ * Merges `changes` into an existing job and refreshes its expiry.
+ * @returns {Promise<object|null>} The updated record, or null if the job is unknown.
+ */
+export const updateJob = async (jobId, changes) => {
+  const store = await getStore();
+  const existing = await store.get(jobKey(jobId));
+  if (!existing) return null;
+  const record = withTimestamps({ ...existing, ...changes, jobId, createdAt: existing.createdAt });
+  await store.set(jobKey(jobId), record, { ttlSeconds: JOB_TTL_SECONDS });
+  return record;
+};
+
+/**
+ * Moves a job to the next pipeline stage.
+ * @param {keyof JOB_STAGES} stage
+ */
+export const setJobStage = (jobId, stage, changes = {}) => (
+  updateJob(jobId, { ...changes, status: 'in-progress', stage, progress: JOB_STAGES[stage] })
+);
+
+export const completeJob = (jobId, analysisData) => (
+  updateJob(jobId, { status: 'complete', stage: 'complete', progress: JOB_STAGES.complete, analysisData, error: null })
+);
+
+// The stage is kept so the client can say where the pipeline stopped.
+export const failJob = (jobId, reason) => updateJob(jobId, { status: 'failed', analysisData: null, error: reason });
+
+const previewKey = (jobId) => `preview:${jobId}`;
+
+/**
+ * Stores the viewer mesh of a job (see preview-mesh.js); it expires with the job.
+ */
+export const savePreviewMesh = async (jobId, preview) => (
+  (await getStore()).set(previewKey(jobId), preview, { ttlSeconds: JOB_TTL_SECONDS })
+);
+
+/**
+ * @returns {Promise<object|null>} null when the job had no previewable mesh or has expired.
+ */
+export const getPreviewMesh = async (jobId) => (await getStore()).get(previewKey(jobId));
+
+/**
+ * Fields safe to return to the browser (no Forge URNs or internal options).
+ */
+export const toPublicJob = ({ jobId, status, stage, progress, analysisData, error, file, createdAt, updatedAt, expiresAt }) => ({
+  jobId, status, stage, progress, analysisData, error, file, createdAt, updatedAt, expiresAt,
+});
+
+/**
+ * Claims a one-off key (e.g. a webhook delivery ID) for `ttlSeconds`.
+ * @returns {Promise<boolean>} false if it was already claimed.
+ */
+export const claimOnce = async (key, ttlSeconds) => (await getStore()).setIfAbsent(`once:${key}`, Date.now(), { ttlSeconds });
+
+// Gives a claim back when the work it guarded did not finish, so a retry can claim it again.
+export const releaseClaim = async (key) => (await getStore()).delete(`once:${key}`);
@@ -0,0 +1,34 @@
+// api/_lib/obj.js
+// Parses Wavefront OBJ text (as produced by the Model Derivative service) into a triangle soup.
+
+/**
+ * @param {string} text
+ * @returns {{ positions: Float32Array, triangleCount: number, format: 'obj' }}
+ */
+export const parseObj = (text) => {
+  const vertices = [];
+  const coords = [];
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (line.startsWith('v ')) {
+      const [, x, y, z] = line.split(/\s+/);
+      vertices.push([parseFloat(x), parseFloat(y), parseFloat(z)]);
+    } else if (line.startsWith('f ')) {
+      // Face entries look like "7", "7/3" or "7/3/5"; negative indices count from the end.
+      const corners = line.split(/\s+/).slice(1).map((entry) => {
+        const index = parseInt(entry.split('/')[0], 10);
+        const vertex = vertices[index < 0 ? vertices.length + index : index - 1];
+        if (!vertex) throw new Error(`OBJ face references missing vertex ${index}.`);
+        return vertex;
+      });
+      // Fan-triangulate polygons.
+      for (let i = 1; i < corners.length - 1; i++) {
+        coords.push(...corners[0], ...corners[i], ...corners[i + 1]);
+      }
+    }
+  }
+
+  if (coords.length === 0) throw new Error('OBJ file contains no faces.');
+  return { positions: new Float32Array(coords), triangleCount: coords.length / 9, format: 'obj' };
+};
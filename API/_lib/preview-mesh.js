@@ -0,0 +1,125 @@
+// api/_lib/preview-mesh.js
+// Display mesh for the browser's 3D viewer: the analyzed geometry, simplified when it is too large
+// to send, with the wall thickness measured under every triangle for the heat map overlay.
+
+import { buildBvh, intersectRay } from './bvh.js';
+import { weldVertices, computeBoundingBox, computeVolumeAndArea } from '../../shared/mesh.js';
+import { savePreviewMesh } from './job-store.js';
+
+// Around 1.5 MB of base64 at this size; plenty to judge the shape of a molded part.
+export const MAX_PREVIEW_TRIANGLES = 60000;
+const INITIAL_GRID_CELLS = 400;
+const GRID_SHRINK = 0.75;
+
+/**
+ * Vertex clustering: every vertex moves to the mean of the grid cell it falls in and the
+ * triangles that collapse are dropped. The grid is coarsened until the mesh fits.
+ * @param {Float32Array} positions - 9 floats per triangle
+ * @returns {Float32Array}
+ */
+const simplify = (positions, maxTriangles) => {
+  const triangleCount = positions.length / 9;
+  if (triangleCount <= maxTriangles) return positions;
+
+  const { min, max } = computeBoundingBox(positions);
+  const extent = Math.max(...max.map((value, axis) => value - min[axis])) || 1;
+
+  for (let cells = INITIAL_GRID_CELLS; cells >= 4; cells = Math.floor(cells * GRID_SHRINK)) {
+    const size = extent / cells;
+    const stride = cells + 1;
+    const cellOf = new Float64Array(positions.length / 3);
+    const sums = new Map();
+    for (let v = 0; v < cellOf.length; v++) {
+      const o = v * 3;
+      const key = Math.floor((positions[o] - min[0]) / size)
+        + Math.floor((positions[o + 1] - min[1]) / size) * stride
+        + Math.floor((positions[o + 2] - min[2]) / size) * stride * stride;
+      cellOf[v] = key;
+      const sum = sums.get(key) || [0, 0, 0, 0];
+      sum[0] += positions[o]; sum[1] += positions[o + 1]; sum[2] += positions[o + 2]; sum[3]++;
+      sums.set(key, sum);
+    }
+
+    const kept = [];
+    for (let t = 0; t < triangleCount; t++) {
+      const a = cellOf[t * 3], b = cellOf[t * 3 + 1], c = cellOf[t * 3 + 2];
+      if (a !== b && b !== c && a !== c) kept.push(a, b, c);
+    }
+    if (kept.length / 3 > maxTriangles) continue;
+
+    const simplified = new Float32Array(kept.length * 3);
+    kept.forEach((key, i) => {
+      const [x, y, z, count] = sums.get(key);
+      simplified[i * 3] = x / count;
+      simplified[i * 3 + 1] = y / count;
+      simplified[i * 3 + 2] = z / count;
+    });
+    return simplified;
+  }
+  throw new Error('The mesh could not be simplified for preview.');
+};
+
+/**
+ * Wall thickness under each triangle: the distance from its centroid to the opposite wall along
+ * the inward normal, or -1 where the ray escapes (open meshes). Rays running along a wall read
+ * long; the viewer clamps its scale to the analyzed range.
+ */
+const measureTriangleThickness = (positions, isInverted) => {
+  const triangleCount = positions.length / 9;
+  const bvh = buildBvh(positions);
+  const { min, max } = computeBoundingBox(positions);
+  const offset = Math.hypot(...max.map((value, axis) => value - min[axis])) * 1e-6;
+  const sign = isInverted ? -1 : 1;
+  const thickness = new Float32Array(triangleCount).fill(-1);
+
+  for (let t = 0; t < triangleCount; t++) {
+    const o = t * 9;
+    const ux = positions[o + 3] - positions[o], uy = positions[o + 4] - positions[o + 1], uz = positions[o + 5] - positions[o + 2];
+    const vx = positions[o + 6] - positions[o], vy = positions[o + 7] - positions[o + 1], vz = positions[o + 8] - positions[o + 2];
+    const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+    const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (length === 0) continue;
+
+    const inward = [-sign * nx / length, -sign * ny / length, -sign * nz / length];
+    const origin = [0, 1, 2].map(axis => (positions[o + axis] + positions[o + 3 + axis] + positions[o + 6 + axis]) / 3 + inward[axis] * offset);
+    const hit = intersectRay(bvh, origin, inward, { minDistance: offset, skipTriangle: t });
+    if (hit) thickness[t] = hit.distance + offset;
+  }
+  return thickness;
+};
+
+const toBase64 = (typedArray) => Buffer.from(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength).toString('base64');
+
+/**
+ * @param {{ positions: Float32Array, triangleCount: number }} mesh
+ * @returns {{ triangleCount: number, sourceTriangleCount: number, isInverted: boolean,
+ *   vertices: string, indices: string, thickness: string }} little-endian Float32 vertices (xyz, mm),
+ *   Uint32 triangle indices and Float32 thickness per triangle (mm), each base64-encoded
+ */
+export const buildPreviewMesh = (mesh) => {
+  const positions = simplify(mesh.positions, MAX_PREVIEW_TRIANGLES);
+  const { isInverted } = computeVolumeAndArea(positions);
+  const { vertices, indices } = weldVertices(positions);
+
+  return {
+    triangleCount: indices.length / 3,
+    sourceTriangleCount: mesh.triangleCount ?? mesh.positions.length / 9,
+    // The viewer flips the winding of inverted meshes so their faces light from outside.
+    isInverted,
+    vertices: toBase64(Float32Array.from(vertices)),
+    indices: toBase64(indices),
+    thickness: toBase64(measureTriangleThickness(positions, isInverted)),
+  };
+};
+
+/**
+ * Builds and stores the viewer mesh of a job. The quote doesn't depend on it, so a failure is
+ * logged and only costs the 3D view.
+ */
+export const storePreviewMesh = async (jobId, mesh) => {
+  try {
+    await savePreviewMesh(jobId, buildPreviewMesh(mesh));
+  } catch (error) {
+    console.error(`Preview mesh failed for Job ID: ${jobId}`, error);
+  }
+};
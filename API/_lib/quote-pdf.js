@@ -0,0 +1,280 @@
+// api/_lib/quote-pdf.js
+// Renders a saved quote record as a branded, paginated customer PDF with pdfkit.
+
+import PDFDocument from 'pdfkit';
+import { existsSync } from 'fs';
+
+const MARGIN = 50;
+const HEADER_HEIGHT = 70;
+const FOOTER_HEIGHT = 30;
+const THUMBNAIL_SIZE = 120;
+const LOCKED_STATUSES = ['approved', 'sent', 'won', 'lost']; // Matches src/quoteStatus.js
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+const formatDate = (date) => date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * Draws the part's bounding box in isometric view, for parts saved without a rendered thumbnail.
+ */
+const drawBoxSketch = (doc, { length, width, height }, x, y, size, color) => {
+  const cos30 = Math.cos(Math.PI / 6);
+  const project = ([px, py, pz]) => [(px - py) * cos30, (px + py) * 0.5 - pz];
+  const corners = [[0, 0, 0], [length, 0, 0], [length, width, 0], [0, width, 0], [0, 0, height], [length, 0, height], [length, width, height], [0, width, height]].map(project);
+  const xs = corners.map(c => c[0]);
+  const ys = corners.map(c => c[1]);
+  const span = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) || 1;
+  const scale = (size - 20) / span;
+  const offsetX = x + (size - (Math.max(...xs) - Math.min(...xs)) * scale) / 2 - Math.min(...xs) * scale;
+  const offsetY = y + (size - (Math.max(...ys) - Math.min(...ys)) * scale) / 2 - Math.min(...ys) * scale;
+  const point = (i) => [offsetX + corners[i][0] * scale, offsetY + corners[i][1] * scale];
+
+  doc.save().rect(x, y, size, size).fillAndStroke('#f3f4f6', '#d1d5db');
+  doc.lineWidth(1).strokeColor(color);
+  // Top face plus the three visible vertical edges and bottom edges.
+  [[4, 5], [5, 6], [6, 7], [7, 4], [1, 5], [2, 6], [3, 7], [1, 2], [2, 3]].forEach(([a, b]) => {
+    doc.moveTo(...point(a)).lineTo(...point(b)).stroke();
+  });
+  doc.restore();
+  doc.fontSize(7).fillColor('#6b7280').text(`${length} × ${width} × ${height} mm (bounding box)`, x, y + size - 12, { width: size, align: 'center' });
+};
+
+const decodeDataUrl = (dataUrl) => {
+  const match = /^data:image\/(png|jpeg);base64,(.+)$/.exec(dataUrl || '');
+  return match ? Buffer.from(match[2], 'base64') : null;
+};
+
+/**
+ * @param {object} quote - saved quote record (see src/quoteRepository.js)
+ * @param {ReturnType<import('./quote-template.js').getQuoteTemplate>} template
+ * @param {{ quoteNumber: string, issuedAt?: Date }} meta
+ * @returns {Promise<Buffer>}
+ */
+export const renderQuotePdf = (quote, template, { quoteNumber, issuedAt = new Date() }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'LETTER', margins: { top: MARGIN + HEADER_HEIGHT, bottom: MARGIN + FOOTER_HEIGHT, left: MARGIN, right: MARGIN }, bufferPages: true });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const accent = template.accentColor;
+  const money = new Intl.NumberFormat('en-US', { style: 'currency', currency: template.currency });
+  const contentWidth = doc.page.width - 2 * MARGIN;
+  // Legacy and imported quotes may lack newer fields such as `tooling`.
+  const results = quote.quoteResults || {};
+  const parameters = quote.parameters || {};
+  const price = (value) => (Number.isFinite(value) ? money.format(value) : '—');
+  const quotedAt = toDate(quote.updatedAt) || toDate(quote.createdAt) || issuedAt;
+  const validUntil = new Date(quotedAt.getTime() + template.validityDays * MS_PER_DAY);
+  const logo = template.logoPath && existsSync(template.logoPath) ? template.logoPath : null;
+
+  const drawHeader = () => {
+    const top = MARGIN;
+    let textX = MARGIN;
+    if (logo) {
+      doc.image(logo, MARGIN, top, { fit: [120, 45] });
+      textX = MARGIN + 130;
+    }
+    const company = template.company;
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#111827').text(company.name, textX, top, { width: 250 });
+    doc.font('Helvetica').fontSize(8).fillColor('#4b5563')
+      .text([...company.address, company.phone, company.email, company.website].filter(Boolean).join('\n'), textX, doc.y, { width: 250 });
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(accent).text(template.title, MARGIN, top, { width: contentWidth, align: 'right' });
+    doc.font('Helvetica').fontSize(9).fillColor('#111827')
+      .text(`Quote ${quoteNumber}  ·  Revision ${quote.revision ?? 1}`, MARGIN, doc.y + 2, { width: contentWidth, align: 'right' })
+      .text(`Date ${formatDate(quotedAt)}  ·  Valid until ${formatDate(validUntil)}`, { width: contentWidth, align: 'right' });
+    doc.rect(MARGIN, top + HEADER_HEIGHT - 12, contentWidth, 2).fill(accent);
+    doc.x = MARGIN;
+    doc.y = doc.page.margins.top;
+  };
+
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom()) doc.addPage();
+  };
+
+  const heading = (text) => {
+    ensureSpace(40);
+    doc.moveDown(0.6);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(accent).text(text.toUpperCase(), MARGIN, doc.y);
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(9).fillColor('#111827');
+  };
+
+  /**
+   * @param {Array<{ label: string, width: number, align?: string }>} columns - widths as shares of the content width
+   * @param {string[][]} rows
+   */
+  const table = (columns, rows) => {
+    const widths = columns.map(column => column.width * contentWidth);
+    const drawRow = (cells, isHeader) => {
+      const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell), { width: widths[i] - 8 }))) + 6;
+      if (doc.y + height > bottom()) {
+        doc.addPage();
+        // Carry the column labels over to the new page.
+        if (!isHeader) drawRow(columns.map(column => column.label), true);
+      }
+      const y = doc.y;
+      if (isHeader) doc.rect(MARGIN, y, contentWidth, height).fill('#eef2ff');
+      let x = MARGIN;
+      cells.forEach((cell, i) => {
+        doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#111827')
+          .text(String(cell), x + 4, y + 3, { width: widths[i] - 8, align: columns[i].align || 'left' });
+        x += widths[i];
+      });
+      doc.moveTo(MARGIN, y + height).lineTo(MARGIN + contentWidth, y + height).lineWidth(0.5).strokeColor('#e5e7eb').stroke();
+      doc.x = MARGIN;
+      doc.y = y + height;
+    };
+    drawRow(columns.map(column => column.label), true);
+    rows.forEach(row => drawRow(row, false));
+  };
+
+  const keyValues = (pairs, x = MARGIN, width = contentWidth) => {
+    pairs.filter(([, value]) => value !== null && value !== undefined && value !== '').forEach(([label, value]) => {
+      ensureSpace(14);
+      const y = doc.y;
+      doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text(label, x, y, { width: width * 0.4 });
+      const labelBottom = doc.y;
+      doc.fillColor('#111827').text(String(value), x + width * 0.4, y, { width: width * 0.6 });
+      doc.y = Math.max(labelBottom, doc.y) + 2;
+    });
+  };
+
+  doc.on('pageAdded', drawHeader);
+  drawHeader();
+
+  if (template.draftWatermark && !LOCKED_STATUSES.includes(quote.status)) {
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('#b91c1c').text(template.draftWatermark, { align: 'center' });
+  }
+
+  // 1. PARTS: thumbnail beside the analysis summary
+  heading(quote.parts?.length > 1 ? `Parts (${quote.parts.length})` : 'Part');
+  (quote.parts?.length ? quote.parts : [{ fileName: quote.fileName, analysisData: quote.analysisData }]).forEach(part => {
+    const analysis = part.analysisData || {};
+    const dimensions = analysis.dimensions || { length: 0, width: 0, height: 0 };
+    ensureSpace(THUMBNAIL_SIZE + 10);
+    const top = doc.y;
+    const image = decodeDataUrl(part.thumbnail);
+    if (image) {
+      doc.rect(MARGIN, top, THUMBNAIL_SIZE, THUMBNAIL_SIZE).stroke('#d1d5db');
+      doc.image(image, MARGIN + 2, top + 2, { fit: [THUMBNAIL_SIZE - 4, THUMBNAIL_SIZE - 4], align: 'center', valign: 'center' });
+    } else {
+      drawBoxSketch(doc, dimensions, MARGIN, top, THUMBNAIL_SIZE, accent);
+    }
+    const summaryX = MARGIN + THUMBNAIL_SIZE + 15;
+    doc.x = summaryX;
+    doc.y = top;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#111827').text(part.fileName || 'Part', summaryX, top);
+    doc.moveDown(0.2);
+    keyValues([
+      ['Bounding box', `${dimensions.length} × ${dimensions.width} × ${dimensions.height} mm`],
+      ['Volume', analysis.volume ? `${analysis.volume.toFixed(2)} cm³` : null],
+      ['Surface area', analysis.surfaceArea ? `${analysis.surfaceArea.toFixed(1)} cm²` : null],
+      ['Max wall thickness', analysis.wallThickness ? `${analysis.wallThickness.toFixed(2)} mm` : null],
+      ['Undercuts', analysis.dfm ? analysis.dfm.undercutCount : null],
+      ['Quantity', part.quantity ? part.quantity.toLocaleString('en-US') : null],
+    ], summaryX, contentWidth - THUMBNAIL_SIZE - 15);
+    doc.x = MARGIN;
+    doc.y = Math.max(doc.y, top + THUMBNAIL_SIZE) + 10;
+  });
+
+  // 2. MATERIAL & PROCESS
+  heading('Material & Process');
+  const runner = results.tooling?.items?.find(item => item.key === 'runner');
+  const polish = results.tooling?.items?.find(item => item.key === 'polishing');
+  keyValues([
+    ['Material', results.materialName],
+    ['Color', results.colorant?.items?.length ? results.colorant.items.map(item => item.label).join(', ') : 'Natural'],
+    ['Regrind', results.regrindPct > 0 ? `${results.regrindPct}%` : null],
+    ['Quantity', parameters.quantity?.toLocaleString('en-US')],
+    ['Cavities', parameters.cavities],
+    ['Mold steel', results.tooling?.steel?.label],
+    ['Runner', runner?.label],
+    ['Surface finish', polish?.detail],
+    ['Cycle time', results.cycleTime ? `${results.cycleTime.toFixed(1)} s` : null],
+    ['Press', results.pressSelection?.press ? results.recommendedMachine : null],
+    ['Secondary operations', results.secondaryOps?.length ? results.secondaryOps.map(op => `${op.name}${op.count > 1 ? ` ×${op.count}` : ''}`).join(', ') : null],
+  ]);
+
+  // 3. PRICING
+  heading('Pricing');
+  const consolidated = quote.consolidatedQuote;
+  if (consolidated?.lines?.length > 1) {
+    table([
+      { label: 'Part', width: 0.4 },
+      { label: 'Material', width: 0.25 },
+      { label: 'Quantity', width: 0.1, align: 'right' },
+      { label: 'Piece price', width: 0.125, align: 'right' },
+      { label: 'Extended', width: 0.125, align: 'right' },
+    ], consolidated.lines.map(line => [line.fileName, line.materialName, line.quantity.toLocaleString('en-US'), money.format(line.perPart), money.format(line.total)]));
+    doc.moveDown(0.4);
+    keyValues([
+      ['Parts total', money.format(consolidated.partsTotal)],
+      ['Tooling', consolidated.toolingCharge > 0 ? `${money.format(consolidated.toolingCharge)} one-time (${plural(consolidated.toolCount, 'tool')})` : 'Amortized into piece prices'],
+      ['Grand total', money.format(consolidated.grandTotal)],
+    ]);
+  } else {
+    keyValues([
+      ['Piece price', price(results.totalPerPart)],
+      [`Total for ${parameters.quantity?.toLocaleString('en-US') ?? '—'} parts`, price(results.totalQuote)],
+      ['Tooling', results.toolingCharge > 0 ? `${money.format(results.toolingCharge)} one-time charge` : `Amortized into the piece price (${price(results.tooling?.total)})`],
+    ]);
+  }
+
+  if (quote.priceBreaks?.length) {
+    heading('Price Breaks');
+    table([
+      { label: 'Quantity', width: 0.2, align: 'right' },
+      { label: 'Cavities', width: 0.15, align: 'right' },
+      { label: 'Piece price', width: 0.2, align: 'right' },
+      { label: 'Tooling (one-time)', width: 0.25, align: 'right' },
+      { label: 'Lead time', width: 0.2, align: 'right' },
+    ], quote.priceBreaks.filter(row => row.pressFits !== false).map(row => [
+      row.quantity.toLocaleString('en-US'),
+      row.cavities,
+      money.format(row.piecePrice),
+      row.toolingCharge > 0 ? money.format(row.toolingCharge) : 'Amortized',
+      row.leadTimeWeeks ? `${row.leadTimeWeeks} weeks` : '-',
+    ]));
+  }
+
+  // 4. LEAD TIME & TERMS
+  if (results.leadTime) {
+    heading('Lead Time');
+    keyValues([
+      ['Tooling', `${plural(results.leadTime.toolingWeeks, 'week')}`],
+      ['Sampling & approval', `${plural(results.leadTime.samplingWeeks, 'week')}`],
+      ['Production', `${plural(results.leadTime.productionWeeks, 'week')}`],
+      ['Total from order', `${plural(results.leadTime.totalWeeks, 'week')}`],
+    ]);
+  }
+
+  heading('Terms & Conditions');
+  doc.font('Helvetica').fontSize(8.5).fillColor('#374151');
+  doc.text(`This quotation is valid until ${formatDate(validUntil)}.`, MARGIN, doc.y, { width: contentWidth });
+  template.terms.forEach((term, index) => {
+    ensureSpace(14);
+    doc.text(`${index + 1}. ${term}`, MARGIN, doc.y + 2, { width: contentWidth });
+  });
+  if (template.footer) {
+    doc.moveDown(1);
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor('#111827').text(template.footer, MARGIN, doc.y, { width: contentWidth });
+  }
+
+  // Footers last, once the page count is known.
+  const range = doc.bufferedPageRange();
+  for (let i = 0; i < range.count; i++) {
+    doc.switchToPage(range.start + i);
+    const y = doc.page.height - MARGIN - 10;
+    // Writing inside the bottom margin would otherwise start a new page.
+    const { bottom: bottomMargin } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#6b7280')
+      .text(`${template.company.name}  ·  Quote ${quoteNumber}`, MARGIN, y, { width: contentWidth / 2, lineBreak: false })
+      .text(`Page ${i + 1} of ${range.count}`, MARGIN + contentWidth / 2, y, { width: contentWidth / 2, align: 'right', lineBreak: false });
+    doc.page.margins.bottom = bottomMargin;
+  }
+  doc.end();
+});
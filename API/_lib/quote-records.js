@@ -0,0 +1,70 @@
+// api/_lib/quote-records.js
+// Server-side access to saved quotes: verifies the caller's Firebase ID token, checks they may read
+// the quote (private owner or workspace member) and assigns customer-facing quote numbers.
+
+import { FieldValue } from 'firebase-admin/firestore';
+import { getAdminAuth, getAdminFirestore } from './firebase-admin.js';
+import { migrateQuote } from '../../shared/quoteSchema.js';
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * The uid behind the request's `Authorization: Bearer <Firebase ID token>` header.
+ * @returns {Promise<string>}
+ */
+export const verifyRequestUser = async (req) => {
+  const authorization = req.headers.authorization || '';
+  if (!authorization.startsWith('Bearer ')) throw httpError(401, 'Sign in to download quote documents.');
+  try {
+    return (await getAdminAuth().verifyIdToken(authorization.slice(7).trim())).uid;
+  } catch (error) {
+    throw httpError(401, 'Your session has expired. Sign in again.');
+  }
+};
+
+/**
+ * Reads a saved quote the user may see: their own private quote, or a team quote of a workspace they belong to.
+ * Older documents are upgraded to the current schema, as the app does when it lists them.
+ * @param {{ appId: string, scope: 'mine'|'team', orgId?: string, quoteId: string }} location
+ * @returns {Promise<{ ref: FirebaseFirestore.DocumentReference, quote: object, orgId: string|null }>}
+ */
+export const readQuoteForUser = async (location, uid) => {
+  const { appId, scope, orgId, quoteId } = location;
+  if (![appId, quoteId].every(id => ID_PATTERN.test(id || '')) || (scope === 'team' && !ID_PATTERN.test(orgId || ''))) {
+    throw httpError(400, 'Invalid quote location.');
+  }
+  const db = getAdminFirestore();
+  const root = db.collection('artifacts').doc(appId);
+  let ref;
+  if (scope === 'team') {
+    const member = await root.collection('orgs').doc(orgId).collection('members').doc(uid).get();
+    if (!member.exists) throw httpError(403, 'You are not a member of this workspace.');
+    ref = root.collection('orgs').doc(orgId).collection('quotes').doc(quoteId);
+  } else {
+    ref = root.collection('users').doc(uid).collection('quotes').doc(quoteId);
+  }
+  const snapshot = await ref.get();
+  if (!snapshot.exists || snapshot.data().deleted) throw httpError(404, 'Quote not found.');
+  return { ref, quote: migrateQuote(snapshot.data()), orgId: scope === 'team' ? orgId : null };
+};
+
+/**
+ * Gives the quote the next number from the app-wide sequence, once; later calls return the same number.
+ * @param {(sequence: number) => string} format
+ * @returns {Promise<string>}
+ */
+export const assignQuoteNumber = async (ref, appId, format) => {
+  const db = getAdminFirestore();
+  const counterRef = db.collection('artifacts').doc(appId).collection('counters').doc('quoteNumbers');
+  return db.runTransaction(async (transaction) => {
+    const [quote, counter] = await Promise.all([transaction.get(ref), transaction.get(counterRef)]);
+    if (quote.data().quoteNumber) return quote.data().quoteNumber;
+    const sequence = (counter.data()?.next ?? 1);
+    const quoteNumber = format(sequence);
+    transaction.set(counterRef, { next: sequence + 1 }, { merge: true });
+    transaction.update(ref, { quoteNumber, quoteNumberAssignedAt: FieldValue.serverTimestamp() });
+    return quoteNumber;
+  });
+};
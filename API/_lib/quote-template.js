@@ -0,0 +1,67 @@
+// api/_lib/quote-template.js
+// Branding and wording of the customer quote PDF. Override any field with QUOTE_TEMPLATE (JSON)
+// or QUOTE_TEMPLATE_FILE (path to a JSON file); nested objects merge with the defaults.
+
+import { readFileSync } from 'fs';
+
+export const DEFAULT_TEMPLATE = {
+  company: {
+    name: process.env.QUOTE_COMPANY_NAME || 'Precision Molding Co.',
+    address: ['100 Industrial Parkway', 'Springfield, USA'],
+    phone: '',
+    email: 'quotes@example.com',
+    website: '',
+  },
+  logoPath: null, // PNG or JPEG, drawn top left
+  accentColor: '#4338ca',
+  title: 'Injection Molding Quotation',
+  quoteNumber: { prefix: 'Q', padding: 5 }, // e.g. Q-2026-00042; the sequence is shared by all quotes
+  validityDays: 30,
+  currency: 'USD',
+  terms: [
+    'Prices are in USD, FOB our facility, and exclude taxes and freight.',
+    'Tooling is payable 50% with order and 50% on approval of T1 samples. Tooling remains the customer\'s property.',
+    'Piece prices assume the material, color and quantities quoted; changes may be requoted.',
+    'Lead times start on receipt of order, tooling deposit and approved part data.',
+    'Payment terms net 30 days from invoice.',
+  ],
+  footer: 'Thank you for the opportunity to quote.',
+  draftWatermark: 'DRAFT - NOT APPROVED', // Printed on quotes that haven't been approved; empty to disable
+};
+
+const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+const merge = (base, override) => {
+  if (!isObject(override)) return base;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+  }
+  return merged;
+};
+
+let cached = null;
+
+/**
+ * @returns {typeof DEFAULT_TEMPLATE}
+ */
+export const getQuoteTemplate = () => {
+  if (cached) return cached;
+  let override = {};
+  if (process.env.QUOTE_TEMPLATE_FILE) {
+    override = JSON.parse(readFileSync(process.env.QUOTE_TEMPLATE_FILE, 'utf8'));
+  } else if (process.env.QUOTE_TEMPLATE) {
+    override = JSON.parse(process.env.QUOTE_TEMPLATE);
+  }
+  cached = merge(DEFAULT_TEMPLATE, override);
+  return cached;
+};
+
+/**
+ * @param {{ prefix: string, padding: number }} format
+ * @param {number} sequence
+ * @param {Date} [date]
+ */
+export const formatQuoteNumber = (format, sequence, date = new Date()) => (
+  `${format.prefix}-${date.getFullYear()}-${String(sequence).padStart(format.padding, '0')}`
+);
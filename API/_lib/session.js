@@ -0,0 +1,53 @@
+// api/_lib/session.js
+// Sessions issued by our own backend: `<base64url JSON payload>.<base64url HMAC-SHA256>` signed
+// with SESSION_SECRET, carried in the quote_session cookie or an `Authorization: Bearer` header.
+// The payload is { uid, email?, name?, exp } with exp in seconds since epoch.
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const SESSION_COOKIE = 'quote_session';
+
+export const isSessionConfigured = () => Boolean(process.env.SESSION_SECRET);
+
+const sign = (encodedPayload, secret) => createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+
+/**
+ * Issues a session for `payload`, valid for `ttlSeconds`. Used by the login service and local testing.
+ */
+export const createSession = (payload, ttlSeconds = 8 * 60 * 60, secret = process.env.SESSION_SECRET) => {
+  const encoded = Buffer.from(JSON.stringify({ ...payload, exp: Math.floor(Date.now() / 1000) + ttlSeconds })).toString('base64url');
+  return `${encoded}.${sign(encoded, secret)}`;
+};
+
+const readCookie = (header, name) => {
+  for (const part of (header || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+/**
+ * The verified session payload of the request, or null if it has none, a bad signature or has expired.
+ * @returns {{ uid: string, email?: string, name?: string, exp: number } | null}
+ */
+export const readSession = (req, secret = process.env.SESSION_SECRET) => {
+  const authorization = req.headers.authorization || '';
+  const token = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : readCookie(req.headers.cookie, SESSION_COOKIE);
+  if (!token || !secret) return null;
+
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) return null;
+  const expected = Buffer.from(sign(encoded, secret));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    if (typeof payload.uid !== 'string' || !payload.uid) return null;
+    if (!(payload.exp > Date.now() / 1000)) return null;
+    return payload;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,75 @@
+// api/_lib/store/file.js
+// JSON-file key/value store for local development: survives restarts of `vercel dev`
+// and is shared by every function running on the machine. Not for production use.
+
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname, join } from 'path';
+import { tmpdir } from 'os';
+
+const DEFAULT_PATH = join(tmpdir(), 'cad-quote-engine', 'store.json');
+
+export const createFileStore = (filePath = process.env.JOB_STORE_FILE || DEFAULT_PATH) => {
+  // Serializes read-modify-write cycles within this process.
+  let queue = Promise.resolve();
+
+  const load = async () => {
+    try {
+      return JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`Could not read job store file ${filePath}: ${error.message}`);
+    }
+  };
+
+  // Write to a temp file and rename, so a crash never leaves half a JSON document behind.
+  const save = async (entries) => {
+    await mkdir(dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, JSON.stringify(entries));
+    await rename(tempPath, filePath);
+  };
+
+  const isLive = (entry) => entry && (!entry.expiresAt || entry.expiresAt > Date.now());
+
+  const transaction = (fn) => {
+    const result = queue.then(async () => {
+      const entries = await load();
+      for (const [key, entry] of Object.entries(entries)) {
+        if (!isLive(entry)) delete entries[key];
+      }
+      const { value, dirty } = await fn(entries);
+      if (dirty) await save(entries);
+      return value;
+    });
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const entryFor = (value, ttlSeconds) => ({ value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+
+  return {
+    name: 'file',
+    get: async (key) => {
+      const entry = (await load())[key];
+      return isLive(entry) ? entry.value : null;
+    },
+    set: (key, value, { ttlSeconds } = {}) => transaction((entries) => {
+      entries[key] = entryFor(value, ttlSeconds);
+      return { dirty: true };
+    }),
+    setIfAbsent: (key, value, { ttlSeconds } = {}) => transaction((entries) => {
+      if (entries[key]) return { value: false, dirty: false };
+      entries[key] = entryFor(value, ttlSeconds);
+      return { value: true, dirty: true };
+    }),
+    delete: (key) => transaction((entries) => {
+      const existed = key in entries;
+      delete entries[key];
+      return { dirty: existed };
+    }),
+    list: async (prefix = '') => {
+      const entries = await load();
+      return Object.keys(entries).filter(key => key.startsWith(prefix) && isLive(entries[key]));
+    },
+  };
+};
@@ -0,0 +1,34 @@
+// api/_lib/store/index.js
+// Selects the key/value backend from JOB_STORE: 'memory' (default), 'file' or 'redis'.
+//
+// Every backend implements the same async interface:
+//   get(key) → value | null
+//   set(key, value, { ttlSeconds })
+//   setIfAbsent(key, value, { ttlSeconds }) → true if this call wrote the value
+//   delete(key)
+//   list(prefix) → keys
+
+const BACKENDS = {
+  memory: async () => (await import('./memory.js')).createMemoryStore(),
+  file: async () => (await import('./file.js')).createFileStore(),
+  // Loaded lazily so ioredis is only required when Redis is actually used.
+  redis: async () => (await import('./redis.js')).createRedisStore(),
+};
+
+let storePromise = null;
+
+/**
+ * Returns the configured store, created once per instance.
+ */
+export const getStore = () => {
+  if (!storePromise) {
+    const backend = (process.env.JOB_STORE || 'memory').toLowerCase();
+    if (!BACKENDS[backend]) {
+      throw new Error(`Unknown JOB_STORE "${backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}.`);
+    }
+    storePromise = BACKENDS[backend]();
+    // Let a later call retry if the backend failed to load.
+    storePromise.catch(() => { storePromise = null; });
+  }
+  return storePromise;
+};
@@ -0,0 +1,44 @@
+// api/_lib/store/memory.js
+// In-process key/value store. State lives on `global` so every function loaded
+// by the same instance (e.g. under `vercel dev`) shares it; it is lost on cold start.
+
+const now = () => Date.now();
+
+export const createMemoryStore = () => {
+  const entries = global.MEMORY_STORE || (global.MEMORY_STORE = new Map());
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  // Values are stored as JSON so callers behave the same as with the file and Redis backends.
+  const write = (key, value, ttlSeconds) => {
+    entries.set(key, { json: JSON.stringify(value), expiresAt: ttlSeconds ? now() + ttlSeconds * 1000 : null });
+  };
+
+  return {
+    name: 'memory',
+    get: async (key) => {
+      const entry = read(key);
+      return entry ? JSON.parse(entry.json) : null;
+    },
+    set: async (key, value, { ttlSeconds } = {}) => {
+      write(key, value, ttlSeconds);
+    },
+    setIfAbsent: async (key, value, { ttlSeconds } = {}) => {
+      if (read(key)) return false;
+      write(key, value, ttlSeconds);
+      return true;
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    list: async (prefix = '') => [...entries.keys()].filter(key => key.startsWith(prefix) && read(key)),
+  };
+};
@@ -0,0 +1,52 @@
+// api/_lib/store/redis.js
+// Redis-backed key/value store (any Redis-compatible server, e.g. Upstash or Valkey).
+// Expiry is delegated to Redis so entries disappear without a cleanup job.
+
+import Redis from 'ioredis';
+
+// One connection per warm serverless instance.
+let client = null;
+
+const getClient = () => {
+  if (!client) {
+    const url = process.env.REDIS_URL;
+    if (!url) throw new Error('JOB_STORE=redis requires REDIS_URL.');
+    client = new Redis(url, { maxRetriesPerRequest: 2, lazyConnect: false });
+  }
+  return client;
+};
+
+const ttlArgs = (ttlSeconds) => (ttlSeconds ? ['EX', Math.ceil(ttlSeconds)] : []);
+
+export const createRedisStore = (keyPrefix = process.env.REDIS_KEY_PREFIX || 'cad-quote:') => {
+  const redis = getClient();
+  const prefixed = (key) => `${keyPrefix}${key}`;
+
+  return {
+    name: 'redis',
+    get: async (key) => {
+      const json = await redis.get(prefixed(key));
+      return json === null ? null : JSON.parse(json);
+    },
+    set: async (key, value, { ttlSeconds } = {}) => {
+      await redis.set(prefixed(key), JSON.stringify(value), ...ttlArgs(ttlSeconds));
+    },
+    // SET NX is atomic, so concurrent instances agree on who claimed the key.
+    setIfAbsent: async (key, value, { ttlSeconds } = {}) => (
+      (await redis.set(prefixed(key), JSON.stringify(value), ...ttlArgs(ttlSeconds), 'NX')) === 'OK'
+    ),
+    delete: async (key) => {
+      await redis.del(prefixed(key));
+    },
+    list: async (prefix = '') => {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [next, batch] = await redis.scan(cursor, 'MATCH', `${prefixed(prefix)}*`, 'COUNT', 200);
+        keys.push(...batch.map(key => key.slice(keyPrefix.length)));
+        cursor = next;
+      } while (cursor !== '0');
+      return keys;
+    },
+  };
+};
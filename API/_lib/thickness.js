@@ -0,0 +1,187 @@
+// api/_lib/thickness.js
+// Wall-thickness analysis: inward ray casting, filtered with an inscribed-sphere check.
+
+import { intersectRay } from './bvh.js';
+import { DEFAULT_MIN_WALL_MM } from '../../shared/mesh.js';
+
+const SURFACE_SAMPLES = 6000;
+const MEASURED_SAMPLES = 2500;
+const HISTOGRAM_BINS = 10;
+// Bins are labelled to 0.01 mm; a spread below that (float noise on a uniform wall) gets one bin.
+const DISPLAY_RESOLUTION_MM = 0.01;
+const MAX_THIN_REGIONS = 20;
+// A ray longer than this multiple of the sphere diameter ran along the wall, not
+// across it (e.g. from the edge face of a plate). Those samples are discarded;
+// the wall is measured from the faces it connects instead.
+const RAY_TO_SPHERE_LIMIT = 4;
+
+// Small deterministic PRNG so repeated uploads of the same file give the same numbers.
+const createRandom = (seed = 0x9e3779b9) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Draws area-weighted points on the surface, each with its outward unit normal.
+ */
+const sampleSurface = (positions, count, isInverted) => {
+  const triangleCount = positions.length / 9;
+  const cumulativeArea = new Float64Array(triangleCount);
+  const normals = new Float64Array(triangleCount * 3);
+  let totalArea = 0;
+
+  for (let t = 0; t < triangleCount; t++) {
+    const o = t * 9;
+    const ux = positions[o + 3] - positions[o], uy = positions[o + 4] - positions[o + 1], uz = positions[o + 5] - positions[o + 2];
+    const vx = positions[o + 6] - positions[o], vy = positions[o + 7] - positions[o + 1], vz = positions[o + 8] - positions[o + 2];
+    const nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+    const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    const sign = isInverted ? -1 : 1;
+    if (length > 0) {
+      normals[t * 3] = (sign * nx) / length;
+      normals[t * 3 + 1] = (sign * ny) / length;
+      normals[t * 3 + 2] = (sign * nz) / length;
+    }
+    totalArea += length / 2;
+    cumulativeArea[t] = totalArea;
+  }
+
+  const random = createRandom();
+  const samples = [];
+  for (let i = 0; i < count; i++) {
+    const target = random() * totalArea;
+    let low = 0, high = triangleCount - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (cumulativeArea[mid] < target) low = mid + 1;
+      else high = mid;
+    }
+
+    let r1 = random(), r2 = random();
+    if (r1 + r2 > 1) { r1 = 1 - r1; r2 = 1 - r2; }
+    const o = low * 9;
+    const point = [0, 1, 2].map(axis =>
+      positions[o + axis] + r1 * (positions[o + 3 + axis] - positions[o + axis]) + r2 * (positions[o + 6 + axis] - positions[o + axis])
+    );
+    samples.push({ point, normal: [normals[low * 3], normals[low * 3 + 1], normals[low * 3 + 2]], triangle: low });
+  }
+
+  return { samples, totalArea };
+};
+
+/**
+ * Radius of the largest sphere tangent to the surface at `sample` that
+ * contains none of the other surface points (shrinking-ball method).
+ */
+const inscribedRadius = (sample, samples, limit) => {
+  let radius = limit;
+  const [px, py, pz] = sample.point;
+  const [nx, ny, nz] = sample.normal;
+  for (const other of samples) {
+    const dx = other.point[0] - px, dy = other.point[1] - py, dz = other.point[2] - pz;
+    const depth = -(dx * nx + dy * ny + dz * nz); // Distance along the inward normal
+    if (depth <= 1e-9) continue;
+    const candidate = (dx * dx + dy * dy + dz * dz) / (2 * depth);
+    if (candidate < radius) radius = candidate;
+  }
+  return radius;
+};
+
+// Groups thin samples that lie within `linkDistance` of each other.
+const clusterRegions = (thinSamples, linkDistance, sampleArea) => {
+  const parent = thinSamples.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const linkSquared = linkDistance * linkDistance;
+
+  for (let i = 0; i < thinSamples.length; i++) {
+    for (let j = i + 1; j < thinSamples.length; j++) {
+      const a = thinSamples[i].point, b = thinSamples[j].point;
+      const d = (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+      if (d <= linkSquared) parent[find(i)] = find(j);
+    }
+  }
+
+  const groups = new Map();
+  thinSamples.forEach((sample, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(sample);
+  });
+
+  return [...groups.values()]
+    .map(members => ({
+      thickness: Number(Math.min(...members.map(m => m.thickness)).toFixed(2)),
+      area: Number((members.length * sampleArea).toFixed(1)),
+      center: [0, 1, 2].map(axis => Number((members.reduce((sum, m) => sum + m.point[axis], 0) / members.length).toFixed(2))),
+    }))
+    .sort((a, b) => a.thickness - b.thickness)
+    .slice(0, MAX_THIN_REGIONS);
+};
+
+/**
+ * Measures wall thickness over the mesh.
+ * @param {Float32Array} positions
+ * @param {ReturnType<import('./bvh.js').buildBvh>} bvh
+ * @param {{ isInverted?: boolean, diagonal: number, minAllowed?: number }} options
+ * @returns {{ min: number, max: number, mean: number, minAllowed: number,
+ *   histogram: { from: number, to: number, percent: number }[],
+ *   thinRegions: { thickness: number, area: number, center: number[] }[], sampleCount: number } | null}
+ */
+export const analyzeWallThickness = (positions, bvh, options) => {
+  const { isInverted = false, diagonal, minAllowed = DEFAULT_MIN_WALL_MM } = options;
+  const { samples, totalArea } = sampleSurface(positions, SURFACE_SAMPLES, isInverted);
+  const offset = diagonal * 1e-6;
+
+  const measured = [];
+  for (const sample of samples.slice(0, MEASURED_SAMPLES)) {
+    const inward = sample.normal.map(n => -n);
+    const origin = sample.point.map((c, axis) => c + inward[axis] * offset);
+    const hit = intersectRay(bvh, origin, inward, { minDistance: offset, skipTriangle: sample.triangle });
+    if (!hit) continue; // Open mesh: the ray escaped
+
+    const thickness = hit.distance + offset;
+    const sphereThickness = 2 * inscribedRadius(sample, samples, thickness / 2);
+    if (thickness > RAY_TO_SPHERE_LIMIT * sphereThickness) continue;
+    measured.push({ point: sample.point, thickness });
+  }
+
+  if (measured.length === 0) return null;
+
+  const values = measured.map(m => m.thickness);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  const binCount = max - min >= DISPLAY_RESOLUTION_MM ? HISTOGRAM_BINS : 1;
+  const binWidth = (max - min) / binCount;
+  const counts = new Array(binCount).fill(0);
+  for (const value of values) {
+    counts[binWidth > 0 ? Math.min(binCount - 1, Math.floor((value - min) / binWidth)) : 0]++;
+  }
+  const histogram = counts.map((count, i) => ({
+    from: Number((min + i * binWidth).toFixed(2)),
+    to: Number((min + (i + 1) * binWidth).toFixed(2)),
+    percent: Number(((count / values.length) * 100).toFixed(1)),
+  }));
+
+  // Each measured sample stands for an equal share of the surface (mm²).
+  const sampleArea = totalArea / measured.length;
+  const thinSamples = measured.filter(m => m.thickness < minAllowed);
+  const thinRegions = clusterRegions(thinSamples, 2 * Math.sqrt(sampleArea), sampleArea);
+
+  return {
+    min: Number(min.toFixed(2)),
+    max: Number(max.toFixed(2)),
+    mean: Number(mean.toFixed(2)),
+    minAllowed,
+    histogram,
+    thinRegions,
+    sampleCount: measured.length,
+  };
+};
@@ -0,0 +1,67 @@
+// api/_lib/webhook-security.js
+// Signature, replay and duplicate checks for incoming Forge/APS webhook callbacks.
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+
+export const SIGNATURE_HEADER = 'x-adsk-signature';
+export const DELIVERY_ID_HEADER = 'x-adsk-delivery-id';
+export const DELIVERY_TIMESTAMP_HEADER = 'x-adsk-delivery-timestamp';
+export const MAX_EVENT_AGE_MS = (parseInt(process.env.FORGE_WEBHOOK_MAX_AGE_S, 10) || 300) * 1000;
+
+/**
+ * Reads the unparsed request body; the signature is computed over the exact bytes.
+ * @returns {Promise<Buffer>}
+ */
+export const readRawBody = async (req) => {
+  if (Buffer.isBuffer(req.body)) return req.body;
+  if (typeof req.body === 'string') return Buffer.from(req.body);
+  const chunks = [];
+  for await (const chunk of req) chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  return Buffer.concat(chunks);
+};
+
+/**
+ * APS signs callbacks as `sha1hash=<hex HMAC-SHA1 of the body>` using the
+ * secret token registered through the Webhooks API.
+ */
+export const signPayload = (rawBody, secret) => `sha1hash=${createHmac('sha1', secret).update(rawBody).digest('hex')}`;
+
+export const isValidSignature = (rawBody, signature, secret) => {
+  if (!signature || !secret) return false;
+  const expected = Buffer.from(signPayload(rawBody, secret));
+  const received = Buffer.from(String(signature).trim());
+  return expected.length === received.length && timingSafeEqual(expected, received);
+};
+
+/**
+ * Delivery time in ms since epoch, from the delivery header or the body; null if absent or unreadable.
+ */
+export const getEventTimestamp = (headers, body) => {
+  const raw = headers[DELIVERY_TIMESTAMP_HEADER] ?? body?.timestamp ?? body?.payload?.timestamp;
+  if (raw === undefined || raw === null || raw === '') return null;
+  const numeric = Number(raw);
+  const timestamp = Number.isFinite(numeric) ? (numeric < 1e12 ? numeric * 1000 : numeric) : Date.parse(raw);
+  return Number.isFinite(timestamp) ? timestamp : null;
+};
+
+/**
+ * Stable identifier for a delivery. Retries of the same event carry the same
+ * delivery ID, or failing that the same body, so either dedupes them.
+ */
+export const getEventId = (headers, body, rawBody) => (
+  headers[DELIVERY_ID_HEADER] || body?.eventId || `sha256:${createHash('sha256').update(rawBody).digest('hex')}`
+);
+
+/**
+ * Emits one JSON line per rejected callback so log drains can alert on them.
+ */
+export const logWebhookRejection = (req, details) => {
+  console.warn(JSON.stringify({
+    level: 'warn',
+    event: 'forge_webhook_rejected',
+    time: new Date().toISOString(),
+    ip: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket?.remoteAddress || null,
+    userAgent: req.headers['user-agent'] || null,
+    ...details,
+  }));
+};
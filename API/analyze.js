@@ -1,13 +1,28 @@
 // api/analyze.js
-// Starts the asynchronous CAD analysis job with Forge and returns a Job ID.
+// Accepts a CAD upload, returns a Job ID immediately, then analyzes STL, STEP and IGES
+// locally or starts an asynchronous Forge job for other formats.
 
+import { readFile } from 'fs/promises';
 import formidable from 'formidable';
+import { waitUntil } from '@vercel/functions';
+import { parseStl } from '../shared/stl.js';
+import { applyModelUnits } from '../shared/units.js';
+import { BREP_FORMATS, tessellateBrep } from './_lib/cad-import.js';
+import { analyzeMesh } from './_lib/geometry.js';
+import { storePreviewMesh } from './_lib/preview-mesh.js';
+import { DEFAULT_MIN_WALL_MM } from '../shared/mesh.js';
+import {
+  isForgeConfigured,
+  authenticateWithForge,
+  uploadToForgeOSS,
+  buildForgeJobPayload,
+  startForgeJob,
+} from './_lib/forge.js';
+import { createJob, setJobStage, completeJob, failJob } from './_lib/job-store.js';
 
-const FORGE_CLIENT_ID = process.env.FORGE_CLIENT_ID;
-const FORGE_CLIENT_SECRET = process.env.FORGE_CLIENT_SECRET;
-const FORGE_WEBHOOK_URL = process.env.FORGE_WEBHOOK_URL; // New variable!
+const MIN_WALL_THICKNESS_MM = parseFloat(process.env.MIN_WALL_THICKNESS_MM) || DEFAULT_MIN_WALL_MM;
 
-// Helper function to handle multipart form data (no change)
+// Helper function to handle multipart form data
 const parseMultipartForm = (req) => {
   return new Promise((resolve, reject) => {
     const form = formidable({
@@ -20,36 +35,77 @@ const parseMultipartForm = (req) => {
         return reject(err);
       }
       const file = files.cadFile ? files.cadFile[0] : null;
-      resolve(file);
+      // formidable v3 returns every field as an array of values
+      const options = Object.fromEntries(Object.entries(fields).map(([key, values]) => [key, values[0]]));
+      resolve({ file, options });
     });
   });
 };
 
-// --- CORE FORGE INTEGRATION BLUEPRINT (ASYNC) ---
-const startForgeAnalysisJob = async (file) => {
-  if (!FORGE_CLIENT_ID || !FORGE_CLIENT_SECRET || !FORGE_WEBHOOK_URL) {
-      console.warn("Forge credentials or Webhook URL missing. Returning mock job ID.");
-      // FALLBACK MOCK: Return a temporary Job ID
-      // NOTE: crypto.randomUUID() is typically available in Node.js environments
-      // If Vercel environment prevents it, replace with Math.random() or another ID generator
-      const uuid = typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : `mock-job-${Date.now()}`;
-      return { jobId: uuid, status: 'submitted' };
-  }
-  
-  // 1. FORGE AUTHENTICATION: Get Access Token
-  // const token = await authenticateWithForge(FORGE_CLIENT_ID, FORGE_CLIENT_SECRET);
-  
-  // 2. CREATE JOB ID: Generate a unique ID (e.g., UUID) to track this request
-  const jobId = typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : `job-${Date.now()}`; 
+const getFileExtension = (file) => (file.originalFilename || '').split('.').pop().toLowerCase();
+
+const createJobId = () => (typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : `job-${Date.now()}`);
+
+// --- LOCAL GEOMETRY ENGINE (STL, STEP, IGES) ---
+// STL is already a triangle mesh; STEP and IGES are tessellated with OpenCascade.
+// Either way the geometry is measured here, with no Forge account required.
+const isLocallySupported = (extension) => extension === 'stl' || extension in BREP_FORMATS;
+
+const readMesh = async (bytes, extension) => (
+  extension === 'stl' ? parseStl(bytes) : tessellateBrep(bytes, extension)
+);
+
+// Normalized form fields; stored with Forge jobs so the webhook analyzes with the same settings.
+const toAnalysisOptions = (options) => ({
+  minWallThickness: parseFloat(options.minWallThickness) || MIN_WALL_THICKNESS_MM,
+  pullDirection: options.pullDirection,
+  minDraftDeg: parseFloat(options.minDraftDeg) || undefined,
+  units: options.units, // 'auto' or a key of LENGTH_UNITS
+});
+
+const runLocalAnalysis = async (jobId, file, options) => {
+  await setJobStage(jobId, 'extracting-geometry');
+  const analysisOptions = toAnalysisOptions(options);
+  const mesh = applyModelUnits(await readMesh(await readFile(file.filepath), getFileExtension(file)), analysisOptions.units);
+
+  await setJobStage(jobId, 'dfm');
+  const analysisData = analyzeMesh(mesh, analysisOptions);
+  // Stored before the job completes so the viewer finds it as soon as the results arrive.
+  await storePreviewMesh(jobId, mesh);
+  await completeJob(jobId, analysisData);
+};
+
+// --- FORGE / APS MODEL DERIVATIVE (ASYNC) ---
+// Native formats we cannot read (SLDPRT, IPT, ...) are translated to OBJ by
+// Forge; forge-webhook.js then downloads the OBJ and runs the local engine.
+const startForgeAnalysisJob = async (jobId, file, options) => {
+  // 1. FORGE AUTHENTICATION: Get (cached) Access Token
+  const auth = await authenticateWithForge();
 
-  // 3. FORGE OSS: Create Bucket and Upload CAD File
-  // const ossKey = await uploadToForgeOSS(file, token);
+  // 2. FORGE OSS: Create Bucket and Upload CAD File
+  const urn = await uploadToForgeOSS(file, jobId, auth);
 
-  // 4. FORGE MODEL DERIVATIVE: Start Translation Job
-  // const jobPayload = buildForgeJobPayload(ossKey, FORGE_WEBHOOK_URL, jobId);
-  // await startForgeJob(jobPayload, token);
+  // Record the URN before translation starts so the webhook can never beat us to it.
+  await setJobStage(jobId, 'translating', { urn, analysisOptions: toAnalysisOptions(options) });
 
-  return { jobId, status: 'submitted' };
+  // 3. FORGE MODEL DERIVATIVE: Start Translation Job
+  await startForgeJob(buildForgeJobPayload(urn, jobId), auth);
+};
+
+// Runs after the 202 response; every outcome ends up on the job record.
+const processJob = async (jobId, file, options) => {
+  const extension = getFileExtension(file);
+  try {
+    if (isLocallySupported(extension)) {
+      await runLocalAnalysis(jobId, file, options);
+    } else {
+      await startForgeAnalysisJob(jobId, file, options);
+    }
+  } catch (error) {
+    console.error(`Analysis failed for Job ID: ${jobId}`, error);
+    await failJob(jobId, isLocallySupported(extension) ? `Could not analyze the uploaded CAD file: ${error.message}` : error.message)
+      .catch(storeError => console.error(`Could not record failure for Job ID: ${jobId}`, storeError));
+  }
 };
 
 // Main serverless function handler
@@ -66,24 +122,36 @@ export default async function handler(req, res) {
   }
 
   try {
-    const file = await parseMultipartForm(req);
+    const { file, options } = await parseMultipartForm(req);
     if (!file) {
       return res.status(400).json({ message: 'No CAD file uploaded.' });
     }
 
-    const jobInfo = await startForgeAnalysisJob(file);
+    const extension = getFileExtension(file);
+    if (!isLocallySupported(extension) && !isForgeConfigured()) {
+      const error = new Error(`.${extension} files need Autodesk Platform Services credentials on the server. Upload STL, STEP or IGES instead.`);
+      error.statusCode = 422;
+      throw error;
+    }
+
+    const jobId = createJobId();
+    await createJob(jobId, { status: 'in-progress', stage: 'uploaded', file });
+
+    // CRITICAL: Return 202 ACCEPTED immediately; progress is reported through
+    // api/job-events (SSE) and api/poll-status. waitUntil keeps the function
+    // alive until the background work settles.
+    waitUntil(processJob(jobId, file, options));
 
-    // CRITICAL: Return 202 ACCEPTED immediately, indicating the job started
     return res.status(202).json({
-      message: 'Analysis job submitted. Waiting for Forge webhook callback.',
-      jobId: jobInfo.jobId,
-      status: jobInfo.status,
+      message: 'Analysis job submitted.',
+      jobId,
+      status: 'submitted',
     });
 
   } catch (error) {
     console.error('Job Submission Error:', error);
-    return res.status(500).json({ 
-        message: 'Failed to submit analysis job to Forge.', 
+    return res.status(error.statusCode || 500).json({ 
+        message: error.statusCode ? `Could not analyze the uploaded CAD file: ${error.message}` : 'Failed to submit analysis job.', 
         error: error.message 
     });
   }
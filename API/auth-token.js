@@ -0,0 +1,43 @@
+// api/auth-token.js
+// Exchanges a session issued by our backend for a Firebase custom token, so the client signs in
+// to Firestore as the same user our backend knows.
+
+import { isSessionConfigured, readSession } from './_lib/session.js';
+import { getAdminAuth, isFirebaseAdminConfigured } from './_lib/firebase-admin.js';
+
+export default async function handler(req, res) {
+  // Reads a cookie, so only the app's own origin may call it with credentials.
+  const origin = process.env.APP_ORIGIN;
+  if (origin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Vary', 'Origin');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method Not Allowed' });
+  }
+  if (!isSessionConfigured() || !isFirebaseAdminConfigured()) {
+    return res.status(503).json({ message: 'Backend sign-in is disabled: SESSION_SECRET and Firebase Admin credentials must be set on the server.' });
+  }
+
+  const session = readSession(req);
+  if (!session) {
+    return res.status(401).json({ message: 'No valid session. Sign in to the portal first.' });
+  }
+
+  try {
+    const claims = { ...(session.email && { email: session.email }), ...(session.name && { name: session.name }) };
+    const token = await getAdminAuth().createCustomToken(session.uid, claims);
+    return res.status(200).json({ token, uid: session.uid });
+  } catch (error) {
+    console.error('Custom token error:', error);
+    return res.status(500).json({ message: 'Could not create a sign-in token.' });
+  }
+}
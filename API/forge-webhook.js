@@ -1,6 +1,26 @@
 // api/forge-webhook.js
 // Receives POST requests from the Autodesk Platform when a translation job is complete.
 
+import { fetchForgeGeometry, readWebhookEvent } from './_lib/forge.js';
+import { analyzeMesh } from './_lib/geometry.js';
+import { applyModelUnits } from '../shared/units.js';
+import { storePreviewMesh } from './_lib/preview-mesh.js';
+import {
+  SIGNATURE_HEADER,
+  MAX_EVENT_AGE_MS,
+  readRawBody,
+  isValidSignature,
+  getEventTimestamp,
+  getEventId,
+  logWebhookRejection,
+} from './_lib/webhook-security.js';
+import { FINAL_STATUSES, JOB_TTL_SECONDS, getJob, setJobStage, completeJob, failJob, claimOnce, releaseClaim } from './_lib/job-store.js';
+
+const FORGE_WEBHOOK_SECRET = process.env.FORGE_WEBHOOK_SECRET;
+
+// The signature covers the exact bytes APS sent, so Vercel must not parse the body first.
+export const config = { api: { bodyParser: false } };
+
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -13,45 +33,93 @@ export default async function handler(req, res) {
     return res.status(405).json({ message: 'Method Not Allowed' });
   }
 
+  const reject = (status, reason, details = {}) => {
+    logWebhookRejection(req, { status, reason, ...details });
+    return res.status(status).json({ message: 'Webhook rejected.', reason });
+  };
+
+  let claimKey = null;
   try {
-    const webhookData = req.body;
-    
-    // --- SECURITY & DATA RETRIEVAL (BLUEPRINT) ---
-    // 1. Webhook Validation: Verify the x-adsk-signature using FORGE_WEBHOOK_SECRET
-    // 2. Job Status Check: Ensure status is 'success'.
-    const jobId = webhookData.payload?.context?.jobId || 'unknown_job'; 
-    
-    // 3. RETRIEVE ANALYSIS DATA from Forge using the URN:
-    // This section would use the Forge SDK to download the geometry properties.
-    
-    // MOCK DATA STORAGE (Replace with Redis or Firestore write):
-    const MOCK_STORAGE = global.MOCK_STORAGE || {};
-    
+    // --- SECURITY ---
+    // 1. Webhook Validation: Verify the x-adsk-signature using FORGE_WEBHOOK_SECRET.
+    // Without a secret nothing can be verified, so nothing is accepted.
+    if (!FORGE_WEBHOOK_SECRET) {
+      return reject(503, 'secret-not-configured');
+    }
+
+    const rawBody = await readRawBody(req);
+    const signature = req.headers[SIGNATURE_HEADER];
+    if (!signature) {
+      return reject(401, 'missing-signature');
+    }
+    if (!isValidSignature(rawBody, signature, FORGE_WEBHOOK_SECRET)) {
+      return reject(401, 'invalid-signature');
+    }
+
+    let webhookData;
+    try {
+      webhookData = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      return reject(400, 'invalid-json');
+    }
+
+    // 2. Replay protection: a captured delivery cannot be re-sent after the window closes.
+    // Callbacks from APS itself may carry no delivery time we can read; those are still signed,
+    // and the idempotency claim below then lasts as long as the job, so a replay changes nothing.
+    const event = readWebhookEvent(webhookData);
+    const eventId = getEventId(req.headers, webhookData, rawBody);
+    const timestamp = getEventTimestamp(req.headers, webhookData);
+    if (timestamp !== null && !(Math.abs(Date.now() - timestamp) <= MAX_EVENT_AGE_MS)) {
+      return reject(401, 'stale-timestamp', { eventId, jobId: event.jobId, timestamp });
+    }
+
+    // 3. Job lookup: only jobs created by api/analyze.js can receive results.
+    const jobId = event.jobId;
+    const existing = jobId ? await getJob(jobId) : null;
+    if (!existing) {
+      return reject(404, 'unknown-job', { eventId, jobId });
+    }
+
+    // 4. Idempotency: APS retries deliveries, so repeats are acknowledged without reprocessing.
+    // A timestamped claim outlives the replay window, after which stale-timestamp rejects the delivery anyway.
+    const claimTtlSeconds = timestamp === null ? JOB_TTL_SECONDS : 2 * MAX_EVENT_AGE_MS / 1000;
+    if (FINAL_STATUSES.includes(existing.status) || !(await claimOnce(`forge-webhook:${eventId}`, claimTtlSeconds))) {
+      console.log(`Webhook: Duplicate delivery ${eventId} ignored for Job ID: ${jobId}`);
+      return res.status(200).json({ message: 'Event already processed.', duplicate: true });
+    }
+    claimKey = `forge-webhook:${eventId}`;
+
     // Only save the result if the job was successful
-    if (webhookData.status === 'success') {
-      const geometryResult = {
-        volume: 187.35,
-        dimensions: { length: 65, width: 42, height: 75 },
-        wallThickness: 1.8,
-        accuracy: 'high'
-      };
-      
-      // Store the final, completed geometry data keyed by jobId
-      MOCK_STORAGE[jobId] = { status: 'complete', analysisData: geometryResult };
-      global.MOCK_STORAGE = MOCK_STORAGE;
-      console.log(`Webhook: Results stored successfully for Job ID: ${jobId}`);
-      
+    if (event.status === 'success') {
+      try {
+        // 5. RETRIEVE ANALYSIS DATA: download the OBJ derivative and measure it locally.
+        await setJobStage(jobId, 'extracting-geometry');
+        // The OBJ derivative carries no unit either, so it is judged by size like an STL.
+        const mesh = applyModelUnits(await fetchForgeGeometry(event.urn || existing.urn), existing.analysisOptions?.units);
+        await setJobStage(jobId, 'dfm');
+        const analysisData = analyzeMesh(mesh, existing.analysisOptions);
+        await storePreviewMesh(jobId, mesh);
+        await completeJob(jobId, analysisData);
+        console.log(`Webhook: Results stored successfully for Job ID: ${jobId}`);
+      } catch (error) {
+        await failJob(jobId, error.message);
+        console.error(`Webhook: Geometry retrieval failed for Job ID: ${jobId}`, error);
+      }
+
     } else {
       // Store failed status
-      MOCK_STORAGE[jobId] = { status: 'failed', analysisData: null };
-      global.MOCK_STORAGE = MOCK_STORAGE;
+      await failJob(jobId, `Forge translation ${event.status || 'failed'}.`);
       console.error(`Webhook: Job failed for Job ID: ${jobId}`);
     }
 
-    return res.status(204).end(); 
+    return res.status(204).end();
 
   } catch (error) {
     console.error('Webhook processing error:', error);
+    // Nothing was recorded on the job, so APS's retry must be processed, not acked as a duplicate.
+    if (claimKey) {
+      await releaseClaim(claimKey).catch(releaseError => console.error(`Could not release webhook claim ${claimKey}`, releaseError));
+    }
     return res.status(500).json({ message: 'Webhook failed to process.' });
   }
 }
@@ -0,0 +1,88 @@
+// api/job-events.js
+// Streams a job's stage and progress to the client as Server-Sent Events until it completes or fails.
+
+import { FINAL_STATUSES, getJob, toPublicJob } from './_lib/job-store.js';
+
+const CHECK_INTERVAL_MS = 1000;
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+// Close before the platform's function timeout; EventSource reconnects on its own.
+const MAX_STREAM_MS = (parseInt(process.env.JOB_EVENTS_MAX_S, 10) || 55) * 1000;
+const RECONNECT_DELAY_MS = 2000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const writeEvent = (res, event, data, id) => {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method Not Allowed' });
+  }
+
+  const jobId = req.query.jobId;
+  if (!jobId) {
+    return res.status(400).json({ message: 'Missing jobId query parameter.' });
+  }
+
+  let job;
+  try {
+    job = await getJob(jobId);
+  } catch (error) {
+    console.error('Job status lookup error:', error);
+    return res.status(500).json({ message: 'Could not read job status.' });
+  }
+  if (!job) {
+    return res.status(404).json({ status: 'unknown', message: 'Job not found. It may have expired; upload the file again.' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering so events arrive as they are written
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  const startedAt = Date.now();
+  let lastWriteAt = startedAt;
+  let lastUpdatedAt = null;
+
+  try {
+    // The store has no change notifications across backends, so check it on an interval.
+    while (!closed) {
+      if (!job) {
+        writeEvent(res, 'gone', { jobId, status: 'unknown' });
+        break;
+      }
+      if (job.updatedAt !== lastUpdatedAt) {
+        writeEvent(res, 'status', toPublicJob(job), job.updatedAt);
+        lastUpdatedAt = job.updatedAt;
+        lastWriteAt = Date.now();
+      }
+      if (FINAL_STATUSES.includes(job.status) || Date.now() - startedAt > MAX_STREAM_MS) break;
+
+      if (Date.now() - lastWriteAt > HEARTBEAT_INTERVAL_MS) {
+        res.write(': keep-alive\n\n');
+        lastWriteAt = Date.now();
+      }
+      await sleep(CHECK_INTERVAL_MS);
+      job = await getJob(jobId);
+    }
+  } catch (error) {
+    console.error(`Job event stream error for Job ID: ${jobId}`, error);
+    writeEvent(res, 'stream-error', { message: 'Could not read job status.' });
+  }
+
+  return res.end();
+}
@@ -0,0 +1,13 @@
+// api/materials.js
+// Material catalog: anyone can list it; creating, updating and deleting grades requires the admin key.
+
+import { DEFAULT_MATERIALS, validateMaterial } from '../shared/materials.js';
+import { createCatalogStore } from './_lib/catalog-store.js';
+import { createCatalogHandler } from './_lib/catalog-handler.js';
+
+export default createCatalogHandler({
+  noun: 'material',
+  collection: 'materials',
+  store: createCatalogStore('materials', DEFAULT_MATERIALS),
+  validate: validateMaterial,
+});
@@ -0,0 +1,13 @@
+// api/operations.js
+// Secondary operations (printing, welding, inserts, packaging...) that can be added to a quote; editing requires the admin key.
+
+import { DEFAULT_OPERATIONS, validateOperation } from '../shared/operations.js';
+import { createCatalogStore } from './_lib/catalog-store.js';
+import { createCatalogHandler } from './_lib/catalog-handler.js';
+
+export default createCatalogHandler({
+  noun: 'operation',
+  collection: 'operations',
+  store: createCatalogStore('operations', DEFAULT_OPERATIONS),
+  validate: validateOperation,
+});
@@ -1,6 +1,8 @@
 // api/poll-status.js
 // Endpoint called by the client to check the status of a long-running Forge job.
 
+import { getJob, toPublicJob } from './_lib/job-store.js';
+
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
@@ -20,18 +22,19 @@ export default async function handler(req, res) {
     return res.status(400).json({ message: 'Missing jobId query parameter.' });
   }
 
-  // --- DATA RETRIEVAL (BLUEPRINT) ---
-  // MOCK DATA STORAGE (Replace with Redis or Firestore read):
-  const MOCK_STORAGE = global.MOCK_STORAGE || {};
-  
-  // Check the shared storage for the result
-  const jobResult = MOCK_STORAGE[jobId];
-
-  if (jobResult) {
-    // Job found and status determined by the webhook handler
-    return res.status(200).json(jobResult);
-  } else {
-    // Job started but webhook hasn't fired yet
-    return res.status(200).json({ status: 'in-progress', analysisData: null });
+  try {
+    const job = await getJob(jobId);
+
+    if (!job) {
+      // Never created, or expired: polling again will not change the answer.
+      return res.status(404).json({ status: 'unknown', message: 'Job not found. It may have expired; upload the file again.' });
+    }
+
+    // Job found and status determined by analyze.js or the webhook handler
+    return res.status(200).json(toPublicJob(job));
+
+  } catch (error) {
+    console.error('Job status lookup error:', error);
+    return res.status(500).json({ message: 'Could not read job status.' });
   }
 }
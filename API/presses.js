@@ -0,0 +1,13 @@
+// api/presses.js
+// Press list used for clamp-tonnage machine selection; editing requires the admin key.
+
+import { DEFAULT_PRESSES, validatePress } from '../shared/presses.js';
+import { createCatalogStore } from './_lib/catalog-store.js';
+import { createCatalogHandler } from './_lib/catalog-handler.js';
+
+export default createCatalogHandler({
+  noun: 'press',
+  collection: 'presses',
+  store: createCatalogStore('presses', DEFAULT_PRESSES),
+  validate: validatePress,
+});
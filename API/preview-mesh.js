@@ -0,0 +1,35 @@
+// api/preview-mesh.js
+// Viewer mesh of a completed analysis job, with wall thickness per triangle (see _lib/preview-mesh.js).
+
+import { getPreviewMesh } from './_lib/job-store.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method Not Allowed' });
+  }
+
+  const jobId = req.query.jobId;
+  if (!jobId) {
+    return res.status(400).json({ message: 'Missing jobId query parameter.' });
+  }
+
+  try {
+    const preview = await getPreviewMesh(jobId);
+    if (!preview) {
+      return res.status(404).json({ message: 'No preview for this job. It may have expired; upload the file again.' });
+    }
+    // A job's mesh never changes once stored.
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    return res.status(200).json(preview);
+  } catch (error) {
+    console.error('Preview mesh lookup error:', error);
+    return res.status(500).json({ message: 'Could not read the preview mesh.' });
+  }
+}
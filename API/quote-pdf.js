@@ -0,0 +1,50 @@
+// api/quote-pdf.js
+// Customer quote PDF for a saved quote: POST { appId, scope: 'mine'|'team', orgId?, quoteId } with the
+// caller's Firebase ID token. Rendered from the stored record, so the document matches what was saved.
+
+import { isFirebaseAdminConfigured } from './_lib/firebase-admin.js';
+import { verifyRequestUser, readQuoteForUser, assignQuoteNumber } from './_lib/quote-records.js';
+import { getQuoteTemplate, formatQuoteNumber } from './_lib/quote-template.js';
+import { renderQuotePdf } from './_lib/quote-pdf.js';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method Not Allowed' });
+  }
+  if (!isFirebaseAdminConfigured()) {
+    return res.status(503).json({ message: 'Quote documents are disabled: Firebase Admin credentials are not set on the server.' });
+  }
+
+  try {
+    let body;
+    try {
+      body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : (req.body || {});
+    } catch {
+      return res.status(400).json({ message: 'Invalid JSON in request body.' });
+    }
+    if (!isObject(body)) return res.status(400).json({ message: 'Request body must be a JSON object.' });
+    const uid = await verifyRequestUser(req);
+    const { ref, quote } = await readQuoteForUser(body, uid);
+    const template = getQuoteTemplate();
+    const quoteNumber = quote.quoteNumber || await assignQuoteNumber(ref, body.appId, (sequence) => formatQuoteNumber(template.quoteNumber, sequence));
+    const pdf = await renderQuotePdf(quote, template, { quoteNumber });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${quoteNumber}.pdf"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.status(200).send(pdf);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ message: error.message });
+    console.error('Quote PDF error:', error);
+    return res.status(500).json({ message: 'Could not generate the quote document.' });
+  }
+}
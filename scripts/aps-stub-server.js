@@ -0,0 +1,239 @@
+// scripts/aps-stub-server.js
+// Local stand-in for the Autodesk Platform Services endpoints used by api/_lib/forge.js,
+// so the Forge upload → translate → webhook → download flow can run end to end offline.
+//
+// Usage:
+//   node scripts/aps-stub-server.js
+//   FORGE_BASE_URL=http://localhost:8787 FORGE_CLIENT_ID=stub FORGE_CLIENT_SECRET=stub \
+//   FORGE_WEBHOOK_URL=http://localhost:3000/api/forge-webhook FORGE_WEBHOOK_SECRET=local-secret vercel dev
+// Then upload any non-STL/STEP/IGES file (e.g. a .ipt). If the bytes are an STL
+// the stub "translates" that geometry; otherwise it returns a 50×30×10 mm box.
+// Callbacks are signed with the token registered through /webhooks/v1/tokens, like APS does.
+// Set STUB_DUPLICATE_DELIVERIES=true to send every callback twice and exercise idempotency.
+
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { parseStl } from '../shared/stl.js';
+import { signPayload, SIGNATURE_HEADER, DELIVERY_ID_HEADER, DELIVERY_TIMESTAMP_HEADER } from '../API/_lib/webhook-security.js';
+
+const PORT = parseInt(process.env.STUB_PORT, 10) || 8787;
+const BASE_URL = `http://localhost:${PORT}`;
+const TRANSLATION_DELAY_MS = parseInt(process.env.STUB_TRANSLATION_DELAY_MS, 10) || 1500;
+const FAIL_TRANSLATIONS = process.env.STUB_FAIL_TRANSLATIONS === 'true';
+const DUPLICATE_DELIVERIES = process.env.STUB_DUPLICATE_DELIVERIES === 'true';
+
+const buckets = new Set();
+const objects = new Map(); // `${bucketKey}/${objectKey}` → Buffer
+const pendingUploads = new Map(); // uploadKey → `${bucketKey}/${objectKey}`
+const hooks = []; // { hookId, callbackUrl, workflow }
+const manifests = new Map(); // urn → manifest
+let webhookSecret = null; // set through /webhooks/v1/tokens
+
+const DEFAULT_OBJ = [
+  'v 0 0 0', 'v 50 0 0', 'v 50 30 0', 'v 0 30 0', 'v 0 0 10', 'v 50 0 10', 'v 50 30 10', 'v 0 30 10',
+  'f 1 3 2', 'f 1 4 3', 'f 5 6 7', 'f 5 7 8', 'f 1 2 6', 'f 1 6 5', 'f 2 3 7', 'f 2 7 6', 'f 3 4 8', 'f 3 8 7', 'f 4 1 5', 'f 4 5 8',
+].join('\n');
+
+const log = (...args) => console.log(`[aps-stub ${new Date().toISOString()}]`, ...args);
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const fromUrn = (urn) => Buffer.from(urn.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+
+// Converts uploaded STL bytes to OBJ text, mimicking a real translation.
+const translateToObj = (bytes) => {
+  try {
+    const { positions } = parseStl(bytes);
+    const lines = [];
+    for (let i = 0; i < positions.length; i += 3) {
+      lines.push(`v ${positions[i]} ${positions[i + 1]} ${positions[i + 2]}`);
+    }
+    for (let i = 1; i <= positions.length / 3; i += 3) {
+      lines.push(`f ${i} ${i + 1} ${i + 2}`);
+    }
+    return lines.join('\n');
+  } catch {
+    return DEFAULT_OBJ;
+  }
+};
+
+const runTranslation = (urn, job) => {
+  const objectId = fromUrn(urn);
+  const objectPath = objectId.replace(/^urn:adsk\.objects:os\.object:/, '');
+  const bytes = objects.get(objectPath);
+  const success = Boolean(bytes) && !FAIL_TRANSLATIONS;
+  const objUrn = `urn:adsk.viewing:fs.file:${urn}/output/geometry.obj`;
+
+  manifests.set(urn, {
+    urn,
+    status: success ? 'success' : 'failed',
+    progress: 'complete',
+    derivatives: success
+      ? [{ outputType: 'obj', status: 'success', children: [{ role: 'obj', urn: objUrn, mime: 'application/octet-stream', obj: translateToObj(bytes) }] }]
+      : [],
+  });
+
+  const workflow = job.misc?.workflow;
+  for (const hook of hooks.filter(h => h.workflow === workflow)) {
+    const event = {
+      version: '1.0.0',
+      resourceUrn: urn,
+      hook: { hookId: hook.hookId, system: 'derivative', event: 'extraction.finished', callbackUrl: hook.callbackUrl, scope: { workflow } },
+      payload: {
+        status: success ? 'success' : 'failed',
+        URN: urn,
+        WorkflowAttribute: job.misc?.workflowAttribute || {},
+      },
+    };
+    deliver(hook.callbackUrl, JSON.stringify(event));
+  }
+};
+
+// Retries reuse the delivery ID and timestamp, so the receiver can recognize them.
+const deliver = (callbackUrl, body) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    [DELIVERY_ID_HEADER]: randomUUID(),
+    [DELIVERY_TIMESTAMP_HEADER]: new Date().toISOString(),
+  };
+  if (webhookSecret) headers[SIGNATURE_HEADER] = signPayload(body, webhookSecret);
+
+  for (let attempt = 0; attempt < (DUPLICATE_DELIVERIES ? 2 : 1); attempt++) {
+    fetch(callbackUrl, { method: 'POST', headers, body })
+      .then(response => log(`webhook → ${callbackUrl}: ${response.status}`))
+      .catch(error => log(`webhook → ${callbackUrl} failed: ${error.message}`));
+  }
+};
+
+const routes = [
+  ['POST', /^\/authentication\/v2\/token$/, async (req, res) => {
+    if (!req.headers.authorization?.startsWith('Basic ')) return sendJson(res, 401, { errorCode: 'AUTH-001' });
+    sendJson(res, 200, { access_token: `stub-token-${Date.now()}`, token_type: 'Bearer', expires_in: 3599 });
+  }],
+
+  ['POST', /^\/oss\/v2\/buckets$/, async (req, res) => {
+    const { bucketKey, policyKey } = JSON.parse((await readBody(req)).toString() || '{}');
+    if (buckets.has(bucketKey)) return sendJson(res, 409, { reason: 'Bucket already exists' });
+    buckets.add(bucketKey);
+    sendJson(res, 200, { bucketKey, policyKey, createdDate: Date.now() });
+  }],
+
+  ['GET', /^\/oss\/v2\/buckets\/([^/]+)\/objects\/([^/]+)\/signeds3upload$/, async (req, res, [bucketKey, objectKey]) => {
+    if (!buckets.has(bucketKey)) return sendJson(res, 404, { reason: 'Bucket not found' });
+    const uploadKey = `upload-${Math.random().toString(36).slice(2)}`;
+    pendingUploads.set(uploadKey, `${bucketKey}/${objectKey}`);
+    sendJson(res, 200, { uploadKey, urls: [`${BASE_URL}/stub-s3/${uploadKey}`], uploadExpiration: new Date(Date.now() + 600000).toISOString() });
+  }],
+
+  ['PUT', /^\/stub-s3\/([^/]+)$/, async (req, res, [uploadKey]) => {
+    const objectPath = pendingUploads.get(uploadKey);
+    if (!objectPath) return sendJson(res, 403, { reason: 'Unknown or expired upload URL' });
+    objects.set(objectPath, await readBody(req));
+    res.writeHead(200, { ETag: `"${uploadKey}"` });
+    res.end();
+  }],
+
+  ['POST', /^\/oss\/v2\/buckets\/([^/]+)\/objects\/([^/]+)\/signeds3upload$/, async (req, res, [bucketKey, objectKey]) => {
+    const { uploadKey } = JSON.parse((await readBody(req)).toString() || '{}');
+    const objectPath = `${bucketKey}/${objectKey}`;
+    if (pendingUploads.get(uploadKey) !== objectPath || !objects.has(objectPath)) {
+      return sendJson(res, 400, { reason: 'Upload was not completed' });
+    }
+    pendingUploads.delete(uploadKey);
+    sendJson(res, 200, {
+      bucketKey,
+      objectKey,
+      objectId: `urn:adsk.objects:os.object:${objectPath}`,
+      size: objects.get(objectPath).length,
+      location: `${BASE_URL}/oss/v2/buckets/${bucketKey}/objects/${objectKey}`,
+    });
+  }],
+
+  ['POST', /^\/webhooks\/v1\/systems\/derivative\/events\/extraction\.finished\/hooks$/, async (req, res) => {
+    const { callbackUrl, scope } = JSON.parse((await readBody(req)).toString() || '{}');
+    if (hooks.some(h => h.callbackUrl === callbackUrl && h.workflow === scope?.workflow)) {
+      return sendJson(res, 409, { reason: 'Hook already exists' });
+    }
+    const hookId = `hook-${hooks.length + 1}`;
+    hooks.push({ hookId, callbackUrl, workflow: scope?.workflow });
+    res.writeHead(201, { Location: `${BASE_URL}/webhooks/v1/systems/derivative/events/extraction.finished/hooks/${hookId}` });
+    res.end();
+  }],
+
+  ['POST', /^\/webhooks\/v1\/tokens$/, async (req, res) => {
+    const { token } = JSON.parse((await readBody(req)).toString() || '{}');
+    if (!token) return sendJson(res, 400, { reason: 'token is required' });
+    if (webhookSecret) return sendJson(res, 400, { reason: 'Token already exists; use PUT /tokens/@me' });
+    webhookSecret = token;
+    res.writeHead(200);
+    res.end();
+  }],
+
+  ['PUT', /^\/webhooks\/v1\/tokens\/@me$/, async (req, res) => {
+    const { token } = JSON.parse((await readBody(req)).toString() || '{}');
+    if (!token) return sendJson(res, 400, { reason: 'token is required' });
+    webhookSecret = token;
+    res.writeHead(204);
+    res.end();
+  }],
+
+  ['POST', /^\/modelderivative\/v2\/designdata\/job$/, async (req, res) => {
+    const job = JSON.parse((await readBody(req)).toString() || '{}');
+    const urn = job.input?.urn;
+    if (!urn) return sendJson(res, 400, { diagnostic: 'input.urn is required' });
+    manifests.set(urn, { urn, status: 'inprogress', progress: '0% complete', derivatives: [] });
+    setTimeout(() => runTranslation(urn, job), TRANSLATION_DELAY_MS);
+    sendJson(res, 200, { result: 'created', urn, acceptedJobs: { output: job.output } });
+  }],
+
+  ['GET', /^\/modelderivative\/v2\/designdata\/([^/]+)\/manifest$/, async (req, res, [urn]) => {
+    const manifest = manifests.get(urn);
+    if (!manifest) return sendJson(res, 404, { diagnostic: 'Manifest not found' });
+    // Strip the OBJ text; it is served by the derivative endpoint below.
+    const derivatives = manifest.derivatives.map(d => ({ ...d, children: d.children.map(({ obj, ...child }) => child) }));
+    sendJson(res, 200, { ...manifest, derivatives });
+  }],
+
+  ['GET', /^\/modelderivative\/v2\/designdata\/([^/]+)\/manifest\/(.+)$/, async (req, res, [urn, derivativeUrn]) => {
+    const child = manifests.get(urn)?.derivatives.flatMap(d => d.children).find(c => c.urn === derivativeUrn);
+    if (!child) return sendJson(res, 404, { diagnostic: 'Derivative not found' });
+    res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+    res.end(child.obj);
+  }],
+];
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, BASE_URL);
+  const requiresToken = !pathname.startsWith('/authentication/') && !pathname.startsWith('/stub-s3/');
+  if (requiresToken && !req.headers.authorization?.startsWith('Bearer stub-token-')) {
+    return sendJson(res, 401, { reason: 'Missing or invalid bearer token' });
+  }
+
+  for (const [method, pattern, handle] of routes) {
+    const match = req.method === method && pattern.exec(pathname);
+    if (match) {
+      log(req.method, pathname);
+      try {
+        return await handle(req, res, match.slice(1).map(decodeURIComponent));
+      } catch (error) {
+        log('handler error', error);
+        return sendJson(res, 500, { reason: error.message });
+      }
+    }
+  }
+
+  log('unhandled', req.method, pathname);
+  sendJson(res, 404, { reason: `No stub for ${req.method} ${pathname}` });
+});
+
+server.listen(PORT, () => log(`listening on ${BASE_URL}`));
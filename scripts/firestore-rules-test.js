@@ -0,0 +1,149 @@
+// scripts/firestore-rules-test.js
+// Checks firestore.rules against the Firestore emulator: private quotes, workspace roles,
+// invites, the shared quote library, the approval workflow and quote numbers.
+//
+// Usage:
+//   npm run test:rules
+// (runs `firebase emulators:exec --only firestore` around this script). Every check starts from the
+// same seeded data; the script exits non-zero if any write or read is unexpectedly allowed or denied.
+
+import { readFileSync } from 'fs';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { deleteDoc, doc, getDoc, getDocs, query, collection, setDoc, updateDoc, where, writeBatch } from 'firebase/firestore';
+
+const APP = '/artifacts/test-app';
+const ORG = `${APP}/orgs/acme`;
+
+const testEnv = await initializeTestEnvironment({
+  projectId: 'demo-cad-quote',
+  firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+});
+
+const as = (uid, email) => testEnv.authenticatedContext(uid, email ? { email, email_verified: true } : {}).firestore();
+const anonymous = testEnv.unauthenticatedContext().firestore();
+const quote = (ownerId, status = 'draft') => ({ ownerId, fileName: 'part.stl', revision: 1, deleted: false, status });
+
+const checks = [];
+const check = (name, run) => checks.push({ name, run });
+
+const seed = () => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  await setDoc(doc(db, ORG), { name: 'Acme', createdBy: 'alice' });
+  await setDoc(doc(db, `${ORG}/members/alice`), { role: 'admin' });
+  await setDoc(doc(db, `${ORG}/members/erin`), { role: 'estimator' });
+  await setDoc(doc(db, `${ORG}/members/paul`), { role: 'approver' });
+  await setDoc(doc(db, `${ORG}/members/vic`), { role: 'viewer' });
+  await setDoc(doc(db, `${ORG}/quotes/erins`), quote('erin'));
+  await setDoc(doc(db, `${ORG}/quotes/pauls`), quote('paul'));
+  await setDoc(doc(db, `${ORG}/quotes/pending`), quote('erin', 'pending-review'));
+  await setDoc(doc(db, `${ORG}/quotes/approved`), quote('erin', 'approved'));
+  await setDoc(doc(db, `${APP}/users/erin/quotes/locked`), quote('erin', 'won'));
+  await setDoc(doc(db, `${APP}/users/erin/quotes/private`), quote('erin'));
+  await setDoc(doc(db, `${APP}/users/erin/quotes/review`), quote('erin', 'pending-review'));
+  await setDoc(doc(db, `${APP}/invites/new@acme.test`), { email: 'new@acme.test', orgId: 'acme', orgName: 'Acme', role: 'estimator' });
+});
+
+// --- Private quotes ---
+check('owner reads private quotes', () => assertSucceeds(getDoc(doc(as('erin'), `${APP}/users/erin/quotes/private`))));
+check('others cannot read private quotes', () => assertFails(getDoc(doc(as('paul'), `${APP}/users/erin/quotes/private`))));
+check('signed-out users read nothing', () => assertFails(getDoc(doc(anonymous, `${ORG}/quotes/erins`))));
+
+// --- Team library ---
+check('viewer reads team quotes', () => assertSucceeds(getDocs(collection(as('vic'), `${ORG}/quotes`))));
+check('outsider cannot read team quotes', () => assertFails(getDocs(collection(as('mallory'), `${ORG}/quotes`))));
+check('viewer cannot create team quotes', () => assertFails(setDoc(doc(as('vic'), `${ORG}/quotes/v`), quote('vic'))));
+check('estimator creates own team quote', () => assertSucceeds(setDoc(doc(as('erin'), `${ORG}/quotes/e2`), quote('erin'))));
+check('estimator cannot create a quote owned by someone else', () => assertFails(setDoc(doc(as('erin'), `${ORG}/quotes/e3`), quote('paul'))));
+check('estimator updates own quote', () => assertSucceeds(updateDoc(doc(as('erin'), `${ORG}/quotes/erins`), { revision: 2 })));
+check('estimator cannot update others\' quotes', () => assertFails(updateDoc(doc(as('erin'), `${ORG}/quotes/pauls`), { revision: 2 })));
+check('approver updates anyone\'s quote', () => assertSucceeds(updateDoc(doc(as('paul'), `${ORG}/quotes/erins`), { deleted: true })));
+check('ownership cannot change', () => assertFails(updateDoc(doc(as('paul'), `${ORG}/quotes/erins`), { ownerId: 'paul' })));
+check('quotes are never hard-deleted', () => assertFails(deleteDoc(doc(as('alice'), `${ORG}/quotes/erins`))));
+check('clients cannot assign quote numbers', () => assertFails(updateDoc(doc(as('erin'), `${ORG}/quotes/erins`), { quoteNumber: 'Q-2026-00001' })));
+check('quote counters are server-only', () => assertFails(getDoc(doc(as('alice'), `${APP}/counters/quoteNumbers`))));
+check('estimator archives a revision of own quote', () => assertSucceeds(setDoc(doc(as('erin'), `${ORG}/quotes/erins/revisions/1`), quote('erin'))));
+check('viewer cannot archive revisions', () => assertFails(setDoc(doc(as('vic'), `${ORG}/quotes/erins/revisions/9`), quote('erin'))));
+
+// --- Approval workflow ---
+const moveStatus = (uid, quoteId, from, to, root = ORG) => {
+  const db = as(uid);
+  const batch = writeBatch(db);
+  batch.update(doc(db, `${root}/quotes/${quoteId}`), { status: to, statusChangedBy: uid });
+  batch.set(doc(db, `${root}/quotes/${quoteId}/audit/entry`), { from, to, by: uid, comment: null });
+  return batch.commit();
+};
+check('estimator submits own quote for review', () => assertSucceeds(moveStatus('erin', 'erins', 'draft', 'pending-review')));
+check('estimator cannot submit others\' quotes', () => assertFails(moveStatus('erin', 'pauls', 'draft', 'pending-review')));
+check('estimator cannot approve', () => assertFails(moveStatus('erin', 'pending', 'pending-review', 'approved')));
+check('approver approves', () => assertSucceeds(moveStatus('paul', 'pending', 'pending-review', 'approved')));
+check('statuses cannot be skipped', () => assertFails(moveStatus('paul', 'erins', 'draft', 'approved')));
+check('audit entry must match the change', () => assertFails(moveStatus('paul', 'pending', 'draft', 'approved')));
+check('status changes cannot carry content edits', () => assertFails(updateDoc(doc(as('paul'), `${ORG}/quotes/pending`), { status: 'approved', fileName: 'other.stl' })));
+check('approved quotes are locked', () => assertFails(updateDoc(doc(as('paul'), `${ORG}/quotes/approved`), { revision: 2 })));
+check('approved quotes cannot be revised', () => assertFails(setDoc(doc(as('erin'), `${ORG}/quotes/approved/revisions/1`), quote('erin', 'approved'))));
+check('owner marks an approved quote sent', () => assertSucceeds(moveStatus('erin', 'approved', 'approved', 'sent')));
+check('approver reopens an approved quote', () => assertSucceeds(moveStatus('paul', 'approved', 'approved', 'draft')));
+check('audit entries are immutable', async () => {
+  await moveStatus('erin', 'erins', 'draft', 'pending-review');
+  await assertFails(updateDoc(doc(as('alice'), `${ORG}/quotes/erins/audit/entry`), { comment: 'rewritten' }));
+});
+check('new quotes start as drafts', () => assertFails(setDoc(doc(as('erin'), `${ORG}/quotes/e4`), quote('erin', 'approved'))));
+check('locked private quotes stay locked', () => assertFails(updateDoc(doc(as('erin'), `${APP}/users/erin/quotes/locked`), { fileName: 'x.stl' })));
+check('private quote owner cannot skip statuses', () => assertFails(moveStatus('erin', 'private', 'draft', 'approved', `${APP}/users/erin`)));
+check('private quotes only take known statuses', () => assertFails(updateDoc(doc(as('erin'), `${APP}/users/erin/quotes/private`), { status: 'archived' })));
+check('private quote owner submits for review', () => assertSucceeds(moveStatus('erin', 'private', 'draft', 'pending-review', `${APP}/users/erin`)));
+check('private quote owner approves without a role', () => assertSucceeds(moveStatus('erin', 'review', 'pending-review', 'approved', `${APP}/users/erin`)));
+check('private won quotes cannot go back to draft', () => assertFails(moveStatus('erin', 'locked', 'won', 'draft', `${APP}/users/erin`)));
+
+// --- Members ---
+check('members list the team', () => assertSucceeds(getDocs(collection(as('vic'), `${ORG}/members`))));
+check('admin changes a role', () => assertSucceeds(updateDoc(doc(as('alice'), `${ORG}/members/vic`), { role: 'estimator' })));
+check('admin cannot demote themselves', () => assertFails(updateDoc(doc(as('alice'), `${ORG}/members/alice`), { role: 'viewer' })));
+check('non-admin cannot change roles', () => assertFails(updateDoc(doc(as('paul'), `${ORG}/members/erin`), { role: 'admin' })));
+check('unknown roles are rejected', () => assertFails(updateDoc(doc(as('alice'), `${ORG}/members/vic`), { role: 'owner' })));
+check('users cannot add themselves without an invite', () => assertFails(setDoc(doc(as('mallory', 'mallory@evil.test'), `${ORG}/members/mallory`), { role: 'viewer' })));
+check('members can leave', () => assertSucceeds(deleteDoc(doc(as('vic'), `${ORG}/members/vic`))));
+check('admins cannot leave', () => assertFails(deleteDoc(doc(as('alice'), `${ORG}/members/alice`))));
+
+// --- Invites ---
+check('invitee reads own invite', () => assertSucceeds(getDoc(doc(as('newbie', 'new@acme.test'), `${APP}/invites/new@acme.test`))));
+check('unverified email cannot read the invite', () => assertFails(getDoc(doc(
+  testEnv.authenticatedContext('faker', { email: 'new@acme.test', email_verified: false }).firestore(), `${APP}/invites/new@acme.test`,
+))));
+check('admin lists org invites', () => assertSucceeds(getDocs(query(collection(as('alice'), `${APP}/invites`), where('orgId', '==', 'acme')))));
+check('non-admin cannot invite', () => assertFails(setDoc(doc(as('paul'), `${APP}/invites/x@acme.test`), { email: 'x@acme.test', orgId: 'acme', role: 'admin' })));
+check('invitee cannot take a higher role than invited', () => assertFails(setDoc(doc(as('newbie', 'new@acme.test'), `${ORG}/members/newbie`), { role: 'admin' })));
+check('invitee accepts with the invited role', async () => {
+  const db = as('newbie', 'new@acme.test');
+  const batch = writeBatch(db);
+  batch.set(doc(db, `${ORG}/members/newbie`), { role: 'estimator', email: 'new@acme.test' });
+  batch.delete(doc(db, `${APP}/invites/new@acme.test`));
+  batch.set(doc(db, `${APP}/users/newbie`), { orgId: 'acme' }, { merge: true });
+  await assertSucceeds(batch.commit());
+});
+
+// --- New workspaces ---
+check('anyone signed in founds a new org as its admin', async () => {
+  const db = as('zoe');
+  const batch = writeBatch(db);
+  batch.set(doc(db, `${APP}/orgs/zeta`), { name: 'Zeta', createdBy: 'zoe' });
+  batch.set(doc(db, `${APP}/orgs/zeta/members/zoe`), { role: 'admin' });
+  await assertSucceeds(batch.commit());
+});
+check('nobody claims admin of an existing org', () => assertFails(setDoc(doc(as('mallory'), `${ORG}/members/mallory`), { role: 'admin' })));
+
+let failures = 0;
+for (const { name, run } of checks) {
+  await testEnv.clearFirestore();
+  await seed();
+  try {
+    await run();
+    console.log(`ok   ${name}`);
+  } catch (error) {
+    failures++;
+    console.error(`FAIL ${name}: ${error.message}`);
+  }
+}
+await testEnv.cleanup();
+console.log(`${checks.length - failures}/${checks.length} rule checks passed`);
+process.exit(failures > 0 ? 1 : 0);
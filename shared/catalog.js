@@ -0,0 +1,35 @@
+// shared/catalog.js
+// Field validation shared by the editable catalogs (materials, presses, operations).
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,47}$/;
+
+/**
+ * Coerces form or JSON input into a catalog entry: a lowercase id, trimmed
+ * text fields and range-checked numbers.
+ * @param {object} input
+ * @param {{ text: string[], required: string[], numeric: Object<string, [number, number]> }} schema
+ * @returns {{ item: object, errors: string[] }}
+ */
+export const validateCatalogItem = (input = {}, { text, required, numeric }) => {
+  const errors = [];
+  const item = { id: String(input.id ?? '').trim().toLowerCase() };
+
+  if (!ID_PATTERN.test(item.id)) {
+    errors.push('id must be 1-48 lowercase letters, digits or dashes.');
+  }
+  for (const field of text) {
+    item[field] = String(input[field] ?? '').trim();
+    if (required.includes(field) && !item[field]) errors.push(`${field} is required.`);
+  }
+  for (const [field, [min, max]] of Object.entries(numeric)) {
+    const value = Number(input[field]);
+    if (input[field] === '' || input[field] === null || !Number.isFinite(value)) {
+      errors.push(`${field} must be a number.`);
+    } else if (value < min || value > max) {
+      errors.push(`${field} must be between ${min} and ${max}.`);
+    }
+    item[field] = value;
+  }
+
+  return { item, errors };
+};
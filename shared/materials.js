@@ -0,0 +1,73 @@
+// shared/materials.js
+// Default resin catalog and validation, shared by api/materials.js and the React client.
+
+import { validateCatalogItem } from './catalog.js';
+
+/**
+ * @typedef {Object} Material
+ * @property {string} id - URL-safe key, e.g. 'pa66-gf30'
+ * @property {string} name
+ * @property {number} density - g/cm³
+ * @property {number} pricePerKg - USD per kg of virgin resin
+ * @property {number} meltTemp - Recommended melt temperature, °C
+ * @property {number} moldTemp - Recommended mold surface temperature, °C
+ * @property {number} ejectTemp - Part can be ejected once its center cools to this, °C
+ * @property {number} shrinkage - Linear mold shrinkage, %
+ * @property {number} thermalDiffusivity - mm²/s, drives the cooling time
+ * @property {number} cavityPressure - Average cavity pressure, bar; drives the clamp force
+ * @property {number} maxRegrindPct - Highest regrind share the grade tolerates, %
+ * @property {string} supplier
+ */
+
+/** @type {Material[]} */
+export const DEFAULT_MATERIALS = [
+  { id: 'abs', name: 'ABS (Acrylonitrile Butadiene Styrene)', density: 1.05, pricePerKg: 3.50, meltTemp: 240, moldTemp: 60, ejectTemp: 85, shrinkage: 0.5, thermalDiffusivity: 0.11, cavityPressure: 400, maxRegrindPct: 25, supplier: 'Trinseo (Magnum)' },
+  { id: 'pp', name: 'PP (Polypropylene)', density: 0.90, pricePerKg: 2.10, meltTemp: 220, moldTemp: 40, ejectTemp: 90, shrinkage: 1.5, thermalDiffusivity: 0.08, cavityPressure: 300, maxRegrindPct: 30, supplier: 'LyondellBasell (Moplen)' },
+  { id: 'pc', name: 'PC (Polycarbonate)', density: 1.20, pricePerKg: 5.80, meltTemp: 300, moldTemp: 90, ejectTemp: 125, shrinkage: 0.6, thermalDiffusivity: 0.13, cavityPressure: 550, maxRegrindPct: 20, supplier: 'Covestro (Makrolon)' },
+  { id: 'pa66-gf30', name: 'PA66-GF30 (Nylon 66, 30% Glass Fiber)', density: 1.36, pricePerKg: 4.20, meltTemp: 290, moldTemp: 85, ejectTemp: 160, shrinkage: 0.5, thermalDiffusivity: 0.14, cavityPressure: 600, maxRegrindPct: 15, supplier: 'BASF (Ultramid A3EG6)' },
+  { id: 'pom', name: 'POM (Acetal Copolymer)', density: 1.41, pricePerKg: 3.10, meltTemp: 200, moldTemp: 90, ejectTemp: 140, shrinkage: 2.0, thermalDiffusivity: 0.11, cavityPressure: 450, maxRegrindPct: 25, supplier: 'Celanese (Hostaform)' },
+  { id: 'tpe', name: 'TPE (Thermoplastic Elastomer, SEBS)', density: 1.10, pricePerKg: 4.80, meltTemp: 200, moldTemp: 30, ejectTemp: 60, shrinkage: 1.5, thermalDiffusivity: 0.09, cavityPressure: 250, maxRegrindPct: 20, supplier: 'Kraiburg TPE (Thermolast K)' },
+];
+
+const MATERIAL_SCHEMA = {
+  text: ['name', 'supplier'],
+  required: ['name'],
+  // Field → [min, max]
+  numeric: {
+    density: [0.5, 3],
+    pricePerKg: [0, 1000],
+    meltTemp: [100, 450],
+    moldTemp: [0, 250],
+    ejectTemp: [0, 300],
+    shrinkage: [0, 5],
+    thermalDiffusivity: [0.01, 1],
+    cavityPressure: [50, 2000],
+    maxRegrindPct: [0, 100],
+  },
+};
+
+/**
+ * Coerces form or JSON input into a Material and lists anything wrong with it.
+ * @param {object} input
+ * @returns {{ material: Material, errors: string[] }}
+ */
+export const validateMaterial = (input = {}) => {
+  const { item: material, errors } = validateCatalogItem(input, MATERIAL_SCHEMA);
+  if (material.moldTemp >= material.meltTemp) {
+    errors.push('moldTemp must be below meltTemp.');
+  }
+  if (material.ejectTemp <= material.moldTemp || material.ejectTemp >= material.meltTemp) {
+    errors.push('ejectTemp must be between moldTemp and meltTemp.');
+  }
+  return { material, errors };
+};
+
+/**
+ * Looks a material up by id, falling back to its name (quotes saved before
+ * materials had ids stored the name) and finally to the first entry.
+ * @param {Material[]} materials
+ * @param {string} materialId
+ */
+export const findMaterial = (materials, materialId) => (
+  materials.find(m => m.id === materialId) || materials.find(m => m.name === materialId) || materials[0]
+);
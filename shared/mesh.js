@@ -0,0 +1,165 @@
+// shared/mesh.js
+// Triangle-mesh measurements shared by api/_lib/geometry.js and the browser's instant pre-analysis
+// (src/stlWorker.js): vertex welding, topology, bounding box, volume, surface and projected area.
+// All mesh coordinates are treated as millimetres.
+
+// Thinnest wall flagged as moldable unless the upload asks for another minimum; the upload card
+// starts from it and the server falls back to it.
+export const DEFAULT_MIN_WALL_MM = 0.8;
+const WELD_TOLERANCE_MM = 1e-4;
+const PROJECTION_GRID_CELLS = 256;
+
+// --- MESH TOPOLOGY ---
+
+/**
+ * Merges coincident vertices so triangles can share edges.
+ * @param {Float32Array} positions - 9 floats per triangle.
+ * @returns {{ vertices: Float64Array, indices: Uint32Array }}
+ */
+export const weldVertices = (positions) => {
+  const lookup = new Map();
+  const vertices = [];
+  const indices = new Uint32Array(positions.length / 3);
+
+  for (let i = 0; i < positions.length; i += 3) {
+    const x = positions[i], y = positions[i + 1], z = positions[i + 2];
+    const key = `${Math.round(x / WELD_TOLERANCE_MM)},${Math.round(y / WELD_TOLERANCE_MM)},${Math.round(z / WELD_TOLERANCE_MM)}`;
+    let index = lookup.get(key);
+    if (index === undefined) {
+      index = vertices.length / 3;
+      lookup.set(key, index);
+      vertices.push(x, y, z);
+    }
+    indices[i / 3] = index;
+  }
+
+  return { vertices: Float64Array.from(vertices), indices };
+};
+
+/**
+ * Checks that every edge is shared by exactly two triangles with opposite winding.
+ * @param {Uint32Array} indices
+ * @returns {{ isWatertight: boolean, openEdges: number, nonManifoldEdges: number, inconsistentEdges: number }}
+ */
+export const checkTopology = (indices) => {
+  const edges = new Map();
+  for (let t = 0; t < indices.length; t += 3) {
+    for (let e = 0; e < 3; e++) {
+      const a = indices[t + e];
+      const b = indices[t + ((e + 1) % 3)];
+      const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+      const entry = edges.get(key) || { count: 0, forward: 0 };
+      entry.count += 1;
+      if (a < b) entry.forward += 1;
+      edges.set(key, entry);
+    }
+  }
+
+  let openEdges = 0;
+  let nonManifoldEdges = 0;
+  let inconsistentEdges = 0;
+  for (const { count, forward } of edges.values()) {
+    if (count === 1) openEdges++;
+    else if (count > 2) nonManifoldEdges++;
+    else if (forward !== 1) inconsistentEdges++;
+  }
+
+  return {
+    isWatertight: openEdges === 0 && nonManifoldEdges === 0 && inconsistentEdges === 0,
+    openEdges,
+    nonManifoldEdges,
+    inconsistentEdges,
+  };
+};
+
+// --- MEASUREMENTS ---
+
+export const computeBoundingBox = (positions) => {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let axis = 0; axis < 3; axis++) {
+      const value = positions[i + axis];
+      if (value < min[axis]) min[axis] = value;
+      if (value > max[axis]) max[axis] = value;
+    }
+  }
+  return { min, max };
+};
+
+/**
+ * Sums signed tetrahedra (origin + triangle) and the triangle areas.
+ * @returns {{ volumeMm3: number, surfaceAreaMm2: number, isInverted: boolean }}
+ */
+export const computeVolumeAndArea = (positions) => {
+  let signedVolume = 0;
+  let surfaceArea = 0;
+
+  for (let i = 0; i < positions.length; i += 9) {
+    const ax = positions[i], ay = positions[i + 1], az = positions[i + 2];
+    const bx = positions[i + 3], by = positions[i + 4], bz = positions[i + 5];
+    const cx = positions[i + 6], cy = positions[i + 7], cz = positions[i + 8];
+
+    // a · (b × c) / 6
+    signedVolume += (ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx)) / 6;
+
+    const ux = bx - ax, uy = by - ay, uz = bz - az;
+    const vx = cx - ax, vy = cy - ay, vz = cz - az;
+    const nx = uy * vz - uz * vy;
+    const ny = uz * vx - ux * vz;
+    const nz = ux * vy - uy * vx;
+    surfaceArea += Math.sqrt(nx * nx + ny * ny + nz * nz) / 2;
+  }
+
+  // Inverted winding produces a negative sum; magnitude is still the volume.
+  return { volumeMm3: Math.abs(signedVolume), surfaceAreaMm2: surfaceArea, isInverted: signedVolume < 0 };
+};
+
+/**
+ * Rasterizes the mesh onto the plane normal to the pull axis and counts
+ * covered cells. Unlike summing upward-facing triangles, this does not
+ * double count overlapping features such as ribs under a lid.
+ * @param {number} [pullAxis=2] - 0, 1 or 2 for X, Y or Z.
+ */
+export const computeProjectedArea = (positions, boundingBox, pullAxis = 2) => {
+  const [u, v] = [0, 1, 2].filter(axis => axis !== pullAxis);
+  const minX = boundingBox.min[u];
+  const minY = boundingBox.min[v];
+  const spanX = boundingBox.max[u] - minX;
+  const spanY = boundingBox.max[v] - minY;
+  if (spanX <= 0 || spanY <= 0) return 0;
+
+  const cell = Math.max(spanX, spanY) / PROJECTION_GRID_CELLS;
+  const cols = Math.max(1, Math.ceil(spanX / cell));
+  const rows = Math.max(1, Math.ceil(spanY / cell));
+  const covered = new Uint8Array(cols * rows);
+
+  for (let i = 0; i < positions.length; i += 9) {
+    const ax = positions[i + u] - minX, ay = positions[i + v] - minY;
+    const bx = positions[i + 3 + u] - minX, by = positions[i + 3 + v] - minY;
+    const cx = positions[i + 6 + u] - minX, cy = positions[i + 6 + v] - minY;
+
+    const area2 = (bx - ax) * (cy - ay) - (cx - ax) * (by - ay);
+    if (Math.abs(area2) < 1e-12) continue; // Wall parallel to the pull direction
+
+    const colStart = Math.max(0, Math.floor(Math.min(ax, bx, cx) / cell));
+    const colEnd = Math.min(cols - 1, Math.floor(Math.max(ax, bx, cx) / cell));
+    const rowStart = Math.max(0, Math.floor(Math.min(ay, by, cy) / cell));
+    const rowEnd = Math.min(rows - 1, Math.floor(Math.max(ay, by, cy) / cell));
+
+    for (let row = rowStart; row <= rowEnd; row++) {
+      const py = (row + 0.5) * cell;
+      for (let col = colStart; col <= colEnd; col++) {
+        const px = (col + 0.5) * cell;
+        const w0 = ((bx - px) * (cy - py) - (cx - px) * (by - py)) / area2;
+        const w1 = ((cx - px) * (ay - py) - (ax - px) * (cy - py)) / area2;
+        const w2 = 1 - w0 - w1;
+        if (w0 >= 0 && w1 >= 0 && w2 >= 0) covered[row * cols + col] = 1;
+      }
+    }
+  }
+
+  let coveredCells = 0;
+  for (let i = 0; i < covered.length; i++) coveredCells += covered[i];
+  return coveredCells * cell * cell;
+};
@@ -0,0 +1,43 @@
+// shared/operations.js
+// Default secondary-operations catalog and validation, shared by api/operations.js and the React client.
+
+import { validateCatalogItem } from './catalog.js';
+
+/**
+ * @typedef {Object} Operation
+ * @property {string} id
+ * @property {string} name
+ * @property {string} unit - What the per-part rate counts, e.g. 'part', 'insert', 'color'
+ * @property {number} setupCost - Once per production run: fixtures, tooling, first-article check, USD
+ * @property {number} ratePerUnit - USD per unit, charged `count` times on every part
+ */
+
+/** @type {Operation[]} */
+export const DEFAULT_OPERATIONS = [
+  { id: 'pad-print', name: 'Pad printing', unit: 'color', setupCost: 150, ratePerUnit: 0.08 },
+  { id: 'ultrasonic-weld', name: 'Ultrasonic welding', unit: 'part', setupCost: 400, ratePerUnit: 0.18 },
+  { id: 'heat-stake-insert', name: 'Heat-stake threaded insert', unit: 'insert', setupCost: 250, ratePerUnit: 0.12 },
+  { id: 'assembly', name: 'Manual assembly', unit: 'minute', setupCost: 100, ratePerUnit: 0.55 },
+  { id: 'custom-packaging', name: 'Custom packaging', unit: 'part', setupCost: 300, ratePerUnit: 0.1 },
+  { id: 'texture', name: 'Mold texture (chemical etch)', unit: 'part', setupCost: 1800, ratePerUnit: 0 },
+];
+
+const OPERATION_SCHEMA = {
+  text: ['name', 'unit'],
+  required: ['name', 'unit'],
+  // Field → [min, max]
+  numeric: {
+    setupCost: [0, 100000],
+    ratePerUnit: [0, 1000],
+  },
+};
+
+/**
+ * Coerces form or JSON input into an Operation and lists anything wrong with it.
+ * @param {object} input
+ * @returns {{ operation: Operation, errors: string[] }}
+ */
+export const validateOperation = (input = {}) => {
+  const { item: operation, errors } = validateCatalogItem(input, OPERATION_SCHEMA);
+  return { operation, errors };
+};
@@ -0,0 +1,48 @@
+// shared/presses.js
+// Default injection press list and validation, shared by api/presses.js and the React client.
+
+import { validateCatalogItem } from './catalog.js';
+
+/**
+ * @typedef {Object} Press
+ * @property {string} id
+ * @property {string} name
+ * @property {number} tonnage - Maximum clamp force, metric tonnes
+ * @property {number} tieBarH - Clear horizontal distance between tie bars, mm
+ * @property {number} tieBarV - Clear vertical distance between tie bars, mm
+ * @property {number} maxShotCm3 - Barrel capacity, cm³ of melt
+ * @property {number} ratePerHour - Machine hour rate including operator, USD
+ */
+
+/** @type {Press[]} */
+export const DEFAULT_PRESSES = [
+  { id: 'p50', name: '50 t all-electric', tonnage: 50, tieBarH: 320, tieBarV: 320, maxShotCm3: 60, ratePerHour: 45 },
+  { id: 'p100', name: '100 t hydraulic', tonnage: 100, tieBarH: 410, tieBarV: 410, maxShotCm3: 150, ratePerHour: 52 },
+  { id: 'p180', name: '180 t hydraulic', tonnage: 180, tieBarH: 520, tieBarV: 470, maxShotCm3: 330, ratePerHour: 65 },
+  { id: 'p250', name: '250 t hydraulic', tonnage: 250, tieBarH: 580, tieBarV: 580, maxShotCm3: 550, ratePerHour: 75 },
+  { id: 'p350', name: '350 t two-platen', tonnage: 350, tieBarH: 710, tieBarV: 710, maxShotCm3: 900, ratePerHour: 82 },
+  { id: 'p500', name: '500 t two-platen', tonnage: 500, tieBarH: 820, tieBarV: 820, maxShotCm3: 1600, ratePerHour: 90 },
+];
+
+const PRESS_SCHEMA = {
+  text: ['name'],
+  required: ['name'],
+  // Field → [min, max]
+  numeric: {
+    tonnage: [5, 5000],
+    tieBarH: [100, 3000],
+    tieBarV: [100, 3000],
+    maxShotCm3: [1, 50000],
+    ratePerHour: [0, 1000],
+  },
+};
+
+/**
+ * Coerces form or JSON input into a Press and lists anything wrong with it.
+ * @param {object} input
+ * @returns {{ press: Press, errors: string[] }}
+ */
+export const validatePress = (input = {}) => {
+  const { item: press, errors } = validateCatalogItem(input, PRESS_SCHEMA);
+  return { press, errors };
+};
@@ -0,0 +1,32 @@
+// shared/quoteSchema.js
+// Versions of the saved quote document, and the upgrade from older ones. The app reads quotes
+// through it (src/quoteRepository.js, src/quoteImport.js) and so does the server (API/_lib/quote-records.js).
+
+// Bump when the document shape changes and teach migrateQuote to upgrade the old shape.
+// 0: single part at the top level (fileName, analysisData), no revisions.
+// 1: `parts` list, `revision` counter, soft delete fields.
+// 2: `status` (see src/quoteStatus.js), with its changes recorded in the audit subcollection.
+export const QUOTE_SCHEMA_VERSION = 2;
+
+// Upgrades a stored document to the current schema, one version at a time, so readers only deal with one shape.
+export const migrateQuote = (quote) => {
+  let migrated = quote;
+  if ((migrated.schemaVersion ?? 0) < 1) {
+    migrated = {
+      ...migrated,
+      schemaVersion: 1,
+      revision: 1,
+      deleted: false,
+      parts: [{
+        fileName: quote.fileName,
+        analysisData: quote.analysisData,
+        materialId: quote.parameters?.materialId,
+        quantity: quote.parameters?.quantity,
+      }],
+    };
+  }
+  if (migrated.schemaVersion < 2) {
+    migrated = { ...migrated, schemaVersion: 2, status: 'draft' };
+  }
+  return migrated;
+};
@@ -0,0 +1,73 @@
+// shared/stl.js
+// Parses binary and ASCII STL files into a flat triangle soup; used by api/analyze.js and by the
+// browser's instant pre-analysis (src/stlWorker.js).
+
+const BINARY_HEADER_BYTES = 80;
+const BINARY_TRIANGLE_BYTES = 50;
+
+// A binary STL is exactly header + count + 50 bytes per facet. Some exporters
+// write "solid" into the binary header, so the size check wins over the keyword.
+const isBinaryStl = (bytes) => {
+  if (bytes.byteLength < BINARY_HEADER_BYTES + 4) return false;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const triangleCount = view.getUint32(BINARY_HEADER_BYTES, true);
+  const expectedSize = BINARY_HEADER_BYTES + 4 + triangleCount * BINARY_TRIANGLE_BYTES;
+  if (expectedSize === bytes.byteLength) return true;
+
+  const head = new TextDecoder().decode(bytes.subarray(0, Math.min(bytes.byteLength, 512)));
+  return !/^\s*solid/i.test(head) || !/facet/i.test(head);
+};
+
+const parseBinaryStl = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const declaredCount = view.getUint32(BINARY_HEADER_BYTES, true);
+  const availableCount = Math.floor((bytes.byteLength - BINARY_HEADER_BYTES - 4) / BINARY_TRIANGLE_BYTES);
+  if (declaredCount > availableCount) {
+    throw new Error(`Truncated binary STL: header declares ${declaredCount} triangles but file holds ${availableCount}.`);
+  }
+
+  const positions = new Float32Array(declaredCount * 9);
+  for (let i = 0; i < declaredCount; i++) {
+    // Skip the 12-byte facet normal; normals are recomputed from the winding.
+    const offset = BINARY_HEADER_BYTES + 4 + i * BINARY_TRIANGLE_BYTES + 12;
+    for (let j = 0; j < 9; j++) {
+      positions[i * 9 + j] = view.getFloat32(offset + j * 4, true);
+    }
+  }
+  return positions;
+};
+
+const parseAsciiStl = (bytes) => {
+  const text = new TextDecoder().decode(bytes);
+  const vertexPattern = /vertex\s+([-+\d.eE]+)\s+([-+\d.eE]+)\s+([-+\d.eE]+)/g;
+  const coords = [];
+  let match;
+  while ((match = vertexPattern.exec(text)) !== null) {
+    coords.push(parseFloat(match[1]), parseFloat(match[2]), parseFloat(match[3]));
+  }
+  if (coords.length % 9 !== 0) {
+    throw new Error('Malformed ASCII STL: vertex count is not a multiple of three.');
+  }
+  return new Float32Array(coords);
+};
+
+/**
+ * Parses an STL file (binary or ASCII).
+ * @param {Uint8Array} bytes - Raw file contents (a Node Buffer works too).
+ * @returns {{ positions: Float32Array, triangleCount: number, format: 'binary'|'ascii' }}
+ */
+export const parseStl = (bytes) => {
+  const format = isBinaryStl(bytes) ? 'binary' : 'ascii';
+  const positions = format === 'binary' ? parseBinaryStl(bytes) : parseAsciiStl(bytes);
+
+  if (positions.length === 0) {
+    throw new Error('STL file contains no triangles.');
+  }
+  for (let i = 0; i < positions.length; i++) {
+    if (!Number.isFinite(positions[i])) {
+      throw new Error('STL file contains non-finite vertex coordinates.');
+    }
+  }
+
+  return { positions, triangleCount: positions.length / 9, format };
+};
@@ -0,0 +1,127 @@
+// shared/units.js
+// Length units of uploaded models. STEP declares its unit; STL and OBJ carry none, so theirs is
+// guessed from the part's size. Geometry is converted to millimetres before it is measured (server
+// and browser estimate alike), and the quote's unit override rescales finished results.
+
+import { computeBoundingBox } from './mesh.js';
+
+export const LENGTH_UNITS = {
+  mm: { label: 'Millimetres', toMm: 1 },
+  cm: { label: 'Centimetres', toMm: 10 },
+  m: { label: 'Metres', toMm: 1000 },
+  in: { label: 'Inches', toMm: 25.4 },
+};
+
+// A file is read in millimetres unless its largest side would be absurdly small (a 2 mm pin is
+// a real part); only then is another unit guessed, one that makes it a typical molded part.
+const MIN_CREDIBLE_PART_MM = 0.5;
+const TYPICAL_PART_MM = { min: 3, max: 1500 };
+// Tried in order. Nothing is smaller than a millimetre, so oversized files stay in mm.
+const GUESSED_UNITS = ['in', 'm'];
+
+const STEP_CONVERSION_UNITS = { INCH: 'in', MILLIMETRE: 'mm', CENTIMETRE: 'cm', METRE: 'm' };
+const STEP_SI_PREFIXES = { '.MILLI.': 'mm', '.CENTI.': 'cm', $: 'm' };
+
+/**
+ * @param {{ min: number[], max: number[] }} boundingBox - in file units
+ * @returns {string} 'mm', or for an absurdly small part the first unit that gives it a typical size
+ */
+export const guessUnitFromSize = ({ min, max }) => {
+  const largest = Math.max(...max.map((value, axis) => value - min[axis]));
+  if (largest >= MIN_CREDIBLE_PART_MM) return 'mm';
+  return GUESSED_UNITS.find(unit => {
+    const size = largest * LENGTH_UNITS[unit].toMm;
+    return size >= TYPICAL_PART_MM.min && size <= TYPICAL_PART_MM.max;
+  }) || 'mm';
+};
+
+// `( LENGTH_UNIT() NAMED_UNIT(*) SI_UNIT(.MILLI.,.METRE.) )` or `( CONVERSION_BASED_UNIT('INCH',#12) ... )`
+const lengthUnitOf = (entity) => {
+  const conversion = /CONVERSION_BASED_UNIT\s*\(\s*'([^']*)'/i.exec(entity);
+  if (conversion) return STEP_CONVERSION_UNITS[conversion[1].trim().toUpperCase()] ?? null;
+  const si = /SI_UNIT\s*\(\s*(\.\w+\.|\$)\s*,\s*\.METRE\.\s*\)/i.exec(entity);
+  return si ? STEP_SI_PREFIXES[si[1].toUpperCase()] ?? null : null;
+};
+
+/**
+ * Reads the length unit of a STEP file's global unit context. Inch files also hold a millimetre
+ * unit (the inch is defined through it), so the context's own reference decides.
+ * @param {Uint8Array} bytes
+ * @returns {string|null} a key of LENGTH_UNITS, or null when there is none we know
+ */
+export const detectStepUnit = (bytes) => {
+  const text = new TextDecoder('latin1').decode(bytes);
+  const context = /GLOBAL_UNIT_ASSIGNED_CONTEXT\s*\(\s*\(([^)]*)\)/i.exec(text);
+  for (const id of context?.[1].match(/#\d+/g) ?? []) {
+    const entity = new RegExp(`${id}\\s*=\\s*([^;]*);`).exec(text)?.[1];
+    if (entity && /\bLENGTH_UNIT\s*\(/i.test(entity)) return lengthUnitOf(entity);
+  }
+  return null;
+};
+
+/**
+ * @typedef {Object} ModelUnits
+ * @property {string} unit - the unit the file was read in; results are converted from it to millimetres
+ * @property {string} detected - what the file declared, or the size-based guess
+ * @property {'file'|'importer'|'size'} source - STEP header, converted by the CAD importer, or guessed
+ */
+
+/**
+ * Scales a mesh to millimetres in the requested unit, or the detected one for 'auto'.
+ * A mesh whose reader already converted it (STEP, IGES) says so with `unit` and `unitSource`.
+ * @param {{ positions: Float32Array, unit?: string, unitSource?: string }} mesh
+ * @param {string} [requested='auto']
+ * @returns {object} the mesh with scaled positions and `units` ({@link ModelUnits})
+ */
+export const applyModelUnits = (mesh, requested = 'auto') => {
+  const detected = mesh.unit
+    ? { unit: mesh.unit, source: mesh.unitSource || 'file' }
+    : { unit: guessUnitFromSize(computeBoundingBox(mesh.positions)), source: 'size' };
+  const unit = LENGTH_UNITS[requested] ? requested : detected.unit;
+  const scale = LENGTH_UNITS[unit].toMm / LENGTH_UNITS[mesh.unit || 'mm'].toMm;
+
+  const positions = scale === 1 ? mesh.positions : mesh.positions.map(value => value * scale);
+  return { ...mesh, positions, units: { unit, detected: detected.unit, source: detected.source } };
+};
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+/**
+ * Rescales an analysis result to the requested unit ('auto' restores the detected one), so the
+ * quote follows an override without analyzing the file again. Which walls count as thin, and the
+ * DFM findings, stay as analyzed; uploading again with the right unit re-checks them.
+ * @param {object} analysisData - results without `units` predate detection and are millimetres
+ * @param {string} [requested='auto']
+ */
+export const convertAnalysisUnits = (analysisData, requested = 'auto') => {
+  const units = analysisData.units ?? { unit: 'mm', detected: 'mm', source: 'size' };
+  const unit = LENGTH_UNITS[requested] ? requested : units.detected;
+  const scale = LENGTH_UNITS[unit].toMm / LENGTH_UNITS[units.unit].toMm;
+  if (scale === 1) return analysisData;
+
+  const length = (value) => (value == null ? value : round(value * scale, 2));
+  const area = (value) => (value == null ? value : round(value * scale * scale, 2));
+  const { dimensions, thickness } = analysisData;
+  return {
+    ...analysisData,
+    volume: round(analysisData.volume * scale ** 3, 3),
+    dimensions: { length: length(dimensions.length), width: length(dimensions.width), height: length(dimensions.height) },
+    wallThickness: length(analysisData.wallThickness),
+    thickness: thickness && {
+      ...thickness,
+      min: length(thickness.min),
+      max: length(thickness.max),
+      mean: length(thickness.mean),
+      histogram: thickness.histogram.map(bin => ({ ...bin, from: length(bin.from), to: length(bin.to) })),
+      thinRegions: thickness.thinRegions.map(region => ({
+        ...region,
+        thickness: length(region.thickness),
+        area: area(region.area),
+        center: region.center.map(length),
+      })),
+    },
+    surfaceArea: area(analysisData.surfaceArea),
+    projectedArea: area(analysisData.projectedArea),
+    units: { ...units, unit },
+  };
+};
@@ -1,181 +1,272 @@
 // src/App.jsx
-import React, { useState, useMemo, useEffect } from 'react';
-import { Upload, Sliders, DollarSign, Zap, AlertTriangle, Cpu, Globe, Save, Trash2, History } from 'lucide-react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, addDoc, onSnapshot, collection, query, orderBy, deleteDoc } from 'firebase/firestore';
+import React, { useState, useMemo, useEffect, useRef, lazy, Suspense } from 'react';
+import { Upload, Sliders, DollarSign, Zap, AlertTriangle, Cpu, Globe, Save, Trash2, History, ShieldAlert, Database, Undo2, Users, Lock, ClipboardList, FileText, Download, FileUp } from 'lucide-react';
+import { onAuthStateChanged } from 'firebase/auth';
+import { onSnapshot, collection } from 'firebase/firestore';
+import { DEFAULT_MATERIALS, findMaterial } from '../shared/materials.js';
+import { DEFAULT_PRESSES } from '../shared/presses.js';
+import { DEFAULT_OPERATIONS } from '../shared/operations.js';
+import { DEFAULT_MIN_WALL_MM } from '../shared/mesh.js';
+import { LENGTH_UNITS, convertAnalysisUnits } from '../shared/units.js';
+import { JOB_STAGE_LABELS, watchJob, saveActiveJob, loadActiveJobs, clearActiveJobs } from './jobWatcher.js';
+import { isZipFile, extractZip } from './zipArchive.js';
+import { canPreAnalyze, preAnalyzeStl } from './preAnalysis.js';
+import { materialsClient, pressesClient, operationsClient } from './catalogApi.js';
+import { CYCLE_PHASES } from './cycleTime.js';
+import { STEEL_CLASSES, RUNNER_TYPES, SPI_FINISHES } from './toolingEstimate.js';
+import { COLOR_OPTIONS, resolveColor, usesMasterbatch } from './colorant.js';
+import { SCRAP_RATE, CAVITY_OPTIONS, calculateQuote, calculatePriceBreaks, calculateConsolidatedQuote } from './quoteCalculator.js';
+import { getFirebase, appId, getPrivateCollectionPath, getTeamCollectionPath, AUTH_TOKEN_ENDPOINT, signInAsGuest, signInWithBackendToken } from './firebase.js';
+import { fromSnapshot, saveQuote, importQuotes, listRevisions, softDeleteQuote, restoreQuote, changeQuoteStatus, listAuditTrail } from './quoteRepository.js';
+import { QUOTE_STATUSES, statusOf, isLocked, availableTransitions } from './quoteStatus.js';
+import { watchWorkspace, canEditTeamQuote } from './workspaceRepository.js';
+import { downloadQuotePdf } from './quoteDocument.js';
+import { exportQuotes } from './quoteExport.js';
+import { parseQuoteImport } from './quoteImport.js';
+import CatalogAdmin from './CatalogAdmin.jsx';
+import AuthPanel from './AuthPanel.jsx';
+import WorkspacePanel from './WorkspacePanel.jsx';
 
-// --- FIREBASE CONFIG & INITIALIZATION ---
-// NOTE FOR VERCEL DEPLOYMENT: These variables are set to null/default values 
-// to ensure the application builds successfully in a standard environment.
+// three.js is only downloaded once there is a part to show.
+const PartViewer = lazy(() => import('./PartViewer.jsx'));
 
-const appId = 'default-app-id'; 
-const firebaseConfig = null; 
-const initialAuthToken = null; 
+// --- FIREBASE CONFIG & INITIALIZATION ---
+// Configured from VITE_FIREBASE_* environment variables in firebase.js; without them the app runs with history disabled.
+const firebase = getFirebase();
 
 // --- DATA MODELS & CONSTANTS (rest omitted for brevity) ---
-const MATERIALS = [
-  { name: 'ABS (Acrylonitrile Butadiene Styrene)', density: 1.05, pricePerKg: 3.50, factor: 0.8 },
-  { name: 'PP (Polypropylene)', density: 0.90, pricePerKg: 2.10, factor: 0.5 },
-  { name: 'PC (Polycarbonate)', density: 1.20, pricePerKg: 5.80, factor: 1.2 },
-];
-const MACHINE_RATES = [
-  { size: 'Small (50-100T)', ratePerHour: 45, maxMoldSize: 300 },
-  { size: 'Medium (100-250T)', ratePerHour: 65, maxMoldSize: 550 },
-  { size: 'Large (250-500T)', ratePerHour: 90, maxMoldSize: 900 },
-];
-const MOLD_BASE_MULTIPLIER = 2.8;
-const BASE_CYCLE_TIME_S = 5;
-const THICKNESS_FACTOR = 4;
-const SCRAP_RATE = 0.05;
-const COLOR_PREMIUM_PERCENTAGE = 0.02;
+// Materials, presses and secondary operations come from /api/materials, /api/presses and /api/operations (defaults in shared/).
+const UNDO_DELETE_MS = 10 * 1000; // How long a deleted quote can be brought back from the toast
+const PULL_DIRECTIONS = ['+z', '-z', '+y', '-y', '+x', '-x'];
+const CAD_EXTENSIONS = ['stl', 'step', 'stp', 'iges', 'igs', 'sldprt', 'ipt'];
+const MAX_PARTS = 6; // Largest assembly quoted at once
+const EMPTY_ANALYSIS = { volume: 0, dimensions: { length: 0, width: 0, height: 0 }, wallThickness: 0, accuracy: 'none' };
+const UNIT_SOURCES = {
+  file: 'from the STEP header',
+  importer: 'converted on import',
+  size: 'guessed from part size',
+};
+const SEVERITY_STYLES = {
+  critical: 'border-red-700 bg-red-900/30 text-red-300',
+  warning: 'border-yellow-700 bg-yellow-900/30 text-yellow-300',
+  info: 'border-gray-600 bg-gray-700 text-gray-300',
+};
 
 // --- UTILITY FUNCTIONS ---
 const formatCurrency = (value) => `$${value.toFixed(2)}`;
-const getPrivateCollectionPath = (userId) => `/artifacts/${appId}/users/${userId}/quotes`;
-
-// --- CORE CALCULATION LOGIC (Unchanged) ---
-const useQuoteCalculator = (parameters, analysisData) => {
-  const { materialId, quantity, cavities } = parameters;
-  const material = MATERIALS.find(m => m.name === materialId) || MATERIALS[0];
-  const { volume, wallThickness, dimensions } = analysisData;
-
-  const quote = useMemo(() => {
-    if (!analysisData.volume || quantity <= 0 || cavities <= 0) return null;
-
-    // 1. MATERIAL CALCULATIONS (omitted for brevity)
-    const weightG = volume * material.density;
-    const weightKg = weightG / 1000;
-    const materialCostRaw = weightKg * material.pricePerKg;
-    const colorPremium = materialCostRaw * COLOR_PREMIUM_PERCENTAGE;
-    const totalMaterialCost = materialCostRaw + colorPremium;
-
-    // 2. MACHINE CALCULATIONS (omitted for brevity)
-    const cycleTime = BASE_CYCLE_TIME_S + (wallThickness * THICKNESS_FACTOR);
-    const partsPerShot = cavities;
-    const partsPerMinute = (60 / cycleTime) * partsPerShot;
-    const partsPerHour = partsPerMinute * 60;
-    
-    // 3. MOLD & MACHINE SELECTION (omitted for brevity)
-    const moldSizeMM = Math.max(dimensions.length, dimensions.width) * MOLD_BASE_MULTIPLIER;
-    const recommendedMachine = MACHINE_RATES.find(m => moldSizeMM <= m.maxMoldSize) || MACHINE_RATES[MACHINE_RATES.length - 1];
-    const machineCostPerPart = recommendedMachine.ratePerHour / partsPerHour;
-
-    // 4. MOLD AMORTIZATION (omitted for brevity)
-    const moldEstimate = 10000 + (recommendedMachine.ratePerHour * 100); 
-    const moldCostPerPart = moldEstimate / quantity;
-    
-    // 5. FINAL COST AGGREGATION (omitted for brevity)
-    const costBeforeScrap = totalMaterialCost + machineCostPerPart + moldCostPerPart;
-    const scrapCostPerPart = costBeforeScrap * SCRAP_RATE;
-    const totalPerPart = costBeforeScrap * (1 + SCRAP_RATE);
-    const totalQuote = totalPerPart * quantity;
-    
-    return {
-        materialCost: totalMaterialCost,
-        machineCost: machineCostPerPart,
-        moldCost: moldCostPerPart,
-        colorPremium: colorPremium,
-        scrapCost: scrapCostPerPart,
-        totalPerPart: totalPerPart,
-        cycleTime: cycleTime,
-        partsPerHour: partsPerHour,
-        recommendedMachine: recommendedMachine.size,
-        totalQuote: totalQuote,
-    };
-  }, [volume, wallThickness, material.density, material.pricePerKg, quantity, cavities, material.name, material.factor, materialId, analysisData]);
-
-  return quote;
+const getExtension = (name) => name.split('.').pop().toLowerCase();
+const isCadFileName = (name) => CAD_EXTENSIONS.includes(getExtension(name));
+// Which unit the file was read in, and why; results before unit detection were taken as mm.
+const describeUnits = (units, modelUnits) => {
+  if (!units) return 'File assumed in millimetres';
+  const label = LENGTH_UNITS[units.unit].label.toLowerCase();
+  return modelUnits === 'auto' ? `File in ${label}, ${UNIT_SOURCES[units.source]}` : `File in ${label} as selected (detected: ${units.detected})`;
 };
 
+/**
+ * One uploaded part: its analysis job, the analysis result and what the customer wants of it.
+ * jobStatus is 'none' (submitting), 'submitted', 'in-progress', 'complete' or 'failed'; jobId is
+ * cleared once the job has finished. An STL carries a browser estimate (accuracy 'estimated') until
+ * its job completes; estimateMessage says why there is none for a mesh the browser couldn't measure.
+ */
+const createPart = (fileName, { materialId, quantity }, fields = {}) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  fileName,
+  fileExtension: getExtension(fileName),
+  jobId: null,
+  previewJobId: null,
+  file: null,
+  thumbnail: null, // JPEG data URL rendered by the viewer; saved with the quote for its PDF
+  estimateMessage: null,
+  jobStatus: 'none',
+  jobProgress: { stage: null, progress: 0 },
+  errorMessage: null,
+  analysisData: EMPTY_ANALYSIS,
+  materialId,
+  quantity,
+  ...fields,
+});
+
+// --- QUOTE CALCULATION HOOKS ---
+// The math lives in quoteCalculator.js so the price-break table can run it for many volumes.
+const useQuoteCalculator = (parameters, analysisData, materials, presses) => (
+  useMemo(() => calculateQuote(parameters, analysisData, materials, presses), [parameters, analysisData, materials, presses])
+);
+
+const usePriceBreaks = (parameters, analysisData, materials, presses) => (
+  useMemo(() => (analysisData.volume ? calculatePriceBreaks(parameters, analysisData, materials, presses) : []), [parameters, analysisData, materials, presses])
+);
+
 
 // --- REACT APP COMPONENT ---
 export default function App() {
   const [isDarkMode, setIsDarkMode] = useState(true);
-  const [isLoading, setIsLoading] = useState(false);
-  const [fileName, setFileName] = useState(null);
-  const [fileExtension, setFileExtension] = useState(null);
   const [errorMessage, setErrorMessage] = useState(null);
   const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isCatalogAdminOpen, setIsCatalogAdminOpen] = useState(false);
+  const [isWorkspaceOpen, setIsWorkspaceOpen] = useState(false);
+  const [materials, setMaterials] = useState(DEFAULT_MATERIALS);
+  const [presses, setPresses] = useState(DEFAULT_PRESSES);
+  const [operations, setOperations] = useState(DEFAULT_OPERATIONS);
+  const [selectedOperationId, setSelectedOperationId] = useState(DEFAULT_OPERATIONS[0].id);
+  const [minWallThickness, setMinWallThickness] = useState(DEFAULT_MIN_WALL_MM);
+  const [pullDirection, setPullDirection] = useState(PULL_DIRECTIONS[0]);
   
-  // New Polling State
-  const [jobId, setJobId] = useState(null);
-  const [jobStatus, setJobStatus] = useState('none'); // 'none', 'submitted', 'in-progress', 'complete', 'failed'
+  // Parts & Job Tracking State: one analysis job per uploaded part
+  const [parts, setParts] = useState([]);
+  const [selectedPartId, setSelectedPartId] = useState(null);
+  const jobWatchers = useRef(new Map()); // jobId → stop function
   
   // Firebase State (rest omitted for brevity)
-  const [db, setDb] = useState(null);
-  const [userId, setUserId] = useState(null);
+  const db = firebase?.db ?? null;
+  const [user, setUser] = useState(null);
+  const userId = user?.uid ?? null;
   const [isAuthReady, setIsAuthReady] = useState(false);
+  const [workspace, setWorkspace] = useState(null); // { orgId, name, role } of the user's team, if any
+  const [historyScope, setHistoryScope] = useState('mine'); // 'mine' (private quotes) or 'team' (workspace library)
   const [quoteHistory, setQuoteHistory] = useState([]);
+  const [currentQuote, setCurrentQuote] = useState(null); // { id, revision, path, ownerId } of the saved quote being edited
+  const [deletedQuote, setDeletedQuote] = useState(null); // { id, fileName, path } while its delete can be undone
+  const [revisionView, setRevisionView] = useState(null); // { quoteId, revisions } for the open history entry
+  const [auditView, setAuditView] = useState(null); // { quoteId, entries } status changes of the open history entry
+  const [statusChange, setStatusChange] = useState(null); // { quoteId, from, to, label } awaiting an optional comment
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [importPreview, setImportPreview] = useState(null); // { fileName, entries, includeDuplicates } awaiting confirmation
+  const [isImporting, setIsImporting] = useState(false);
+  const undoTimer = useRef(null);
   
-  const [analysisData, setAnalysisData] = useState({ 
-    volume: 0, 
-    dimensions: { length: 0, width: 0, height: 0 }, 
-    wallThickness: 0, 
-    accuracy: 'none' 
-  });
-
   const [parameters, setParameters] = useState({
-    materialId: MATERIALS[0].name,
+    materialId: DEFAULT_MATERIALS[0].id, // Material and quantity of the selected part, and the defaults for new parts
     quantity: 1000,
+    modelUnits: 'auto', // Unit the CAD files are drawn in: 'auto' (detected) or a key of LENGTH_UNITS
     cavities: 1,
-    color: 'natural'
+    familyMold: false, // Multi-part uploads: one shared tool and press for every part
+    color: 'natural', // Key of COLOR_OPTIONS
+    letDownPct: 3, // Masterbatch share of the blend, %
+    regrindPct: 0,
+    cycleOverrides: {}, // Seconds per phase ('fill', 'pack', 'cool', 'eject') or 'total'; blank = calculated
+    steelClass: 'p20',
+    runnerType: 'cold',
+    surfaceFinish: 'spi-b2',
+    toolingBilling: 'amortized', // 'amortized' into the part price, or 'separate' one-time charge
+    secondaryOps: [], // Catalog operation snapshots plus `count` units per part
   });
 
-  const quoteResults = useQuoteCalculator(parameters, analysisData);
+  // The analysis, job and quote panels show the selected part.
+  const selectedPart = parts.find(part => part.id === selectedPartId) || parts[0] || null;
+  const fileName = selectedPart?.fileName ?? null;
+  const jobId = selectedPart?.jobId ?? null;
+  const jobStatus = selectedPart?.jobStatus ?? 'none';
+  const jobProgress = selectedPart?.jobProgress ?? { stage: null, progress: 0 };
+  const modelUnits = parameters.modelUnits ?? 'auto'; // Quotes saved before unit detection have none
+  // Results are rescaled to the chosen unit before anything is quoted from them.
+  const quotedParts = useMemo(() => (
+    parts.map(part => ({ ...part, analysisData: convertAnalysisUnits(part.analysisData, modelUnits) }))
+  ), [parts, modelUnits]);
+  const analysisData = quotedParts.find(part => part.id === selectedPart?.id)?.analysisData ?? EMPTY_ANALYSIS;
+  const analyzedUnit = selectedPart?.analysisData.units?.unit ?? 'mm';
+  const isEstimate = analysisData.accuracy === 'estimated';
+  const isLoading = parts.some(part => part.jobStatus !== 'complete' && part.jobStatus !== 'failed');
+  const partParameters = useMemo(() => (
+    selectedPart ? { ...parameters, materialId: selectedPart.materialId, quantity: selectedPart.quantity } : parameters
+  ), [parameters, selectedPart?.materialId, selectedPart?.quantity]);
+
+  const quoteResults = useQuoteCalculator(partParameters, analysisData, materials, presses);
+  const priceBreaks = usePriceBreaks(partParameters, analysisData, materials, presses);
+  const consolidatedQuote = useMemo(() => (
+    quotedParts.length > 1 ? calculateConsolidatedQuote(quotedParts, parameters, materials, presses) : null
+  ), [quotedParts, parameters, materials, presses]);
+  const selectedMaterial = findMaterial(materials, partParameters.materialId);
+
+  // 0. MATERIAL, PRESS & OPERATION CATALOGS (fall back to the built-in lists if the API is unreachable)
+  useEffect(() => {
+    materialsClient.fetchAll().then(({ items }) => setMaterials(items));
+    pressesClient.fetchAll().then(({ items }) => setPresses(items));
+    operationsClient.fetchAll().then(({ items }) => {
+      setOperations(items);
+      setSelectedOperationId(items[0].id);
+    });
+  }, []);
 
-  // 1. FIREBASE INITIALIZATION AND AUTHENTICATION (omitted for brevity)
+  // 1. FIREBASE AUTHENTICATION
   useEffect(() => {
-    // ... Firebase initialization logic ...
-    if (!firebaseConfig) {
+    if (!firebase) {
         console.warn("Firebase configuration is missing. History features are disabled.");
-        setErrorMessage("Database disabled. Replace 'firebaseConfig' in App.jsx to enable saving/history.");
+        setErrorMessage("Database disabled. Set the VITE_FIREBASE_* environment variables (or VITE_FIREBASE_EMULATOR=true) to enable saving/history.");
         setIsAuthReady(true);
         return;
     }
-    
-    try {
-        const app = initializeApp(firebaseConfig);
-        const firestore = getFirestore(app);
-        const authService = getAuth(app);
-        
-        setDb(firestore);
-        // setAuth(authService); // auth not used directly in this scope
-        // ... auth sign-in logic
-        
-        // Auth state listener
-        const unsubscribe = onAuthStateChanged(authService, (user) => {
-            if (user) {
-                setUserId(user.uid);
-                setIsAuthReady(true);
-            } else {
-                setUserId(null);
-                setIsAuthReady(true);
-            }
-        });
 
-        return () => unsubscribe();
-    } catch (e) {
-        console.error("Error initializing Firebase:", e);
-        setErrorMessage("Could not initialize database services.");
-    }
+    // On first load with no remembered user, sign in through our backend when it is set up, otherwise as a guest.
+    // After an explicit sign-out the user stays signed out until they pick a method.
+    let isFirstCheck = true;
+    const unsubscribe = onAuthStateChanged(firebase.auth, (authUser) => {
+        const shouldAutoSignIn = isFirstCheck && !authUser;
+        isFirstCheck = false;
+        setUser(authUser);
+        if (!shouldAutoSignIn) {
+            setIsAuthReady(true);
+            return;
+        }
+        const signIn = AUTH_TOKEN_ENDPOINT
+            ? signInWithBackendToken(firebase.auth).catch((error) => {
+                console.warn("Backend sign-in unavailable, continuing as guest:", error);
+                return signInAsGuest(firebase.auth);
+            })
+            : signInAsGuest(firebase.auth);
+        signIn.catch((error) => {
+            console.error("Error signing in:", error);
+            setErrorMessage("Could not sign in. Saving quotes is unavailable until you sign in.");
+            setIsAuthReady(true);
+        });
+    });
 
+    return () => unsubscribe();
   }, []);
 
+  // Quotes belong to the signed-in user; drop anything tied to the previous one.
+  useEffect(() => {
+    setQuoteHistory([]);
+    setCurrentQuote(null);
+    setRevisionView(null);
+    setDeletedQuote(null);
+    setWorkspace(null);
+    if (!db || !userId) return;
+    return watchWorkspace(db, userId, setWorkspace, (error) => {
+        console.error("Error loading workspace:", error);
+        setErrorMessage("Could not load your team workspace.");
+    });
+  }, [userId]);
+
+  useEffect(() => {
+    if (!workspace) setHistoryScope('mine');
+  }, [workspace]);
+
+  // The history panel lists, and new quotes are saved to, the library picked by the Mine / Team toggle.
+  const libraryPath = !userId ? null
+    : historyScope === 'team' && workspace ? getTeamCollectionPath(workspace.orgId) : getPrivateCollectionPath(userId);
+  const isTeamLibrary = historyScope === 'team' && Boolean(workspace);
+  const canEditQuote = (quote) => !isLocked(quote) && (!isTeamLibrary || canEditTeamQuote(workspace, quote, userId));
+  // The owner of a private quote makes every status move.
+  const libraryRole = isTeamLibrary ? workspace.role : 'admin';
+  const currentStatus = statusOf(quoteHistory.find(q => q.id === currentQuote?.id) || currentQuote);
+  const isCurrentQuoteLocked = Boolean(currentQuote) && isLocked({ status: currentStatus });
+
   // 2. REAL-TIME QUOTE HISTORY LISTENER (omitted for brevity)
   useEffect(() => {
-    if (!db || !userId) return; // Wait for DB and Auth
+    if (!db || !libraryPath) return; // Wait for DB and Auth
 
-    const quotesCollectionRef = collection(db, getPrivateCollectionPath(userId));
+    setRevisionView(null);
+    setAuditView(null);
+    setStatusChange(null);
+    setImportPreview(null);
+    const quotesCollectionRef = collection(db, libraryPath);
     
     // Note: We use in-memory sorting later as a workaround for the 'orderBy' constraint.
     
     const unsubscribe = onSnapshot(quotesCollectionRef, (snapshot) => {
-        const history = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data(),
-            createdAt: doc.data().createdAt?.toDate ? doc.data().createdAt.toDate() : new Date(), // Handle Firestore Timestamp
-        }));
+        // Soft-deleted quotes stay in Firestore until purged but leave the history.
+        const history = snapshot.docs.map(fromSnapshot).filter(quote => !quote.deleted);
         
         // Sort in memory by creation date descending
         history.sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime());
@@ -187,69 +278,69 @@ export default function App() {
     });
 
     return () => unsubscribe();
-  }, [db, userId]);
+  }, [db, libraryPath]);
 
 
-  // 3. ASYNCHRONOUS JOB POLLING LOOP (NEW)
-  useEffect(() => {
-    let intervalId;
+  // 3. ASYNCHRONOUS JOB TRACKING (SSE with polling fallback)
+  const updatePart = (partId, changes) => {
+    setParts(prev => prev.map(part => (part.id === partId ? { ...part, ...changes } : part)));
+  };
 
-    const pollStatus = async () => {
-      // Check for 'submitted' OR 'in-progress' status to continue polling
-      if (jobId && (jobStatus === 'submitted' || jobStatus === 'in-progress')) {
-        try {
-          // Use the correct endpoint file name, which Vercel hosts at /api/poll-status
-          const response = await fetch(`/api/poll-status?jobId=${jobId}`); 
-          if (!response.ok) throw new Error('Polling failed.');
-          
-          const result = await response.json();
-          setJobStatus(result.status);
-          
-          if (result.status === 'complete') {
-            clearInterval(intervalId);
-            setAnalysisData(result.analysisData);
-            setIsLoading(false);
-            setJobId(null);
-          } else if (result.status === 'failed') {
-            clearInterval(intervalId);
-            setErrorMessage("Analysis failed. Check backend logs for Forge API errors.");
-            setIsLoading(false);
-            setJobId(null);
-          }
-
-        } catch (error) {
-          console.error("Polling error:", error);
-          setJobStatus('failed');
-          clearInterval(intervalId);
-          setIsLoading(false);
-          setErrorMessage(`Polling failed: ${error.message}`);
-        }
-      }
-    };
+  // Resume the upload that was still being analyzed when the page was reloaded.
+  useEffect(() => {
+    const activeJobs = loadActiveJobs();
+    if (activeJobs.length === 0) return;
+    const resumed = activeJobs.map(job => createPart(job.fileName, {
+      materialId: job.materialId ?? DEFAULT_MATERIALS[0].id,
+      quantity: job.quantity ?? 1000,
+    }, { id: job.partId || job.jobId, jobId: job.jobId, jobStatus: 'in-progress' }));
+    setParts(resumed);
+    setSelectedPartId(resumed[0].id);
+  }, []);
 
-    if (jobStatus === 'submitted' || jobStatus === 'in-progress') {
-      setIsLoading(true);
-      if (jobStatus === 'submitted') {
-        // Only start polling once, then switch status to in-progress
-        setJobStatus('in-progress'); 
+  // Watch every part that has a job running; stop watching once its job has finished.
+  useEffect(() => {
+    const watchers = jobWatchers.current;
+    const running = new Set(parts.map(part => part.jobId).filter(Boolean));
+    for (const [watchedJobId, stop] of watchers) {
+      if (!running.has(watchedJobId)) {
+        stop();
+        watchers.delete(watchedJobId);
       }
-      // Poll every 3 seconds
-      intervalId = setInterval(pollStatus, 3000); 
     }
+    for (const part of parts) {
+      if (!part.jobId || watchers.has(part.jobId)) continue;
+      watchers.set(part.jobId, watchJob(part.jobId, {
+        onUpdate: (job) => {
+          updatePart(part.id, { jobStatus: 'in-progress', jobProgress: { stage: job.stage, progress: job.progress || 0 } });
+        },
+        onComplete: (job) => {
+          // The job id stays on the part to fetch the viewer mesh stored with the results.
+          updatePart(part.id, { jobStatus: 'complete', jobProgress: { stage: job.stage, progress: 100 }, analysisData: job.analysisData, jobId: null, previewJobId: part.jobId });
+        },
+        onFailed: (message) => {
+          updatePart(part.id, { jobStatus: 'failed', errorMessage: message, jobId: null, analysisData: EMPTY_ANALYSIS });
+        },
+      }));
+    }
+    if (parts.length > 0 && parts.every(part => part.jobStatus === 'complete' || part.jobStatus === 'failed')) {
+      clearActiveJobs();
+    }
+  }, [parts]);
 
-    return () => clearInterval(intervalId);
-  }, [jobId, jobStatus]);
+  useEffect(() => () => {
+    jobWatchers.current.forEach(stop => stop());
+    jobWatchers.current.clear();
+  }, []);
 
 
   // --- HANDLERS (Updated to start job and set Job ID) ---
-  const startAnalysisJob = async (file) => {
-    setErrorMessage(null);
-    setIsLoading(true);
-    setJobStatus('none');
-    setAnalysisData({ volume: 0, dimensions: { length: 0, width: 0, height: 0 }, wallThickness: 0, accuracy: 'none' });
-
+  const startAnalysisJob = async (part, file) => {
     const formData = new FormData();
     formData.append('cadFile', file);
+    formData.append('minWallThickness', String(minWallThickness));
+    formData.append('pullDirection', pullDirection);
+    formData.append('units', modelUnits);
     const endpoint = '/api/analyze'; 
 
     try {
@@ -269,61 +360,320 @@ export default function App() {
 
       const result = await response.json();
       
-      // CRITICAL: Get Job ID and start the polling process
-      setJobId(result.jobId);
-      setJobStatus(result.status); // Should be 'submitted'
+      // CRITICAL: Get Job ID and start watching the job
+      saveActiveJob({ jobId: result.jobId, partId: part.id, fileName: part.fileName, materialId: part.materialId, quantity: part.quantity });
+      updatePart(part.id, { jobId: result.jobId, jobStatus: result.status, jobProgress: { stage: 'uploaded', progress: 0 } }); // Should be 'submitted'
       
     } catch (error) {
       console.error("Job Submission API Error:", error);
-      setErrorMessage(`File processing failed: ${error.message}.`);
-      setIsLoading(false);
-      setJobStatus('failed');
+      updatePart(part.id, { jobStatus: 'failed', errorMessage: `File processing failed: ${error.message}.`, analysisData: EMPTY_ANALYSIS });
+    }
+  };
 
+  // The estimate never replaces a finished job's result, which may arrive first for a tiny file.
+  const applyEstimate = (partId, result) => {
+    if (result?.error?.reason === 'corrupt') {
+      updatePart(partId, { jobStatus: 'failed', errorMessage: result.error.message });
+    } else if (result) {
+      setParts(prev => prev.map(part => (
+        part.id !== partId || part.jobStatus === 'complete' || part.jobStatus === 'failed' ? part
+          : result.error ? { ...part, estimateMessage: result.error.message } : { ...part, analysisData: result.analysisData }
+      )));
     }
+    return result;
   };
 
-  const handleFileUpload = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  // Several files or a zip make a multi-part quote; each part is analyzed by its own job.
+  const handleFileUpload = async (e) => {
+    const selected = Array.from(e.target.files || []);
+    e.target.value = ''; // Lets the same file be picked again
+    if (selected.length === 0) return;
+    setErrorMessage(null);
 
-    const name = file.name;
-    const extension = name.split('.').pop().toLowerCase();
-    
-    setFileName(name);
-    setFileExtension(extension);
-    
-    startAnalysisJob(file); // Start the asynchronous job
+    let files;
+    try {
+      files = (await Promise.all(selected.map(file => (isZipFile(file) ? extractZip(file, isCadFileName) : [file])))).flat();
+    } catch (error) {
+      setErrorMessage(`Could not read the zip archive: ${error.message}`);
+      return;
+    }
+    if (files.length === 0) {
+      setErrorMessage(`No CAD files found. Supported: ${CAD_EXTENSIONS.join(', ').toUpperCase()}.`);
+      return;
+    }
+    if (files.length > MAX_PARTS) {
+      setErrorMessage(`A quote can hold up to ${MAX_PARTS} parts; ${files.length} were uploaded.`);
+      return;
+    }
+
+    clearActiveJobs();
+    setCurrentQuote(null);
+    // The file is kept for the viewer, which shows an STL before its analysis finishes.
+    const newParts = files.map(file => createPart(file.name, parameters, { file }));
+    setParts(newParts);
+    setSelectedPartId(newParts[0].id);
+    // STLs are measured in the browser first, all at once; the estimate shows while the job runs.
+    const estimates = newParts.map((part, i) => (
+      canPreAnalyze(part.fileName) ? preAnalyzeStl(files[i], { pullDirection, units: modelUnits }).then(result => applyEstimate(part.id, result)) : null
+    ));
+    // One upload at a time keeps large files from competing for bandwidth.
+    for (let i = 0; i < files.length; i++) {
+      // A file the browser can't even parse would only fail on the server too.
+      if (estimates[i] && (await estimates[i])?.error?.reason === 'corrupt') continue;
+      await startAnalysisJob(newParts[i], files[i]); // Start the asynchronous job
+    }
   };
   
-  // 4. SAVE/DELETE QUOTE FUNCTIONS (omitted for brevity)
+  // 4. SAVE/DELETE QUOTE FUNCTIONS
+  // Saving a loaded quote again records a new revision; otherwise a new quote is created.
   const saveCurrentQuote = async () => {
+    if (db && !userId) {
+        setErrorMessage("Sign in to save quotes.");
+        return;
+    }
     if (!db || !userId || !quoteResults || !fileName) {
         setErrorMessage("Cannot save: Analysis, File Name, or User not ready.");
         return;
     }
-    // ... save logic ...
+    if (parts.some(part => part.analysisData.accuracy === 'estimated')) {
+        setErrorMessage("The quote is still an estimate. Save it once the analysis has finished.");
+        return;
+    }
+    // A loaded quote is revised where it lives; a new one goes to the library on show.
+    const path = currentQuote?.path ?? libraryPath;
+    const isTeamQuote = path !== getPrivateCollectionPath(userId);
+    if (isCurrentQuoteLocked) {
+        setErrorMessage(`This quote is ${QUOTE_STATUSES[currentStatus].label.toLowerCase()} and locked. An approver can reopen it as a draft to make changes.`);
+        return;
+    }
+    if (isTeamQuote && !canEditTeamQuote(workspace, currentQuote, userId)) {
+        setErrorMessage(currentQuote
+            ? "Your role can't revise this team quote. Estimators revise their own quotes; approvers and admins revise any."
+            : "Viewers can't save to the team library. Switch History to Mine to save a private copy.");
+        return;
+    }
+    const quote = {
+      ownerId: userId,
+      ownerName: user.isAnonymous ? 'Guest' : (user.displayName || user.email || userId),
+      fileName: parts.length > 1 ? `${fileName} + ${parts.length - 1} more` : fileName,
+      fileExtension: selectedPart.fileExtension,
+      // Jobs are finished and not worth keeping; the analysis is, in the unit it was quoted in.
+      parts: quotedParts.map(({ fileName: partName, fileExtension, analysisData: partAnalysis, materialId, quantity, thumbnail }) => ({ fileName: partName, fileExtension, analysisData: partAnalysis, materialId, quantity, thumbnail })),
+      analysisData,
+      parameters: partParameters,
+      quoteResults,
+      consolidatedQuote,
+      // What the customer document quotes at other volumes, at each volume's best cavity count.
+      priceBreaks: priceBreaks.map(({ quantity, best }) => ({
+        quantity,
+        cavities: best.cavities,
+        piecePrice: best.quote.totalPerPart,
+        toolingCharge: best.quote.toolingCharge,
+        leadTimeWeeks: best.quote.leadTime.totalWeeks,
+        pressFits: Boolean(best.quote.pressSelection.press),
+      })),
+    };
+    try {
+      const saved = await saveQuote(db, path, quote, currentQuote?.id);
+      setCurrentQuote({ ...saved, path, ownerId: currentQuote?.ownerId ?? userId, status: currentQuote?.status ?? 'draft' });
+      setRevisionView(null);
+    } catch (error) {
+      console.error("Error saving quote:", error);
+      setErrorMessage(`Could not save the quote: ${error.message}`);
+    }
   };
   
   const deleteQuote = async (quoteId) => {
-    if (!db || !userId) return;
-    // ... delete logic ...
+    if (!db || !libraryPath) return;
+    const quote = quoteHistory.find(q => q.id === quoteId);
+    try {
+      await softDeleteQuote(db, libraryPath, quoteId);
+    } catch (error) {
+      console.error("Error deleting quote:", error);
+      setErrorMessage(`Could not delete the quote: ${error.message}`);
+      return;
+    }
+    if (currentQuote?.id === quoteId) setCurrentQuote(null);
+    clearTimeout(undoTimer.current);
+    setDeletedQuote({ id: quoteId, fileName: quote?.fileName, path: libraryPath });
+    undoTimer.current = setTimeout(() => setDeletedQuote(null), UNDO_DELETE_MS);
+  };
+
+  const undoDelete = async () => {
+    if (!db || !deletedQuote) return;
+    clearTimeout(undoTimer.current);
+    try {
+      await restoreQuote(db, deletedQuote.path, deletedQuote.id);
+    } catch (error) {
+      console.error("Error restoring quote:", error);
+      setErrorMessage(`Could not restore the quote: ${error.message}`);
+    }
+    setDeletedQuote(null);
+  };
+
+  useEffect(() => () => clearTimeout(undoTimer.current), []);
+
+  const toggleRevisions = async (quoteId) => {
+    if (revisionView?.quoteId === quoteId) {
+      setRevisionView(null);
+      return;
+    }
+    try {
+      setRevisionView({ quoteId, revisions: await listRevisions(db, libraryPath, quoteId) });
+    } catch (error) {
+      console.error("Error loading revisions:", error);
+      setErrorMessage(`Could not load the revision history: ${error.message}`);
+    }
   };
   
-  const loadQuote = (quote) => {
-      setFileName(quote.fileName);
-      setFileExtension(quote.fileExtension);
-      setAnalysisData(quote.analysisData);
+  const toggleAuditTrail = async (quoteId) => {
+    if (auditView?.quoteId === quoteId) {
+      setAuditView(null);
+      return;
+    }
+    try {
+      setAuditView({ quoteId, entries: await listAuditTrail(db, libraryPath, quoteId) });
+    } catch (error) {
+      console.error("Error loading status history:", error);
+      setErrorMessage(`Could not load the status history: ${error.message}`);
+    }
+  };
+
+  const applyStatusChange = async (comment) => {
+    if (!db || !userId || !statusChange) return;
+    const { quoteId, from, to } = statusChange;
+    try {
+      await changeQuoteStatus(db, libraryPath, quoteId, {
+        from,
+        to,
+        comment,
+        userId,
+        userName: user.isAnonymous ? 'Guest' : (user.displayName || user.email || userId),
+      });
+    } catch (error) {
+      console.error("Error changing quote status:", error);
+      setErrorMessage(`Could not change the quote status: ${error.message}`);
+      return;
+    }
+    setStatusChange(null);
+    if (currentQuote?.id === quoteId) setCurrentQuote(prev => ({ ...prev, status: to }));
+    if (auditView?.quoteId === quoteId) setAuditView({ quoteId, entries: await listAuditTrail(db, libraryPath, quoteId) });
+  };
+
+  const downloadPdf = async (quoteId) => {
+    if (!user) return;
+    try {
+      await downloadQuotePdf(user, {
+        appId,
+        scope: isTeamLibrary ? 'team' : 'mine',
+        orgId: isTeamLibrary ? workspace.orgId : undefined,
+        quoteId,
+      });
+    } catch (error) {
+      console.error("Error generating quote PDF:", error);
+      setErrorMessage(`Could not generate the quote PDF: ${error.message}`);
+    }
+  };
+
+  const exportHistory = async (format) => {
+    try {
+      await exportQuotes(visibleQuotes, format);
+    } catch (error) {
+      console.error("Error exporting quotes:", error);
+      setErrorMessage(`Could not export the quotes: ${error.message}`);
+    }
+  };
+
+  // Imports go to the library on show; nothing is written until the preview is confirmed.
+  const canImport = Boolean(db && userId) && (!isTeamLibrary || canEditTeamQuote(workspace, null, userId));
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      setImportPreview({ fileName: file.name, entries: parseQuoteImport(await file.text(), quoteHistory), includeDuplicates: false });
+    } catch (error) {
+      setErrorMessage(`Could not import ${file.name}: ${error.message}`);
+    }
+  };
+
+  const importableQuotes = importPreview?.entries
+    .filter(entry => entry.errors.length === 0 && (!entry.duplicateOf || importPreview.includeDuplicates))
+    .map(entry => entry.quote) ?? [];
+
+  const confirmImport = async () => {
+    if (!canImport || importableQuotes.length === 0) return;
+    setIsImporting(true);
+    try {
+      await importQuotes(db, libraryPath, importableQuotes, {
+        ownerId: userId,
+        ownerName: user.isAnonymous ? 'Guest' : (user.displayName || user.email || userId),
+      });
+      setImportPreview(null);
+    } catch (error) {
+      console.error("Error importing quotes:", error);
+      setErrorMessage(`Could not import the quotes: ${error.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // Loading an older revision edits the same quote, so saving it makes it the newest revision.
+  const loadQuote = (quote, quoteId = quote.id) => {
+      const loadedParts = quote.parts.map(saved => createPart(saved.fileName, saved, {
+        jobStatus: 'complete',
+        jobProgress: { stage: 'complete', progress: 100 },
+        analysisData: saved.analysisData,
+        thumbnail: saved.thumbnail ?? null,
+      }));
+      clearActiveJobs();
+      setParts(loadedParts);
+      setSelectedPartId(loadedParts[0].id);
       setParameters(quote.parameters);
+      const latest = quoteHistory.find(q => q.id === quoteId) || quote;
+      setCurrentQuote({ id: quoteId, revision: latest.revision, path: libraryPath, ownerId: latest.ownerId, status: statusOf(latest) });
       setIsHistoryOpen(false); // Close history panel after loading
   };
 
 
   const handleParameterChange = (key, value) => {
     setParameters(prev => ({ ...prev, [key]: value }));
+    if ((key === 'materialId' || key === 'quantity') && selectedPart) {
+      updatePart(selectedPart.id, { [key]: value });
+    }
+  };
+
+  const handleCycleOverrideChange = (phase, value) => {
+    setParameters(prev => {
+      const cycleOverrides = { ...prev.cycleOverrides };
+      const seconds = parseFloat(value);
+      if (value === '' || !(seconds >= 0)) delete cycleOverrides[phase];
+      else cycleOverrides[phase] = seconds;
+      return { ...prev, cycleOverrides };
+    });
+  };
+
+  // Copies the catalog entry into the quote so later catalog edits don't reprice it.
+  const addSecondaryOp = (operationId) => {
+    const operation = operations.find(op => op.id === operationId);
+    if (!operation) return;
+    setParameters(prev => ({ ...prev, secondaryOps: [...(prev.secondaryOps || []), { ...operation, count: 1 }] }));
+  };
+
+  const updateSecondaryOp = (index, count) => {
+    setParameters(prev => ({
+      ...prev,
+      secondaryOps: prev.secondaryOps.map((op, i) => (i === index ? { ...op, count } : op)),
+    }));
+  };
+
+  const removeSecondaryOp = (index) => {
+    setParameters(prev => ({ ...prev, secondaryOps: prev.secondaryOps.filter((_, i) => i !== index) }));
   };
 
   const themeClass = isDarkMode ? 'dark bg-gray-900 text-gray-100' : 'bg-gray-50 text-gray-800';
-  const showResults = analysisData.volume > 0 && jobStatus === 'complete';
+  const showResults = analysisData.volume > 0 && (jobStatus === 'complete' || isEstimate);
 
   // --- UI COMPONENTS (omitted for brevity) ---
   const AnalysisSkeleton = () => (
@@ -345,8 +695,12 @@ export default function App() {
               return (
                   <div className="text-center p-10 text-yellow-400 bg-gray-800 rounded-xl">
                       <Cpu className="mx-auto h-8 w-8 mb-3 animate-spin"/>
-                      <p className='font-semibold'>Analysis In Progress...</p>
-                      <p className='text-sm text-gray-400 mt-1'>Waiting for Forge Webhook Callback (Job ID: {jobId})</p>
+                      <p className='font-semibold'>{JOB_STAGE_LABELS[jobProgress.stage] || 'Analysis In Progress'}...</p>
+                      <div className="mx-auto mt-3 h-2 w-2/3 rounded-full bg-gray-700 overflow-hidden">
+                          <div className="h-full bg-yellow-400 transition-all duration-500" style={{ width: `${jobProgress.progress}%` }}></div>
+                      </div>
+                      <p className='text-sm text-gray-400 mt-2'>{jobProgress.progress}% (Job ID: {jobId})</p>
+                      {selectedPart?.estimateMessage && <p className='text-xs text-gray-400 mt-2'>{selectedPart.estimateMessage}</p>}
                   </div>
               );
           case 'failed':
@@ -354,7 +708,7 @@ export default function App() {
                   <div className="text-center p-10 text-red-400 bg-red-900/20 rounded-xl">
                       <AlertTriangle className="mx-auto h-8 w-8 mb-3"/>
                       <p className='font-semibold'>Analysis Failed</p>
-                      <p className='text-sm text-gray-400 mt-1'>Check backend logs for details.</p>
+                      <p className='text-sm text-gray-400 mt-1'>{selectedPart?.errorMessage || errorMessage || 'Check backend logs for details.'}</p>
                   </div>
               );
           case 'complete':
@@ -369,13 +723,14 @@ export default function App() {
       }
   };
 
-  const DataCard = ({ title, value, icon: Icon, className = '' }) => (
+  const DataCard = ({ title, value, icon: Icon, className = '', detail }) => (
     <div className="p-3 bg-gray-700 rounded-lg border border-gray-600 shadow-md">
         <div className="text-sm font-medium text-gray-400 flex items-center mb-1">
             {Icon && <Icon className="h-4 w-4 mr-1"/>}
             {title}
         </div>
         <p className={`text-xl font-semibold text-white truncate ${className}`}>{value}</p>
+        {detail && <p className="text-xs text-gray-400 mt-1">{detail}</p>}
     </div>
   );
 
@@ -388,33 +743,255 @@ export default function App() {
   );
 
 
-  const HistoryPanel = () => (
+  const ThicknessDistribution = ({ thickness }) => {
+    const peak = Math.max(...thickness.histogram.map(bin => bin.percent), 1);
+    return (
+      <div className="col-span-full text-left p-4 bg-gray-700 rounded-lg border border-gray-600 space-y-3">
+        <div className="flex justify-between text-sm">
+          <span className="font-medium text-gray-300">Wall Thickness Distribution</span>
+          <span className="text-gray-400">
+            Min {thickness.min.toFixed(2)} · Mean {thickness.mean.toFixed(2)} · Max {thickness.max.toFixed(2)} mm
+          </span>
+        </div>
+        <div className="flex items-end h-20 space-x-1">
+          {thickness.histogram.map(bin => (
+            <div
+              key={bin.from}
+              className={`flex-1 rounded-t ${bin.to <= thickness.minAllowed ? 'bg-red-500' : 'bg-indigo-500'}`}
+              style={{ height: `${Math.max((bin.percent / peak) * 100, 2)}%` }}
+              title={`${bin.from}–${bin.to} mm: ${bin.percent}% of surface`}
+            ></div>
+          ))}
+        </div>
+        <div className="flex justify-between text-xs text-gray-400">
+          <span>{thickness.histogram[0].from} mm</span>
+          <span>{thickness.histogram[thickness.histogram.length - 1].to} mm</span>
+        </div>
+        {thickness.thinRegions.length > 0 ? (
+          <div className="text-xs text-red-300 space-y-1">
+            <p className="font-semibold">{thickness.thinRegions.length} region(s) below {thickness.minAllowed} mm minimum:</p>
+            {thickness.thinRegions.slice(0, 5).map((region, index) => (
+              <p key={index} className="font-mono">
+                {region.thickness.toFixed(2)} mm over ~{region.area.toFixed(0)} mm² near ({region.center.join(', ')})
+              </p>
+            ))}
+          </div>
+        ) : (
+          <p className="text-xs text-green-400">No walls below the {thickness.minAllowed} mm minimum.</p>
+        )}
+      </div>
+    );
+  };
+
+
+  const visibleQuotes = statusFilter === 'all' ? quoteHistory : quoteHistory.filter(quote => statusOf(quote) === statusFilter);
+
+  // Called rather than mounted as <HistoryPanel />: a component declared in App is a new type on
+  // every render, so React would remount it and wipe the comment being typed on a snapshot or job tick.
+  const renderHistoryPanel = () => (
     <div className="p-6 rounded-xl bg-gray-800 shadow-xl border border-gray-700 space-y-4">
         <h3 className="text-xl font-semibold flex items-center text-indigo-300">
             <History className="mr-2 h-5 w-5"/> Quote History ({quoteHistory.length})
         </h3>
-        {isAuthReady && userId && (
+        {workspace && (
+            <div className="flex space-x-2">
+                {[['mine', 'Mine'], ['team', `Team · ${workspace.name}`]].map(([scope, label]) => (
+                    <button
+                        key={scope}
+                        onClick={() => setHistoryScope(scope)}
+                        className={`px-4 py-2 rounded-lg text-sm transition ${historyScope === scope ? 'bg-indigo-700 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+        )}
+        {isAuthReady && (
             <p className="text-xs text-gray-400">
-                User ID: <span className="font-mono text-xs">{userId}</span>
+                {user ? (
+                    <>Signed in as {user.isAnonymous ? 'guest' : (user.email || user.displayName)} · <span className="font-mono text-xs">{userId}</span></>
+                ) : 'Signed out. Sign in to save quotes and see your history.'}
             </p>
         )}
         
-        {quoteHistory.length === 0 ? (
-            <div className="text-center p-6 text-gray-500">No saved quotes yet.</div>
+        {quoteHistory.length > 0 && (
+            <label className="flex items-center space-x-2 text-sm">
+                <span className="text-gray-400">Status</span>
+                <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="p-1 bg-gray-700 border border-gray-600 rounded-lg">
+                    <option value="all">All ({quoteHistory.length})</option>
+                    {Object.entries(QUOTE_STATUSES).map(([status, { label }]) => (
+                        <option key={status} value={status}>{label} ({quoteHistory.filter(q => statusOf(q) === status).length})</option>
+                    ))}
+                </select>
+            </label>
+        )}
+
+        {isAuthReady && user && (
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-gray-400">Export</span>
+                {[['csv', 'CSV'], ['xlsx', 'Excel'], ['json', 'JSON']].map(([format, label]) => (
+                    <button
+                        key={format}
+                        onClick={() => exportHistory(format)}
+                        disabled={visibleQuotes.length === 0}
+                        className="px-2 py-1 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 transition disabled:opacity-50 flex items-center"
+                        title={`Export the ${statusFilter === 'all' ? '' : 'filtered '}history as ${label}`}
+                    >
+                        <Download className="mr-1 h-3 w-3"/> {label}
+                    </button>
+                ))}
+                {canImport && (
+                    <label className="ml-auto px-2 py-1 rounded-lg bg-gray-700 hover:bg-gray-600 text-gray-200 transition cursor-pointer flex items-center">
+                        <FileUp className="mr-1 h-3 w-3"/> Import JSON
+                        <input type="file" accept=".json,application/json" onChange={handleImportFile} className="hidden"/>
+                    </label>
+                )}
+            </div>
+        )}
+
+        {importPreview && (() => {
+            const invalid = importPreview.entries.filter(entry => entry.errors.length > 0);
+            const duplicates = importPreview.entries.filter(entry => entry.duplicateOf);
+            return (
+                <div className="p-3 rounded-lg bg-gray-700 space-y-2 text-sm">
+                    <p>
+                        <span className="font-semibold text-white">{importPreview.fileName}</span>: {importPreview.entries.length - invalid.length - duplicates.length} new,
+                        {' '}{duplicates.length} duplicate, {invalid.length} invalid
+                    </p>
+                    {invalid.length + duplicates.length > 0 && (
+                        <ul className="max-h-32 overflow-y-auto space-y-1 text-xs">
+                            {invalid.map(entry => (
+                                <li key={entry.index} className="text-red-300">{entry.fileName}: {entry.errors.join(' ')}</li>
+                            ))}
+                            {duplicates.map(entry => (
+                                <li key={entry.index} className="text-yellow-300">{entry.fileName}: already in the library as {entry.duplicateOf}</li>
+                            ))}
+                        </ul>
+                    )}
+                    {duplicates.length > 0 && (
+                        <label className="flex items-center space-x-2 text-xs text-gray-300">
+                            <input
+                                type="checkbox"
+                                checked={importPreview.includeDuplicates}
+                                onChange={(e) => setImportPreview(prev => ({ ...prev, includeDuplicates: e.target.checked }))}
+                            />
+                            <span>Import duplicates anyway</span>
+                        </label>
+                    )}
+                    <div className="flex space-x-2">
+                        <button
+                            onClick={confirmImport}
+                            disabled={isImporting || importableQuotes.length === 0}
+                            className="px-3 py-1 rounded-lg bg-indigo-700 hover:bg-indigo-600 text-white transition disabled:opacity-50"
+                        >
+                            {isImporting ? 'Importing…' : `Import ${importableQuotes.length} as Drafts`}
+                        </button>
+                        <button onClick={() => setImportPreview(null)} className="px-3 py-1 rounded-lg bg-gray-600 hover:bg-gray-500 transition">Cancel</button>
+                    </div>
+                </div>
+            );
+        })()}
+
+        {visibleQuotes.length === 0 ? (
+            <div className="text-center p-6 text-gray-500">{quoteHistory.length === 0 ? 'No saved quotes yet.' : 'No quotes with this status.'}</div>
         ) : (
             <div className="space-y-3 max-h-96 overflow-y-auto">
-                {quoteHistory.map((quote) => (
+                {visibleQuotes.map((quote) => (
                     <div key={quote.id} className="p-4 bg-gray-700 rounded-lg flex justify-between items-center transition hover:bg-gray-600">
                         <div className="flex-1 min-w-0">
-                            <p className="font-semibold text-white truncate">{quote.fileName}</p>
+                            <div className="flex items-center space-x-2 min-w-0">
+                                <p className="font-semibold text-white truncate">{quote.fileName}</p>
+                                <span className={`px-2 py-0.5 rounded-full text-xs flex-shrink-0 ${QUOTE_STATUSES[statusOf(quote)].badge}`}>
+                                    {QUOTE_STATUSES[statusOf(quote)].label}
+                                </span>
+                                {isLocked(quote) && (
+                                    <span title="Locked: approved quotes can't be edited"><Lock className="h-3 w-3 text-gray-400 flex-shrink-0"/></span>
+                                )}
+                            </div>
                             <p className="text-sm text-indigo-300">
                                 {formatCurrency(quote.quoteResults.totalPerPart)} / Part
                             </p>
                             <p className="text-xs text-gray-400">
                                 Saved: {quote.createdAt.toLocaleDateString()}
+                                {isTeamLibrary && ` by ${quote.ownerId === userId ? 'you' : (quote.ownerName || 'a teammate')}`}
+                                {quote.revision > 1 && ` · Revision ${quote.revision}, updated ${quote.updatedAt?.toLocaleDateString() ?? ''}`}
+                                {quote.quoteNumber && ` · ${quote.quoteNumber}`}
+                                {quote.importedFrom && ` · Imported${quote.importedFrom.quoteNumber ? ` (was ${quote.importedFrom.quoteNumber})` : ''}`}
+                                {currentQuote?.id === quote.id && ' · Editing'}
                             </p>
+                            {revisionView?.quoteId === quote.id && (
+                                <div className="mt-2 space-y-1">
+                                    {revisionView.revisions.length === 0 && <p className="text-xs text-gray-500">No earlier revisions.</p>}
+                                    {revisionView.revisions.map(revision => (
+                                        <button
+                                            key={revision.id}
+                                            onClick={() => loadQuote(revision, quote.id)}
+                                            className="block w-full text-left text-xs text-gray-300 hover:text-indigo-200 transition"
+                                            title="Load this revision"
+                                        >
+                                            Revision {revision.revision} · {formatCurrency(revision.quoteResults.totalPerPart)} / Part · {(revision.updatedAt || revision.createdAt).toLocaleString()}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+                            {auditView?.quoteId === quote.id && (
+                                <div className="mt-2 space-y-1 text-xs text-gray-300">
+                                    {auditView.entries.length === 0 && <p className="text-gray-500">No status changes yet.</p>}
+                                    {auditView.entries.map(entry => (
+                                        <p key={entry.id}>
+                                            {QUOTE_STATUSES[entry.from]?.label} → {QUOTE_STATUSES[entry.to]?.label} by {entry.byName} · {entry.at?.toLocaleString()}
+                                            {entry.comment && <span className="block text-gray-400 italic">“{entry.comment}”</span>}
+                                        </p>
+                                    ))}
+                                </div>
+                            )}
+                            {statusChange?.quoteId === quote.id ? (
+                                <form
+                                    onSubmit={(e) => { e.preventDefault(); applyStatusChange(e.target.elements.comment.value); }}
+                                    className="mt-2 flex space-x-2"
+                                >
+                                    <input name="comment" placeholder="Comment (optional)" className="flex-1 p-1 text-xs bg-gray-800 border border-gray-600 rounded-lg"/>
+                                    <button type="submit" className="px-2 py-1 text-xs rounded-lg bg-indigo-700 hover:bg-indigo-600 text-white transition">{statusChange.label}</button>
+                                    <button type="button" onClick={() => setStatusChange(null)} className="px-2 py-1 text-xs rounded-lg bg-gray-600 hover:bg-gray-500 transition">Cancel</button>
+                                </form>
+                            ) : (
+                                <div className="mt-2 flex flex-wrap gap-2">
+                                    {availableTransitions(quote, libraryRole, userId).map(transition => (
+                                        <button
+                                            key={transition.to}
+                                            onClick={() => setStatusChange({ quoteId: quote.id, ...transition })}
+                                            className="px-2 py-1 text-xs rounded-lg bg-gray-800 hover:bg-gray-900 text-gray-200 transition"
+                                        >
+                                            {transition.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
                         </div>
                         <div className="flex space-x-2 flex-shrink-0 ml-4">
+                            <button 
+                                onClick={() => toggleAuditTrail(quote.id)}
+                                className="p-2 text-gray-400 hover:text-gray-200 transition"
+                                title="Status History"
+                            >
+                                <ClipboardList className="h-4 w-4"/>
+                            </button>
+                            <button 
+                                onClick={() => downloadPdf(quote.id)}
+                                className="p-2 text-gray-400 hover:text-gray-200 transition"
+                                title="Download Quote PDF"
+                            >
+                                <FileText className="h-4 w-4"/>
+                            </button>
+                            {quote.revision > 1 && (
+                                <button 
+                                    onClick={() => toggleRevisions(quote.id)}
+                                    className="p-2 text-gray-400 hover:text-gray-200 transition"
+                                    title="Revision History"
+                                >
+                                    <History className="h-4 w-4"/>
+                                </button>
+                            )}
                             <button 
                                 onClick={() => loadQuote(quote)}
                                 className="p-2 text-indigo-400 hover:text-indigo-200 transition"
@@ -422,13 +999,15 @@ export default function App() {
                             >
                                 <Globe className="h-4 w-4"/>
                             </button>
-                            <button 
-                                onClick={() => deleteQuote(quote.id)}
-                                className="p-2 text-red-400 hover:text-red-200 transition"
-                                title="Delete Quote"
-                            >
-                                <Trash2 className="h-4 w-4"/>
-                            </button>
+                            {canEditQuote(quote) && (
+                                <button 
+                                    onClick={() => deleteQuote(quote.id)}
+                                    className="p-2 text-red-400 hover:text-red-200 transition"
+                                    title="Delete Quote"
+                                >
+                                    <Trash2 className="h-4 w-4"/>
+                                </button>
+                            )}
                         </div>
                     </div>
                 ))}
@@ -438,6 +1017,293 @@ export default function App() {
   );
 
 
+  const PressSelectionDetails = ({ selection, pressName }) => (
+    <div className={`p-4 rounded-lg border text-sm space-y-2 ${selection.warning ? 'border-red-700 bg-red-900/30' : 'border-gray-600 bg-gray-700'}`}>
+      {selection.warning ? (
+        <p className="font-semibold text-red-300 flex items-start">
+          <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0"/> {selection.warning} Priced on the {pressName} for reference.
+        </p>
+      ) : (
+        <>
+          <p className="font-semibold text-indigo-300">Why the {pressName}?</p>
+          <ul className="list-disc list-inside text-gray-300 space-y-1">
+            {selection.reasons.map(reason => <li key={reason}>{reason}</li>)}
+          </ul>
+        </>
+      )}
+      {selection.rejected.length > 0 && (
+        <details className="text-xs text-gray-400">
+          <summary className="cursor-pointer">{selection.rejected.length} press{selection.rejected.length === 1 ? '' : 'es'} ruled out</summary>
+          <ul className="mt-1 space-y-1">
+            {selection.rejected.map(({ name, problems }) => <li key={name}><span className="text-gray-300">{name}:</span> {problems.join('; ')}</li>)}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+
+  const ToolingBreakdown = ({ tooling, isSeparate }) => (
+    <div className="space-y-2">
+      <h3 className="text-lg font-semibold text-indigo-400">Tooling Quote ({isSeparate ? 'One-Time Charge' : 'Amortized'})</h3>
+      <table className="w-full text-sm">
+        <tbody>
+          {tooling.items.map(item => (
+            <tr key={item.key} className="border-t border-gray-700">
+              <td className="py-1">
+                <p>{item.label}</p>
+                <p className="text-xs text-gray-400">{item.detail}</p>
+              </td>
+              <td className="py-1 text-right">{formatCurrency(item.cost)}</td>
+            </tr>
+          ))}
+          <tr className="border-t border-gray-600 font-semibold text-indigo-200">
+            <td className="py-1">Total Tooling</td>
+            <td className="py-1 text-right">{formatCurrency(tooling.total)}</td>
+          </tr>
+        </tbody>
+      </table>
+      {tooling.warnings.map(warning => (
+        <p key={warning} className="text-xs text-yellow-300 flex items-start">
+          <AlertTriangle className="h-4 w-4 mr-2 flex-shrink-0"/> {warning}
+        </p>
+      ))}
+    </div>
+  );
+
+  // Unit price against quantity on a log scale: the best cavity count per volume and the current one.
+  const PriceBreakChart = ({ rows, cavities }) => {
+    const width = 480, height = 180, pad = { left: 56, right: 12, top: 12, bottom: 28 };
+    const series = [
+      { name: 'Best cavity count', color: '#34d399', points: rows.map(row => ({ quantity: row.quantity, unitPrice: row.best.unitPrice })) },
+      { name: `${cavities} cavit${cavities > 1 ? 'ies' : 'y'} (current)`, color: '#818cf8', points: rows.map(row => ({ quantity: row.quantity, unitPrice: row.options.find(o => o.cavities === cavities)?.unitPrice })).filter(p => p.unitPrice) },
+    ];
+    const prices = series.flatMap(line => line.points.map(p => p.unitPrice));
+    const maxPrice = Math.max(...prices) * 1.1;
+    const [minQty, maxQty] = [Math.log10(rows[0].quantity), Math.log10(rows[rows.length - 1].quantity)];
+    const x = (quantity) => pad.left + ((Math.log10(quantity) - minQty) / (maxQty - minQty)) * (width - pad.left - pad.right);
+    const y = (price) => height - pad.bottom - (price / maxPrice) * (height - pad.top - pad.bottom);
+
+    return (
+      <div>
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full" role="img" aria-label="Unit price against quantity">
+          {[0, 0.5, 1].map(f => (
+            <g key={f}>
+              <line x1={pad.left} x2={width - pad.right} y1={y(maxPrice * f)} y2={y(maxPrice * f)} stroke="#374151"/>
+              <text x={pad.left - 6} y={y(maxPrice * f) + 4} textAnchor="end" fontSize="10" fill="#9ca3af">{formatCurrency(maxPrice * f)}</text>
+            </g>
+          ))}
+          {rows.map(row => (
+            <text key={row.quantity} x={x(row.quantity)} y={height - 8} textAnchor="middle" fontSize="10" fill="#9ca3af">{row.quantity / 1000}k</text>
+          ))}
+          {series.map(line => (
+            <g key={line.name}>
+              <polyline points={line.points.map(p => `${x(p.quantity)},${y(p.unitPrice)}`).join(' ')} fill="none" stroke={line.color} strokeWidth="2"/>
+              {line.points.map(p => <circle key={p.quantity} cx={x(p.quantity)} cy={y(p.unitPrice)} r="3" fill={line.color}/>)}
+            </g>
+          ))}
+        </svg>
+        <div className="flex space-x-4 text-xs text-gray-400">
+          {series.map(line => (
+            <span key={line.name} className="flex items-center">
+              <span className="inline-block h-2 w-2 rounded-full mr-1" style={{ backgroundColor: line.color }}></span>{line.name}
+            </span>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  const PriceBreakPanel = ({ rows }) => {
+    if (rows.length === 0) return null;
+    const cavityOptions = rows[0].options.map(o => o.cavities);
+    return (
+      <div className="space-y-3">
+        <h3 className="text-lg font-semibold text-indigo-400">Price Breaks (Unit Price incl. Tooling)</h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-xs uppercase text-gray-400">
+              <tr>
+                <th className="p-2 text-left">Quantity</th>
+                {cavityOptions.map(c => <th key={c} className="p-2 text-right">{c} Cav</th>)}
+                <th className="p-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ quantity, options, best }) => (
+                <tr key={quantity} className="border-t border-gray-700">
+                  <td className="p-2">{quantity.toLocaleString()}</td>
+                  {options.map(option => (
+                    <td
+                      key={option.cavities}
+                      className={`p-2 text-right ${option === best ? 'font-bold text-green-400' : ''} ${option.quote.pressSelection.press ? '' : 'text-gray-500 line-through'}`}
+                      title={`Total cost of ownership ${formatCurrency(option.totalCost)}${option.quote.pressSelection.press ? '' : ' (no press fits)'}`}
+                    >
+                      {formatCurrency(option.unitPrice)}
+                    </td>
+                  ))}
+                  <td className="p-2 text-right">
+                    <button
+                      onClick={() => { handleParameterChange('quantity', quantity); handleParameterChange('cavities', best.cavities); }}
+                      className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-xs transition"
+                      title={`Quote ${quantity.toLocaleString()} parts with ${best.cavities} cavit${best.cavities > 1 ? 'ies' : 'y'}`}
+                    >
+                      Use
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-gray-400">Green marks the cavity count with the lowest total cost of ownership (parts plus tooling). Struck-out counts have no press that fits.</p>
+        <PriceBreakChart rows={rows} cavities={parameters.cavities} />
+      </div>
+    );
+  };
+
+  // Called rather than mounted, like renderHistoryPanel, so its inputs keep their value and focus.
+  const renderPartsList = () => (
+    <div className="mt-4 space-y-2">
+      {parts.map(part => {
+        const isSelected = part.id === selectedPart?.id;
+        const isBusy = part.jobStatus !== 'complete' && part.jobStatus !== 'failed';
+        return (
+          <div
+            key={part.id}
+            onClick={() => setSelectedPartId(part.id)}
+            className={`p-3 rounded-lg text-sm cursor-pointer border ${isSelected ? 'border-indigo-500 bg-indigo-900/30' : 'border-gray-600 bg-gray-700 hover:bg-gray-600'}`}
+          >
+            <div className="flex justify-between items-center">
+              <p className="truncate font-mono text-indigo-300">{part.fileName}</p>
+              {isBusy && <span className="flex items-center text-xs text-yellow-400"><Cpu className="h-3 w-3 mr-1 animate-spin"/>{part.jobProgress.progress}%{part.analysisData.accuracy === 'estimated' && ' · ESTIMATED'}</span>}
+              {part.jobStatus === 'failed' && <span className="text-xs text-red-400" title={part.errorMessage || ''}>Failed</span>}
+              {part.jobStatus === 'complete' && <span className="text-xs text-green-400">Analyzed ({part.analysisData.accuracy.toUpperCase()})</span>}
+            </div>
+            <div className="mt-2 flex space-x-2" onClick={(e) => e.stopPropagation()}>
+              <select
+                value={findMaterial(materials, part.materialId).id}
+                onChange={(e) => updatePart(part.id, { materialId: e.target.value })}
+                className="flex-1 p-1 bg-gray-800 border border-gray-600 rounded-lg text-xs"
+                aria-label={`Material for ${part.fileName}`}
+              >
+                {materials.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+              </select>
+              <input
+                type="number"
+                min="100"
+                step="100"
+                value={part.quantity}
+                onChange={(e) => updatePart(part.id, { quantity: Math.max(100, parseInt(e.target.value) || 0) })}
+                className="w-24 p-1 bg-gray-800 border border-gray-600 rounded-lg text-xs text-right"
+                aria-label={`Quantity of ${part.fileName}`}
+              />
+            </div>
+          </div>
+        );
+      })}
+      <label className="flex items-center text-sm pt-1">
+        <input
+          type="checkbox"
+          checked={Boolean(parameters.familyMold)}
+          onChange={(e) => handleParameterChange('familyMold', e.target.checked)}
+          className="mr-2"
+        />
+        <span>Family mold: one shared tool and press for all parts</span>
+      </label>
+    </div>
+  );
+
+  const ConsolidatedQuote = ({ quote }) => (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-400">
+        {quote.mode === 'family'
+          ? `One family tool with ${parameters.cavities} cavit${parameters.cavities > 1 ? 'ies' : 'y'} of each part on the ${quote.press}${quote.cycle ? `, ${quote.cycle.total.toFixed(1)} s cycle` : ''}. Shared machine, tooling and colorant costs are split by shot volume.`
+          : `${quote.toolCount} separate tools, each on its own press.`}
+      </p>
+      {quote.lines.length < parts.length && (
+        <p className="text-xs text-yellow-300">{parts.length - quote.lines.length} part(s) still being analyzed or failed; not included yet.</p>
+      )}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-xs uppercase text-gray-400">
+            <tr>
+              <th className="p-2 text-left">Part</th>
+              <th className="p-2 text-right">Qty</th>
+              <th className="p-2 text-left">Press</th>
+              <th className="p-2 text-right">Tooling</th>
+              <th className="p-2 text-right">Per Part</th>
+              <th className="p-2 text-right">Line Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {quote.lines.map(line => (
+              <tr key={line.id} className="border-t border-gray-700">
+                <td className="p-2">
+                  <p className="font-mono text-indigo-300 truncate">{line.fileName}</p>
+                  <p className="text-xs text-gray-400">{line.materialName}</p>
+                </td>
+                <td className="p-2 text-right">{line.quantity.toLocaleString()}</td>
+                <td className="p-2">{line.press}</td>
+                <td className="p-2 text-right">{formatCurrency(line.tooling)}</td>
+                <td className="p-2 text-right">{formatCurrency(line.perPart)}</td>
+                <td className="p-2 text-right">{formatCurrency(line.total)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot className="font-semibold">
+            <tr className="border-t border-gray-600">
+              <td className="p-2" colSpan="5">Parts Total{quote.toolingCharge > 0 ? '' : ' (tooling amortized)'}</td>
+              <td className="p-2 text-right">{formatCurrency(quote.partsTotal)}</td>
+            </tr>
+            {quote.toolingCharge > 0 && (
+              <tr>
+                <td className="p-2" colSpan="5">Tooling (one-time, {quote.toolCount} tool{quote.toolCount > 1 ? 's' : ''})</td>
+                <td className="p-2 text-right">{formatCurrency(quote.toolingCharge)}</td>
+              </tr>
+            )}
+            <tr className="text-indigo-200">
+              <td className="p-2" colSpan="5">Grand Total</td>
+              <td className="p-2 text-right">{formatCurrency(quote.grandTotal)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+      {quote.warnings.map(warning => (
+        <p key={warning} className="text-xs text-yellow-300 flex items-start">
+          <AlertTriangle className="h-4 w-4 mr-2 flex-shrink-0"/> {warning}
+        </p>
+      ))}
+    </div>
+  );
+
+  const CycleBreakdown = ({ cycle }) => (
+    <div className="space-y-2">
+      <h3 className="text-lg font-semibold text-indigo-400">Cycle Breakdown (Per Shot)</h3>
+      <div className="flex w-full h-3 rounded-full overflow-hidden bg-gray-700">
+        {CYCLE_PHASES.map(({ key }, index) => (
+          <div
+            key={key}
+            className={`${['bg-blue-600', 'bg-teal-600', 'bg-cyan-600', 'bg-purple-600'][index]} h-full transition-all duration-500`}
+            style={{ width: `${(cycle[key] / cycle.total) * 100}%` }}
+          ></div>
+        ))}
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+        {CYCLE_PHASES.map(({ key, label }, index) => (
+          <div key={key} className="flex items-center">
+            <span className={`inline-block h-2 w-2 rounded-full mr-2 ${['bg-blue-600', 'bg-teal-600', 'bg-cyan-600', 'bg-purple-600'][index]}`}></span>
+            <span>{label}: {cycle[key].toFixed(1)} s{cycle.overridden.includes(key) ? ' (override)' : ''}</span>
+          </div>
+        ))}
+      </div>
+      {cycle.overridden.length > 0 && (
+        <p className="text-xs text-yellow-300">
+          {cycle.overridden.includes('total') ? 'Total cycle' : 'Some phases'} set by override; the calculated cycle is {cycle.calculatedTotal.toFixed(1)} s.
+        </p>
+      )}
+    </div>
+  );
+
   // --- MAIN RENDER ---
   const CostDistributionChart = ({ quote }) => {
     if (!quote) return null;
@@ -445,7 +1311,9 @@ export default function App() {
       { name: 'Material Cost', value: quote.materialCost },
       { name: 'Machine Cost', value: quote.machineCost },
       { name: 'Mold Amortization', value: quote.moldCost },
-      { name: 'Scrap & Premium', value: quote.scrapCost + quote.colorPremium },
+      { name: 'Colorant', value: quote.colorCost },
+      { name: 'Secondary Ops', value: quote.secondaryCost },
+      { name: 'Scrap', value: quote.scrapCost },
     ];
     const totalCost = costs.reduce((sum, item) => sum + item.value, 0);
 
@@ -455,7 +1323,7 @@ export default function App() {
         <div className="flex flex-col space-y-2">
           {costs.map((cost, index) => {
             const percentage = (cost.value / totalCost) * 100;
-            const bgColor = ['bg-blue-600', 'bg-green-600', 'bg-yellow-600', 'bg-red-600'][index];
+            const bgColor = ['bg-blue-600', 'bg-green-600', 'bg-yellow-600', 'bg-pink-600', 'bg-teal-600', 'bg-red-600'][index];
             return (
               <div key={cost.name} className="flex flex-col">
                 <div className="flex justify-between text-sm">
@@ -483,6 +1351,21 @@ export default function App() {
           <Zap className="mr-2 text-indigo-400 h-6 w-6"/> CAD Quote Engine
         </h1>
         <div className="flex space-x-4 items-center">
+            <AuthPanel auth={firebase?.auth ?? null} user={user} isAuthReady={isAuthReady} />
+            <button 
+                onClick={() => setIsCatalogAdminOpen(!isCatalogAdminOpen)} 
+                className="p-2 rounded-full bg-gray-800 hover:bg-gray-700 transition"
+                aria-label="Toggle material and press catalogs"
+            >
+                <Database className="h-5 w-5 text-gray-400"/>
+            </button>
+            <button 
+                onClick={() => setIsWorkspaceOpen(!isWorkspaceOpen)} 
+                className="p-2 rounded-full bg-gray-800 hover:bg-gray-700 transition"
+                aria-label="Toggle team workspace"
+            >
+                <Users className="h-5 w-5 text-gray-400"/>
+            </button>
             <button 
                 onClick={() => setIsHistoryOpen(!isHistoryOpen)} 
                 className="p-2 rounded-full bg-gray-800 hover:bg-gray-700 transition"
@@ -508,10 +1391,41 @@ export default function App() {
         </div>
       )}
 
+      {/* Undo Delete Toast */}
+      {deletedQuote && (
+        <div className="fixed bottom-6 right-6 z-50 p-4 rounded-lg bg-gray-800 border border-gray-600 shadow-xl text-sm flex items-center space-x-4">
+            <p>Deleted {deletedQuote.fileName || 'quote'}.</p>
+            <button onClick={undoDelete} className="flex items-center px-3 py-1 rounded-lg bg-indigo-700 hover:bg-indigo-600 text-white transition">
+                <Undo2 className="h-4 w-4 mr-1"/> Undo
+            </button>
+        </div>
+      )}
+
+      {/* Catalog Admin Panel (Toggled) */}
+      {isCatalogAdminOpen && (
+        <div className="mb-8">
+            <CatalogAdmin
+              catalogs={{
+                materials: { items: materials, onChange: setMaterials },
+                presses: { items: presses, onChange: setPresses },
+                operations: { items: operations, onChange: setOperations },
+              }}
+              onClose={() => setIsCatalogAdminOpen(false)}
+            />
+        </div>
+      )}
+
+      {/* Team Workspace Panel (Toggled) */}
+      {isWorkspaceOpen && (
+        <div className="mb-8">
+            <WorkspacePanel db={db} auth={firebase?.auth ?? null} user={user} workspace={workspace} onClose={() => setIsWorkspaceOpen(false)} />
+        </div>
+      )}
+
       {/* Quote History Panel (Toggled) */}
       {isHistoryOpen && (
         <div className="mb-8">
-            <HistoryPanel />
+            {renderHistoryPanel()}
         </div>
       )}
 
@@ -525,7 +1439,7 @@ export default function App() {
           {/* FILE UPLOAD SECTION */}
           <div className="p-6 rounded-xl bg-gray-800 shadow-xl border border-gray-700">
             <h2 className="text-xl font-semibold mb-4 flex items-center text-indigo-300">
-              <Upload className="mr-2 h-5 w-5"/> 1. Upload CAD File
+              <Upload className="mr-2 h-5 w-5"/> 1. Upload CAD Files
             </h2>
             <div 
               className={`border-2 border-dashed ${fileName ? (analysisData.accuracy === 'high' ? 'border-green-500 bg-green-900/10' : 'border-yellow-500 bg-yellow-900/10') : 'border-gray-600 hover:border-gray-500'} rounded-lg p-8 text-center cursor-pointer transition-colors duration-200`}
@@ -534,23 +1448,66 @@ export default function App() {
               <input 
                 id="cad-upload" 
                 type="file" 
-                accept=".stl,.step,.stp,.iges,.sldprt,.ipt, application/sla, application/step" 
+                accept=".stl,.step,.stp,.iges,.igs,.sldprt,.ipt,.zip, application/sla, application/step, application/zip" 
+                multiple
                 onChange={handleFileUpload} 
                 className="hidden" 
                 disabled={isLoading}
               />
               <Upload className={`mx-auto h-8 w-8 mb-2 ${isLoading ? 'text-gray-500' : 'text-indigo-400'}`} />
-              <p className="font-medium">{fileName || 'Drag & Drop CAD file or Click to browse'}</p>
-              <p className="text-xs text-gray-400 mt-1">Supported: STL, STEP, IGES, SLDPRT, IPT, etc.</p>
+              <p className="font-medium">{parts.length > 1 ? `${parts.length} parts` : (fileName || 'Drag & Drop CAD files or Click to browse')}</p>
+              <p className="text-xs text-gray-400 mt-1">Supported: STL, STEP, IGES, SLDPRT, IPT, etc. Up to {MAX_PARTS} files or a .zip for a multi-part quote.</p>
             </div>
+
+            <label className="mt-4 flex justify-between items-center text-sm">
+              <span className="text-gray-400">Minimum wall thickness (mm)</span>
+              <input
+                type="number"
+                min="0.1"
+                step="0.1"
+                value={minWallThickness}
+                onChange={(e) => setMinWallThickness(Math.max(0.1, parseFloat(e.target.value) || DEFAULT_MIN_WALL_MM))}
+                className="w-24 p-1 bg-gray-700 border border-gray-600 rounded-lg text-right"
+                disabled={isLoading}
+              />
+            </label>
+            <label className="mt-2 flex justify-between items-center text-sm">
+              <span className="text-gray-400">Mold pull direction</span>
+              <select
+                value={pullDirection}
+                onChange={(e) => setPullDirection(e.target.value)}
+                className="w-24 p-1 bg-gray-700 border border-gray-600 rounded-lg"
+                disabled={isLoading}
+              >
+                {PULL_DIRECTIONS.map(direction => (
+                  <option key={direction} value={direction}>{direction.toUpperCase()}</option>
+                ))}
+              </select>
+            </label>
+            {/* Applies at once to analyzed parts (rescaled) and to the next upload (analyzed in it). */}
+            <label className="mt-2 flex justify-between items-center text-sm">
+              <span className="text-gray-400">Model units</span>
+              <select
+                value={modelUnits}
+                onChange={(e) => handleParameterChange('modelUnits', e.target.value)}
+                className="w-32 p-1 bg-gray-700 border border-gray-600 rounded-lg"
+              >
+                <option value="auto">Auto-detect</option>
+                {Object.entries(LENGTH_UNITS).map(([unit, { label }]) => (
+                  <option key={unit} value={unit}>{label}</option>
+                ))}
+              </select>
+            </label>
             
-            {fileName && (
+            {parts.length > 1 && renderPartsList()}
+
+            {parts.length === 1 && (
                 <div className="mt-4 p-3 bg-gray-700 rounded-lg flex justify-between items-center text-sm">
                     <p className="truncate">File: <span className="text-indigo-300 font-mono">{fileName}</span></p>
                     {isLoading && <Cpu className="h-4 w-4 animate-spin text-yellow-500"/>}
                     {showResults && (
                         <span className={analysisData.accuracy === 'high' ? 'text-green-400' : (analysisData.accuracy === 'mocked' ? 'text-red-400' : 'text-yellow-400')}>
-                            Analyzed ({analysisData.accuracy.toUpperCase()})
+                            {isEstimate ? 'Estimated' : `Analyzed (${analysisData.accuracy.toUpperCase()})`}
                         </span>
                     )}
                 </div>
@@ -564,15 +1521,49 @@ export default function App() {
                     <AlertTriangle className="h-5 w-5 text-yellow-400 mr-3 mt-0.5 flex-shrink-0"/>
                     <div>
                         <p className="font-semibold text-yellow-300">Accuracy Notice: {analysisData.accuracy.toUpperCase()}</p>
-                        <p className="text-sm text-yellow-200 mt-1">
-                            The current results are based on **simulated/estimated** geometry data from the backend blueprint. 
-                            **Phase 2 Goal:** Complete the Node.js/Forge integration to deliver guaranteed 'HIGH' accuracy results for all native CAD formats.
-                        </p>
+                        {isEstimate ? (
+                          <p className="text-sm text-yellow-200 mt-1">
+                              These figures were measured in your browser from the STL while the analysis job runs. Wall thickness is the average of the shell and
+                              manufacturability checks are still pending; the analyzed result replaces this estimate when the job finishes.
+                          </p>
+                        ) : analysisData.accuracy === 'low' ? (
+                          <p className="text-sm text-yellow-200 mt-1">
+                              The uploaded mesh is not watertight ({analysisData.topology?.openEdges ?? 0} open edges, {analysisData.topology?.inconsistentEdges ?? 0} flipped).
+                              Volume and wall thickness are approximate. Close holes and fix face orientation in your CAD tool for exact results.
+                          </p>
+                        ) : (
+                          <p className="text-sm text-yellow-200 mt-1">
+                              This quote was saved before parts were measured from their geometry, so its volume and dimensions are placeholder values.
+                              Upload the CAD file again to analyze it and quote from the measured part.
+                          </p>
+                        )}
                     </div>
                 </div>
             </div>
           )}
 
+          {/* DFM FINDINGS */}
+          {showResults && analysisData.dfm && (
+            <div className="p-4 rounded-xl bg-gray-800 border border-gray-700 space-y-3">
+                <p className="font-semibold flex items-center text-indigo-300">
+                    <ShieldAlert className="h-5 w-5 mr-2"/> Manufacturability ({analysisData.dfm.findings.length} finding{analysisData.dfm.findings.length === 1 ? '' : 's'})
+                </p>
+                <p className="text-xs text-gray-400">
+                    Pull direction {analysisData.dfm.pullDirection.toUpperCase()} · minimum draft {analysisData.dfm.minDraftDeg}°
+                </p>
+                {analysisData.dfm.findings.length === 0 ? (
+                    <p className="text-sm text-green-400">No draft, undercut or wall thickness issues found.</p>
+                ) : (
+                    analysisData.dfm.findings.map((finding, index) => (
+                        <div key={`${finding.type}-${index}`} className={`p-3 rounded-lg border text-sm ${SEVERITY_STYLES[finding.severity]}`}>
+                            <p className="font-semibold">{finding.severity.toUpperCase()}: {finding.title}</p>
+                            <p className="text-xs mt-1 opacity-90">{finding.detail}</p>
+                        </div>
+                    ))
+                )}
+            </div>
+          )}
+
           {/* MANUFACTURING PARAMETERS */}
           <div className="p-6 rounded-xl bg-gray-800 shadow-xl border border-gray-700">
             <h2 className="text-xl font-semibold mb-4 flex items-center text-indigo-300">
@@ -584,14 +1575,31 @@ export default function App() {
               <label className="block">
                 <span className="text-sm font-medium block mb-1">Material Selection</span>
                 <select 
-                  value={parameters.materialId} 
+                  value={partParameters.materialId} 
                   onChange={(e) => handleParameterChange('materialId', e.target.value)}
                   className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
                 >
-                  {MATERIALS.map(m => (
-                    <option key={m.name} value={m.name}>{m.name} ({formatCurrency(m.pricePerKg)}/kg)</option>
+                  {materials.map(m => (
+                    <option key={m.id} value={m.id}>{m.name} ({formatCurrency(m.pricePerKg)}/kg)</option>
                   ))}
                 </select>
+                <span className="text-xs text-gray-400 block mt-1">
+                  {selectedMaterial.supplier} · Melt {selectedMaterial.meltTemp}°C · Mold {selectedMaterial.moldTemp}°C · Shrinkage {selectedMaterial.shrinkage}%
+                </span>
+              </label>
+
+              {/* Regrind */}
+              <label className="block">
+                <span className="text-sm font-medium block mb-1">Regrind (%, max {selectedMaterial.maxRegrindPct}% for this grade)</span>
+                <input 
+                  type="number" 
+                  min="0" 
+                  max={selectedMaterial.maxRegrindPct} 
+                  step="5" 
+                  value={Math.min(parameters.regrindPct || 0, selectedMaterial.maxRegrindPct)} 
+                  onChange={(e) => handleParameterChange('regrindPct', Math.min(selectedMaterial.maxRegrindPct, Math.max(0, parseFloat(e.target.value) || 0)))}
+                  className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                />
               </label>
 
               {/* Production Quantity */}
@@ -601,7 +1609,7 @@ export default function App() {
                   type="number" 
                   min="100" 
                   step="100" 
-                  value={parameters.quantity} 
+                  value={partParameters.quantity} 
                   onChange={(e) => handleParameterChange('quantity', Math.max(100, parseInt(e.target.value) || 0))}
                   className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
                 />
@@ -615,25 +1623,134 @@ export default function App() {
                   onChange={(e) => handleParameterChange('cavities', parseInt(e.target.value))}
                   className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
                 >
-                  {[1, 2, 4, 8].map(c => (
+                  {CAVITY_OPTIONS.map(c => (
                     <option key={c} value={c}>{c} Cavit{(c > 1) ? 'ies' : 'y'}</option>
                   ))}
                 </select>
               </label>
 
-              {/* Color Selection (Simple) */}
+              {/* Color Selection */}
               <label className="block">
                 <span className="text-sm font-medium block mb-1">Color</span>
                 <select 
-                  value={parameters.color} 
+                  value={resolveColor(parameters.color)} 
                   onChange={(e) => handleParameterChange('color', e.target.value)}
                   className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
                 >
-                  <option value="natural">Natural (No Premium)</option>
-                  <option value="black">Black (+2% Premium)</option>
-                  <option value="custom">Custom Color (+2% Premium)</option>
+                  {Object.entries(COLOR_OPTIONS).map(([id, option]) => (
+                    <option key={id} value={id}>{option.label}</option>
+                  ))}
                 </select>
               </label>
+              {usesMasterbatch(parameters.color) && (
+                <label className="flex justify-between items-center text-xs">
+                  <span className="text-gray-400">Masterbatch let-down ratio (%)</span>
+                  <input
+                    type="number"
+                    min="0.5"
+                    max="10"
+                    step="0.5"
+                    value={parameters.letDownPct ?? 3}
+                    onChange={(e) => handleParameterChange('letDownPct', Math.min(10, Math.max(0.5, parseFloat(e.target.value) || 0)))}
+                    className="w-20 p-1 bg-gray-700 border border-gray-600 rounded-lg text-right"
+                  />
+                </label>
+              )}
+
+              {/* Secondary Operations */}
+              <div className="block space-y-2">
+                <span className="text-sm font-medium block">Secondary Operations</span>
+                {(parameters.secondaryOps || []).map((op, index) => (
+                  <div key={`${op.id}-${index}`} className="flex justify-between items-center text-xs">
+                    <span className="text-gray-300 truncate mr-2" title={`${formatCurrency(op.setupCost)} setup + ${formatCurrency(op.ratePerUnit)} / ${op.unit}`}>{op.name}</span>
+                    <span className="flex items-center space-x-1 flex-shrink-0">
+                      <input
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={op.count}
+                        onChange={(e) => updateSecondaryOp(index, Math.max(1, parseInt(e.target.value) || 1))}
+                        className="w-14 p-1 bg-gray-700 border border-gray-600 rounded-lg text-right"
+                        aria-label={`${op.unit}s per part`}
+                      />
+                      <span className="text-gray-400 w-14">{op.unit}/part</span>
+                      <button onClick={() => removeSecondaryOp(index)} className="p-1 text-red-400 hover:text-red-200 transition" title="Remove operation">
+                        <Trash2 className="h-3 w-3"/>
+                      </button>
+                    </span>
+                  </div>
+                ))}
+                <div className="flex space-x-2">
+                  <select
+                    value={selectedOperationId}
+                    onChange={(e) => setSelectedOperationId(e.target.value)}
+                    className="flex-1 p-1 bg-gray-700 border border-gray-600 rounded-lg text-xs"
+                  >
+                    {operations.map(op => (
+                      <option key={op.id} value={op.id}>{op.name}</option>
+                    ))}
+                  </select>
+                  <button onClick={() => addSecondaryOp(selectedOperationId)} className="px-3 py-1 rounded-lg bg-indigo-700 hover:bg-indigo-600 text-xs text-white transition">
+                    Add
+                  </button>
+                </div>
+              </div>
+
+              {/* Tooling */}
+              <div className="block space-y-2">
+                <span className="text-sm font-medium block">Tooling</span>
+                {[
+                  { key: 'steelClass', label: 'Steel', options: STEEL_CLASSES },
+                  { key: 'runnerType', label: 'Runner', options: RUNNER_TYPES },
+                  { key: 'surfaceFinish', label: 'Finish', options: SPI_FINISHES },
+                ].map(({ key, label, options }) => (
+                  <label key={key} className="flex justify-between items-center text-xs">
+                    <span className="text-gray-400">{label}</span>
+                    <select
+                      value={parameters[key]}
+                      onChange={(e) => handleParameterChange(key, e.target.value)}
+                      className="w-2/3 p-1 bg-gray-700 border border-gray-600 rounded-lg"
+                    >
+                      {Object.entries(options).map(([id, option]) => (
+                        <option key={id} value={id}>{option.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+                <label className="flex justify-between items-center text-xs">
+                  <span className="text-gray-400">Billing</span>
+                  <select
+                    value={parameters.toolingBilling || 'amortized'}
+                    onChange={(e) => handleParameterChange('toolingBilling', e.target.value)}
+                    className="w-2/3 p-1 bg-gray-700 border border-gray-600 rounded-lg"
+                  >
+                    <option value="amortized">Amortized into part price</option>
+                    <option value="separate">Separate one-time charge</option>
+                  </select>
+                </label>
+              </div>
+
+              {/* Cycle Time Overrides */}
+              <div className="block">
+                <span className="text-sm font-medium block mb-1">Cycle Time Overrides (s)</span>
+                <p className="text-xs text-gray-400 mb-2">Leave blank to use the calculated value. A total overrides every phase.</p>
+                <div className="grid grid-cols-2 gap-2">
+                  {[...CYCLE_PHASES, { key: 'total', label: 'Total Cycle' }].map(({ key, label }) => (
+                    <label key={key} className={`flex justify-between items-center text-xs ${key === 'total' ? 'col-span-2' : ''}`}>
+                      <span className="text-gray-400">{label}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.1"
+                        value={parameters.cycleOverrides?.[key] ?? ''}
+                        placeholder={quoteResults ? quoteResults.cycle[key].toFixed(1) : '–'}
+                        onChange={(e) => handleCycleOverrideChange(key, e.target.value)}
+                        className="w-20 p-1 bg-gray-700 border border-gray-600 rounded-lg text-right"
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
             </div>
           </div>
         </div>
@@ -647,13 +1764,34 @@ export default function App() {
               <Cpu className="mr-2 h-5 w-5"/> 3. Part Analysis Results
             </h2>
             
-            {(jobStatus !== 'complete' || isLoading) ? <StatusIndicator /> : (
+            {selectedPart && (selectedPart.file || selectedPart.previewJobId || selectedPart.thumbnail) && (
+              <div className="mb-6">
+                <Suspense fallback={<div className="h-80 flex items-center justify-center text-sm text-gray-400">Loading 3D viewer…</div>}>
+                  <PartViewer
+                    key={selectedPart.id}
+                    previewJobId={selectedPart.previewJobId}
+                    file={selectedPart.file}
+                    fileName={selectedPart.fileName}
+                    analysisData={jobStatus === 'complete' ? selectedPart.analysisData : null}
+                    thumbnail={selectedPart.thumbnail}
+                    onThumbnail={(thumbnail) => updatePart(selectedPart.id, { thumbnail })}
+                  />
+                </Suspense>
+              </div>
+            )}
+
+            {jobStatus !== 'complete' && !isEstimate ? <StatusIndicator /> : (
               showResults ? (
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
                   
                   <DataCard title="Volume" value={`${analysisData.volume.toFixed(2)} cm³`} icon={Globe}/>
-                  <DataCard title="Max Wall Thk" value={`${analysisData.wallThickness.toFixed(2)} mm`} icon={Sliders}/>
-                  <DataCard title="BBox (L×W×H)" value={`${analysisData.dimensions.length}×${analysisData.dimensions.width}×${analysisData.dimensions.height} mm`} icon={Cpu}/>
+                  <DataCard title={isEstimate ? 'Avg Wall Thk' : 'Max Wall Thk'} value={`${analysisData.wallThickness.toFixed(2)} mm`} icon={Sliders}/>
+                  <DataCard
+                    title="BBox (L×W×H)"
+                    value={`${analysisData.dimensions.length}×${analysisData.dimensions.width}×${analysisData.dimensions.height} mm`}
+                    icon={Cpu}
+                    detail={describeUnits(analysisData.units, modelUnits)}
+                  />
                   <DataCard 
                     title="Accuracy" 
                     value={analysisData.accuracy.toUpperCase()} 
@@ -661,8 +1799,15 @@ export default function App() {
                     className={`text-sm font-bold ${analysisData.accuracy === 'high' ? 'text-green-400' : 'text-yellow-400'}`}
                   />
                   
+                  {analysisData.thickness && <ThicknessDistribution thickness={analysisData.thickness} />}
+
                   <p className="col-span-full text-xs text-gray-400 pt-2">
-                    Analysis data received via asynchronous webhook callback.
+                    {isEstimate
+                      ? `Estimated in the browser. ${JOB_STAGE_LABELS[jobProgress.stage] || 'Analysis in progress'} (${jobProgress.progress}%); the analyzed result replaces these figures when the job finishes.`
+                      : 'Analysis data received from the asynchronous analysis job.'}
+                    {analysisData.units && analysisData.units.unit !== analyzedUnit && (
+                      ` Rescaled from ${LENGTH_UNITS[analyzedUnit].label.toLowerCase()}; wall and DFM checks ran at the old size, so upload the file again to re-check them.`
+                    )}
                   </p>
                 </div>
               ) : null // Should not happen if jobStatus is complete
@@ -672,7 +1817,7 @@ export default function App() {
           {/* QUOTE RESULTS DISPLAY */}
           <div className="p-6 rounded-xl bg-gray-800 shadow-xl border border-gray-700">
             <h2 className="text-xl font-semibold mb-4 flex items-center text-indigo-300">
-              <DollarSign className="mr-2 h-5 w-5"/> 4. Real-time Quote
+              <DollarSign className="mr-2 h-5 w-5"/> 4. Real-time Quote{parts.length > 1 && fileName ? `: ${fileName}` : ''}
             </h2>
             
             {quoteResults && showResults ? (
@@ -682,29 +1827,55 @@ export default function App() {
                 <div className="bg-indigo-900/40 p-6 rounded-xl border border-indigo-700 text-center relative">
                     <button
                         onClick={saveCurrentQuote}
-                        disabled={!isAuthReady || !fileName}
+                        disabled={!isAuthReady || !fileName || isCurrentQuoteLocked}
                         className="absolute top-3 right-3 p-2 rounded-lg bg-indigo-700 hover:bg-indigo-600 disabled:bg-gray-600 disabled:cursor-not-allowed transition"
-                        title="Save Quote to History"
+                        title={isCurrentQuoteLocked ? `Locked: this quote is ${QUOTE_STATUSES[currentStatus].label.toLowerCase()}` : currentQuote ? `Save as Revision ${currentQuote.revision + 1}` : isTeamLibrary ? `Save Quote to ${workspace.name}` : 'Save Quote to History'}
                     >
                         <Save className="h-5 w-5 text-white"/>
                     </button>
 
-                  <p className="text-sm uppercase text-indigo-300 font-semibold">Total Cost Per Part (Fully Amortized)</p>
+                  <p className="text-sm uppercase text-indigo-300 font-semibold">Total Cost Per Part ({quoteResults.toolingCharge > 0 ? 'Excluding Tooling' : 'Fully Amortized'})</p>
                   <p className="text-5xl font-extrabold my-2 text-white">{formatCurrency(quoteResults.totalPerPart)}</p>
-                  <p className="text-sm text-gray-300">Total Run Cost ({parameters.quantity} parts): <span className="font-bold text-indigo-200">{formatCurrency(quoteResults.totalQuote)}</span></p>
+                  <p className="text-sm text-gray-300">Total Run Cost ({partParameters.quantity} parts): <span className="font-bold text-indigo-200">{formatCurrency(quoteResults.totalQuote)}</span></p>
+                  {quoteResults.toolingCharge > 0 && (
+                    <p className="text-sm text-gray-300">Plus Tooling (one-time): <span className="font-bold text-indigo-200">{formatCurrency(quoteResults.toolingCharge)}</span></p>
+                  )}
                 </div>
 
                 {/* Detailed Breakdown */}
                 <div className="grid grid-cols-2 gap-4">
-                    <DetailedResultCard title="Total Cycle Time" value={`${quoteResults.cycleTime.toFixed(1)} s`} detail="Time per shot (fill + cool)"/>
+                    <DetailedResultCard title="Total Cycle Time" value={`${quoteResults.cycleTime.toFixed(1)} s`} detail={quoteResults.cycle.overridden.length > 0 ? 'Per shot, with engineer overrides' : 'Per shot: fill + pack + cool + eject'}/>
                     <DetailedResultCard title="Production Rate" value={`${quoteResults.partsPerHour.toFixed(0)} parts/hr`} detail="With all cavities considered"/>
-                    <DetailedResultCard title="Recommended Press" value={quoteResults.recommendedMachine} detail="Based on estimated mold size"/>
-                    <DetailedResultCard title="Total Scrap Cost" value={formatCurrency(quoteResults.scrapCost * parameters.quantity)} detail={`@ ${(SCRAP_RATE * 100).toFixed(0)}% material rate`}/>
+                    <DetailedResultCard title="Recommended Press" value={quoteResults.pressSelection.press ? quoteResults.recommendedMachine : 'No press fits'} detail={`${quoteResults.pressSelection.clampForce.toFixed(0)} t clamp force required`}/>
+                    <DetailedResultCard title="Total Scrap Cost" value={formatCurrency(quoteResults.scrapCost * partParameters.quantity)} detail={`@ ${(SCRAP_RATE * 100).toFixed(0)}% material rate`}/>
+                    {quoteResults.regrindPct > 0 && (
+                        <DetailedResultCard title="Regrind Savings" value={`${formatCurrency(quoteResults.regrindSavings)} / part`} detail={`${quoteResults.regrindPct}% regrind in ${quoteResults.materialName}`}/>
+                    )}
+                    {quoteResults.colorant.total > 0 && (
+                        <DetailedResultCard title="Colorant" value={`${formatCurrency(quoteResults.colorCost)} / part`} detail={quoteResults.colorant.items.map(item => `${item.label} ${formatCurrency(item.cost)}`).join(' · ')}/>
+                    )}
+                    {quoteResults.secondaryOps.length > 0 && (
+                        <DetailedResultCard title="Secondary Operations" value={`${formatCurrency(quoteResults.secondaryCost)} / part`} detail={quoteResults.secondaryOps.map(op => `${op.name}${op.count > 1 ? ` ×${op.count}` : ''} ${formatCurrency(op.perPart)}`).join(' · ')}/>
+                    )}
+                    <DetailedResultCard title="Lead Time" value={`${quoteResults.leadTime.totalWeeks} weeks`} detail={`Tooling ${quoteResults.leadTime.toolingWeeks} + sampling ${quoteResults.leadTime.samplingWeeks} + production ${quoteResults.leadTime.productionWeeks} wk`}/>
+                    <DetailedResultCard title="Tooling" value={formatCurrency(quoteResults.tooling.total)} detail={quoteResults.toolingCharge > 0 ? 'Billed separately as a one-time charge' : `${formatCurrency(quoteResults.moldCost)} / part over ${partParameters.quantity} parts`}/>
                 </div>
 
+                {/* Tooling Quote */}
+                <ToolingBreakdown tooling={quoteResults.tooling} isSeparate={quoteResults.toolingCharge > 0} />
+
+                {/* Press Selection */}
+                <PressSelectionDetails selection={quoteResults.pressSelection} pressName={quoteResults.recommendedMachine} />
+
+                {/* Cycle Breakdown */}
+                <CycleBreakdown cycle={quoteResults.cycle} />
+
                 {/* Cost Distribution Chart */}
                 <CostDistributionChart quote={quoteResults} />
 
+                {/* Price Breaks & Cavity Optimization */}
+                <PriceBreakPanel rows={priceBreaks} />
+
               </div>
             ) : (
               <div className="text-center p-10 text-gray-500">
@@ -713,6 +1884,20 @@ export default function App() {
             )}
           </div>
 
+          {/* CONSOLIDATED MULTI-PART QUOTE */}
+          {parts.length > 1 && (
+            <div className="p-6 rounded-xl bg-gray-800 shadow-xl border border-gray-700">
+              <h2 className="text-xl font-semibold mb-4 flex items-center text-indigo-300">
+                <DollarSign className="mr-2 h-5 w-5"/> 5. Consolidated Quote ({parts.length} parts)
+              </h2>
+              {consolidatedQuote ? <ConsolidatedQuote quote={consolidatedQuote} /> : (
+                <div className="text-center p-10 text-gray-500">
+                  <p>Waiting for the parts to be analyzed...</p>
+                </div>
+              )}
+            </div>
+          )}
+
         </div>
       </main>
     </div>
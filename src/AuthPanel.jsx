@@ -0,0 +1,117 @@
+// src/AuthPanel.jsx
+// Header sign-in control: shows who is signed in and offers guest, email/password and company (backend) sign-in.
+import React, { useState } from 'react';
+import { LogIn, LogOut, User, X } from 'lucide-react';
+import {
+  AUTH_TOKEN_ENDPOINT, describeAuthError, registerWithEmail, signInAsGuest, signInWithBackendToken, signInWithEmail, signOutUser,
+} from './firebase.js';
+
+/**
+ * @param {{ auth: import('firebase/auth').Auth | null, user: import('firebase/auth').User | null, isAuthReady: boolean }} props
+ */
+export default function AuthPanel({ auth, user, isAuthReady }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [mode, setMode] = useState('sign-in'); // 'sign-in' or 'register'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  if (!auth) {
+    return <span className="text-xs text-gray-500" title="Set the VITE_FIREBASE_* variables to enable accounts">Offline</span>;
+  }
+  if (!isAuthReady) {
+    return <span className="text-xs text-gray-500">Signing in…</span>;
+  }
+
+  const run = async (action) => {
+    setError(null);
+    setIsBusy(true);
+    try {
+      await action();
+      setIsOpen(false);
+      setPassword('');
+    } catch (e) {
+      setError(describeAuthError(e));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const submitEmail = (event) => {
+    event.preventDefault();
+    run(() => (mode === 'register' ? registerWithEmail(auth, email, password) : signInWithEmail(auth, email, password)));
+  };
+
+  const isGuest = Boolean(user?.isAnonymous);
+  const label = !user ? 'Signed out' : isGuest ? 'Guest' : (user.email || user.displayName || user.uid);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`flex items-center px-3 py-2 rounded-full text-sm transition ${user ? 'bg-gray-800 hover:bg-gray-700 text-gray-300' : 'bg-indigo-700 hover:bg-indigo-600 text-white'}`}
+        aria-label="Account"
+      >
+        {user ? <User className="h-4 w-4 mr-2"/> : <LogIn className="h-4 w-4 mr-2"/>}
+        <span className="max-w-[12rem] truncate">{user ? label : 'Sign in'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 z-40 p-4 rounded-xl bg-gray-800 border border-gray-700 shadow-xl space-y-3 text-sm">
+          <div className="flex justify-between items-center">
+            <p className="font-semibold text-indigo-300">{label}</p>
+            <button onClick={() => setIsOpen(false)} className="text-gray-400 hover:text-gray-200 transition" aria-label="Close account menu">
+              <X className="h-4 w-4"/>
+            </button>
+          </div>
+          {user && <p className="text-xs text-gray-400">User ID: <span className="font-mono">{user.uid}</span></p>}
+          {isGuest && <p className="text-xs text-yellow-300">Guest quotes are kept in this browser only. Create an account to keep them.</p>}
+          {!user && <p className="text-xs text-gray-400">Sign in to save quotes and see your history.</p>}
+
+          {(!user || isGuest) && (
+            <form onSubmit={submitEmail} className="space-y-2">
+              <input
+                type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="Email" required
+                autoComplete="email" className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg"
+              />
+              <input
+                type="password" value={password} onChange={(e) => setPassword(e.target.value)} placeholder="Password" required
+                autoComplete={mode === 'register' ? 'new-password' : 'current-password'} className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg"
+              />
+              <button type="submit" disabled={isBusy} className="w-full py-2 rounded-lg bg-indigo-700 hover:bg-indigo-600 text-white transition disabled:opacity-50">
+                {mode === 'register' ? (isGuest ? 'Create Account (keeps guest quotes)' : 'Create Account') : 'Sign In'}
+              </button>
+              <button
+                type="button" onClick={() => { setMode(mode === 'register' ? 'sign-in' : 'register'); setError(null); }}
+                className="w-full text-xs text-gray-400 hover:text-indigo-200 transition"
+              >
+                {mode === 'register' ? 'Already have an account? Sign in' : 'New here? Create an account'}
+              </button>
+            </form>
+          )}
+
+          {error && <p className="p-2 rounded-lg border border-red-700 bg-red-900/30 text-xs text-red-300">{error}</p>}
+
+          <div className="flex flex-col space-y-2">
+            {(!user || isGuest) && AUTH_TOKEN_ENDPOINT && (
+              <button onClick={() => run(() => signInWithBackendToken(auth))} disabled={isBusy} className="py-2 rounded-lg bg-gray-700 hover:bg-gray-600 transition disabled:opacity-50">
+                Sign in with company account
+              </button>
+            )}
+            {!user && (
+              <button onClick={() => run(() => signInAsGuest(auth))} disabled={isBusy} className="py-2 rounded-lg bg-gray-700 hover:bg-gray-600 transition disabled:opacity-50">
+                Continue as guest
+              </button>
+            )}
+            {user && (
+              <button onClick={() => run(() => signOutUser(auth))} disabled={isBusy} className="flex justify-center items-center py-2 rounded-lg bg-gray-700 hover:bg-gray-600 transition disabled:opacity-50">
+                <LogOut className="h-4 w-4 mr-2"/> Sign out
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+// src/CatalogAdmin.jsx
+// Admin panel for the editable catalogs: list, add, edit and delete materials, presses and secondary operations.
+import React, { useState } from 'react';
+import { Database, Edit3, Plus, Trash2, X } from 'lucide-react';
+import { validateMaterial } from '../shared/materials.js';
+import { validatePress } from '../shared/presses.js';
+import { validateOperation } from '../shared/operations.js';
+import { materialsClient, pressesClient, operationsClient, loadAdminKey, storeAdminKey } from './catalogApi.js';
+
+// How each catalog is edited and listed. Columns render plain text.
+const CATALOG_VIEWS = {
+  materials: {
+    title: 'Materials',
+    noun: 'Material',
+    client: materialsClient,
+    validate: (input) => {
+      const { material, errors } = validateMaterial(input);
+      return { item: material, errors };
+    },
+    fields: [
+      { key: 'id', label: 'ID', type: 'text' },
+      { key: 'name', label: 'Name', type: 'text', wide: true },
+      { key: 'supplier', label: 'Supplier', type: 'text', wide: true },
+      { key: 'density', label: 'Density (g/cm³)', type: 'number', step: '0.01' },
+      { key: 'pricePerKg', label: 'Price ($/kg)', type: 'number', step: '0.01' },
+      { key: 'meltTemp', label: 'Melt Temp (°C)', type: 'number', step: '1' },
+      { key: 'moldTemp', label: 'Mold Temp (°C)', type: 'number', step: '1' },
+      { key: 'ejectTemp', label: 'Eject Temp (°C)', type: 'number', step: '1' },
+      { key: 'shrinkage', label: 'Shrinkage (%)', type: 'number', step: '0.1' },
+      { key: 'thermalDiffusivity', label: 'Diffusivity (mm²/s)', type: 'number', step: '0.01' },
+      { key: 'cavityPressure', label: 'Cavity Pressure (bar)', type: 'number', step: '10' },
+      { key: 'maxRegrindPct', label: 'Max Regrind (%)', type: 'number', step: '1' },
+    ],
+    columns: [
+      { label: 'g/cm³', value: m => m.density.toFixed(2) },
+      { label: '$/kg', value: m => m.pricePerKg.toFixed(2) },
+      { label: 'Melt / Mold / Eject °C', value: m => `${m.meltTemp} / ${m.moldTemp} / ${m.ejectTemp ?? '–'}` },
+      { label: 'Shrink %', value: m => m.shrinkage },
+      { label: 'α mm²/s', value: m => m.thermalDiffusivity },
+      { label: 'Cavity bar', value: m => m.cavityPressure ?? '–' },
+      { label: 'Regrind %', value: m => `≤ ${m.maxRegrindPct}` },
+    ],
+    subtitle: m => `${m.id} · ${m.supplier || 'No supplier'}`,
+  },
+  presses: {
+    title: 'Presses',
+    noun: 'Press',
+    client: pressesClient,
+    validate: (input) => {
+      const { press, errors } = validatePress(input);
+      return { item: press, errors };
+    },
+    fields: [
+      { key: 'id', label: 'ID', type: 'text' },
+      { key: 'name', label: 'Name', type: 'text', wide: true },
+      { key: 'tonnage', label: 'Clamp Force (t)', type: 'number', step: '5' },
+      { key: 'tieBarH', label: 'Tie Bar H (mm)', type: 'number', step: '10' },
+      { key: 'tieBarV', label: 'Tie Bar V (mm)', type: 'number', step: '10' },
+      { key: 'maxShotCm3', label: 'Max Shot (cm³)', type: 'number', step: '10' },
+      { key: 'ratePerHour', label: 'Rate ($/hr)', type: 'number', step: '1' },
+    ],
+    columns: [
+      { label: 'Tonnes', value: p => p.tonnage },
+      { label: 'Tie Bars mm', value: p => `${p.tieBarH} × ${p.tieBarV}` },
+      { label: 'Shot cm³', value: p => p.maxShotCm3 },
+      { label: '$/hr', value: p => p.ratePerHour.toFixed(2) },
+    ],
+    subtitle: p => p.id,
+  },
+  operations: {
+    title: 'Operations',
+    noun: 'Operation',
+    client: operationsClient,
+    validate: (input) => {
+      const { operation, errors } = validateOperation(input);
+      return { item: operation, errors };
+    },
+    fields: [
+      { key: 'id', label: 'ID', type: 'text' },
+      { key: 'name', label: 'Name', type: 'text', wide: true },
+      { key: 'unit', label: 'Unit (part, insert...)', type: 'text' },
+      { key: 'setupCost', label: 'Setup ($/run)', type: 'number', step: '10' },
+      { key: 'ratePerUnit', label: 'Rate ($/unit)', type: 'number', step: '0.01' },
+    ],
+    columns: [
+      { label: 'Setup $', value: o => o.setupCost.toFixed(2) },
+      { label: 'Rate $', value: o => `${o.ratePerUnit.toFixed(2)} / ${o.unit}` },
+    ],
+    subtitle: o => o.id,
+  },
+};
+
+/**
+ * @param {{ catalogs: Object<string, { items: object[], onChange: (items: object[]) => void }>, onClose: () => void }} props
+ *   catalogs is keyed like CATALOG_VIEWS ('materials', 'presses', 'operations')
+ */
+export default function CatalogAdmin({ catalogs, onClose }) {
+  const [activeKey, setActiveKey] = useState('materials');
+  const [adminKey, setAdminKey] = useState(loadAdminKey);
+  const [form, setForm] = useState(null); // null = closed, otherwise { values, isNew }
+  const [errors, setErrors] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const view = CATALOG_VIEWS[activeKey];
+  const { items, onChange } = catalogs[activeKey];
+  const emptyForm = Object.fromEntries(view.fields.map(f => [f.key, '']));
+
+  const switchCatalog = (key) => {
+    setActiveKey(key);
+    setForm(null);
+    setErrors([]);
+  };
+
+  const run = async (action) => {
+    setIsSaving(true);
+    setErrors([]);
+    try {
+      await action();
+      const { items: latest } = await view.client.fetchAll();
+      onChange(latest);
+      return true;
+    } catch (error) {
+      setErrors([error.message]);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleKeyChange = (value) => {
+    setAdminKey(value);
+    storeAdminKey(value);
+  };
+
+  const handleSave = async () => {
+    const { item, errors: validationErrors } = view.validate(form.values);
+    if (validationErrors.length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+    if (await run(() => view.client.save(item, { isNew: form.isNew, adminKey }))) {
+      setForm(null);
+    }
+  };
+
+  const handleDelete = (item) => {
+    if (!window.confirm(`Delete ${item.name} from the catalog?`)) return;
+    run(() => view.client.remove(item.id, { adminKey }));
+  };
+
+  return (
+    <div className="p-6 rounded-xl bg-gray-800 shadow-xl border border-gray-700 space-y-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-semibold flex items-center text-indigo-300">
+          <Database className="mr-2 h-5 w-5"/> Catalogs
+        </h2>
+        <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-200 transition" aria-label="Close catalogs">
+          <X className="h-5 w-5"/>
+        </button>
+      </div>
+
+      <div className="flex space-x-2">
+        {Object.entries(CATALOG_VIEWS).map(([key, { title }]) => (
+          <button
+            key={key}
+            onClick={() => switchCatalog(key)}
+            className={`px-4 py-2 rounded-lg text-sm transition ${key === activeKey ? 'bg-indigo-700 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}
+          >
+            {title} ({catalogs[key].items.length})
+          </button>
+        ))}
+      </div>
+
+      <label className="flex justify-between items-center text-sm">
+        <span className="text-gray-400">Admin key (required to make changes)</span>
+        <input
+          type="password"
+          value={adminKey}
+          onChange={(e) => handleKeyChange(e.target.value)}
+          className="w-64 p-1 bg-gray-700 border border-gray-600 rounded-lg"
+          autoComplete="off"
+        />
+      </label>
+
+      {errors.length > 0 && (
+        <div className="p-3 rounded-lg border border-red-700 bg-red-900/30 text-sm text-red-300">
+          {errors.map(error => <p key={error}>{error}</p>)}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="text-xs uppercase text-gray-400 text-left">
+            <tr>
+              <th className="p-2">{view.noun}</th>
+              {view.columns.map(column => <th key={column.label} className="p-2 text-right">{column.label}</th>)}
+              <th className="p-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map(item => (
+              <tr key={item.id} className="border-t border-gray-700">
+                <td className="p-2">
+                  <p className="font-medium">{item.name}</p>
+                  <p className="text-xs text-gray-400">{view.subtitle(item)}</p>
+                </td>
+                {view.columns.map(column => <td key={column.label} className="p-2 text-right">{column.value(item)}</td>)}
+                <td className="p-2 text-right whitespace-nowrap">
+                  <button onClick={() => { setErrors([]); setForm({ values: { ...emptyForm, ...item }, isNew: false }); }} className="p-2 text-indigo-400 hover:text-indigo-200 transition" title={`Edit ${view.noun}`}>
+                    <Edit3 className="h-4 w-4"/>
+                  </button>
+                  <button onClick={() => handleDelete(item)} disabled={isSaving} className="p-2 text-red-400 hover:text-red-200 transition" title={`Delete ${view.noun}`}>
+                    <Trash2 className="h-4 w-4"/>
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {form ? (
+        <div className="p-4 rounded-lg bg-gray-700 border border-gray-600 space-y-3">
+          <p className="font-semibold text-indigo-300">{form.isNew ? `New ${view.noun}` : `Edit ${form.values.name}`}</p>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {view.fields.map(field => (
+              <label key={field.key} className={`block text-xs ${field.wide ? 'col-span-2' : ''}`}>
+                <span className="text-gray-400 block mb-1">{field.label}</span>
+                <input
+                  type={field.type}
+                  step={field.step}
+                  value={form.values[field.key]}
+                  onChange={(e) => setForm(prev => ({ ...prev, values: { ...prev.values, [field.key]: e.target.value } }))}
+                  disabled={field.key === 'id' && !form.isNew}
+                  className="w-full p-2 bg-gray-800 border border-gray-600 rounded-lg text-sm disabled:text-gray-500"
+                />
+              </label>
+            ))}
+          </div>
+          <div className="flex justify-end space-x-2">
+            <button onClick={() => setForm(null)} className="px-4 py-2 rounded-lg bg-gray-600 hover:bg-gray-500 text-sm transition">Cancel</button>
+            <button onClick={handleSave} disabled={isSaving} className="px-4 py-2 rounded-lg bg-indigo-700 hover:bg-indigo-600 disabled:bg-gray-600 text-sm text-white transition">
+              {isSaving ? 'Saving...' : `Save ${view.noun}`}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={() => { setErrors([]); setForm({ values: emptyForm, isNew: true }); }}
+          className="flex items-center px-4 py-2 rounded-lg bg-indigo-700 hover:bg-indigo-600 text-sm text-white transition"
+        >
+          <Plus className="h-4 w-4 mr-2"/> Add {view.noun}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,270 @@
+// src/PartViewer.jsx
+// WebGL view of the selected part with orbit/zoom and analysis overlays: wall thickness heat map,
+// draft coloring, bounding box and pull direction. Loaded on demand, since three.js is large.
+import React, { useEffect, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { Box } from 'lucide-react';
+import {
+  fetchPreviewMesh, readStlFile, pullVector, draftAngleDeg, draftColor, thicknessColor,
+  DRAFT_COLORS, THICKNESS_GRADIENT,
+} from './previewMesh.js';
+
+const BASE_COLOR = [0.62, 0.65, 0.95];
+const THUMBNAIL_WIDTH = 240;
+
+const OVERLAYS = [
+  ['shaded', 'Shaded'],
+  ['thickness', 'Wall Thickness'],
+  ['draft', 'Draft'],
+];
+
+const toCss = (rgb) => `rgb(${rgb.map(c => Math.round(c * 255)).join(',')})`;
+
+// Per-face colors for the chosen overlay, written into the geometry's color attribute.
+const paintOverlay = (geometry, overlay, { thickness, range, pull, minDraftDeg }) => {
+  const colors = geometry.getAttribute('color');
+  const normals = geometry.getAttribute('normal');
+  for (let t = 0; t < colors.count / 3; t++) {
+    let color = BASE_COLOR;
+    if (overlay === 'thickness' && thickness) {
+      color = thicknessColor(thickness[t], range);
+    } else if (overlay === 'draft') {
+      const v = t * 3;
+      color = draftColor(draftAngleDeg([normals.getX(v), normals.getY(v), normals.getZ(v)], pull), minDraftDeg);
+    }
+    for (let k = 0; k < 3; k++) colors.setXYZ(t * 3 + k, color[0], color[1], color[2]);
+  }
+  colors.needsUpdate = true;
+};
+
+// Scaled-down JPEG of the current view, small enough to save with the quote for its PDF.
+const captureThumbnail = (renderer) => {
+  const source = renderer.domElement;
+  const canvas = document.createElement('canvas');
+  canvas.width = THUMBNAIL_WIDTH;
+  canvas.height = Math.round(THUMBNAIL_WIDTH * source.height / source.width);
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', 0.7);
+};
+
+/**
+ * @param {{ previewJobId: string|null, file: File|null, fileName: string, analysisData: object,
+ *   thumbnail: string|null, onThumbnail: (dataUrl: string) => void }} props
+ */
+export default function PartViewer({ previewJobId, file, fileName, analysisData, thumbnail, onThumbnail }) {
+  const containerRef = useRef(null);
+  const view = useRef(null); // { renderer, scene, camera, controls, render }
+  const part = useRef(null); // { mesh, geometry, box, arrow } of the loaded preview
+  const [preview, setPreview] = useState(null);
+  const [status, setStatus] = useState('loading'); // 'loading' | 'ready' | 'unavailable' | 'error'
+  const [overlay, setOverlay] = useState('shaded');
+  const [showBox, setShowBox] = useState(true);
+  const [showPull, setShowPull] = useState(true);
+
+  const thickness = analysisData?.thickness;
+  const dfm = analysisData?.dfm;
+  const pull = pullVector(dfm?.pullDirection);
+
+  // 1. SCENE: renderer, camera, lights and controls, for the life of the panel
+  useEffect(() => {
+    const container = containerRef.current;
+    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setPixelRatio(window.devicePixelRatio);
+    container.appendChild(renderer.domElement);
+
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color('#111827');
+    const camera = new THREE.PerspectiveCamera(40, 1, 0.1, 100000);
+    camera.up.set(0, 0, 1); // Parts are modelled Z-up
+    scene.add(camera);
+    scene.add(new THREE.HemisphereLight(0xffffff, 0x334155, 1.2));
+    const light = new THREE.DirectionalLight(0xffffff, 1.5);
+    light.position.set(1, 1, 2);
+    camera.add(light); // Lit from the viewer's side, whichever way the part is turned
+
+    const controls = new OrbitControls(camera, renderer.domElement);
+    const render = () => renderer.render(scene, camera);
+    controls.addEventListener('change', render);
+
+    const resize = () => {
+      const { clientWidth: width, clientHeight: height } = container;
+      if (width === 0 || height === 0) return;
+      renderer.setSize(width, height);
+      camera.aspect = width / height;
+      camera.updateProjectionMatrix();
+      render();
+    };
+    const observer = new ResizeObserver(resize);
+    observer.observe(container);
+    resize();
+
+    view.current = { renderer, scene, camera, controls, render };
+    return () => {
+      observer.disconnect();
+      controls.dispose();
+      renderer.dispose();
+      container.removeChild(renderer.domElement);
+      view.current = null;
+    };
+  }, []);
+
+  // 2. MESH: the analysis tessellation when the job stored one, else the STL as uploaded
+  useEffect(() => {
+    let isCurrent = true;
+    setStatus('loading');
+    const load = async () => {
+      const fromJob = previewJobId ? await fetchPreviewMesh(previewJobId) : null;
+      if (fromJob) return fromJob;
+      return file && /\.stl$/i.test(file.name) ? readStlFile(file) : null;
+    };
+    load()
+      .then(mesh => {
+        if (!isCurrent) return;
+        setPreview(mesh);
+        setStatus(mesh ? 'ready' : 'unavailable');
+      })
+      .catch(error => {
+        console.error('Preview mesh error:', error);
+        if (isCurrent) setStatus('error');
+      });
+    return () => { isCurrent = false; };
+  }, [previewJobId, file]);
+
+  useEffect(() => {
+    const { scene, camera, controls, renderer, render } = view.current;
+    if (!preview) return;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(preview.positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(preview.positions.length), 3));
+    geometry.computeVertexNormals(); // Unshared vertices: flat face normals
+    geometry.computeBoundingBox();
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ vertexColors: true, side: THREE.DoubleSide, roughness: 0.6 }));
+    paintOverlay(geometry, 'shaded', {});
+
+    const bounds = geometry.boundingBox;
+    const size = bounds.getSize(new THREE.Vector3());
+    const center = bounds.getCenter(new THREE.Vector3());
+    const box = new THREE.Box3Helper(bounds, 0xa5b4fc);
+    // From the part's centre, out past the face the mold opens from.
+    const direction = new THREE.Vector3(...pull);
+    const reach = Math.abs(direction.dot(size)) / 2;
+    const arrowLength = Math.max(size.x, size.y, size.z) * 0.5;
+    const arrow = new THREE.ArrowHelper(direction, center, reach + arrowLength, 0xf97316, arrowLength * 0.25, arrowLength * 0.12);
+    scene.add(mesh, box, arrow);
+
+    // Fit the part in view from an isometric angle.
+    const radius = size.length() / 2 || 1;
+    const distance = radius / Math.sin((camera.fov * Math.PI) / 360);
+    camera.position.copy(center).add(new THREE.Vector3(1, -1, 0.8).normalize().multiplyScalar(distance * 1.1));
+    camera.near = distance / 100;
+    camera.far = distance * 10;
+    camera.updateProjectionMatrix();
+    controls.target.copy(center);
+    controls.update();
+    render();
+
+    if (!thumbnail && preview.source === 'analysis') {
+      box.visible = false;
+      arrow.visible = false;
+      render();
+      onThumbnail(captureThumbnail(renderer));
+    }
+
+    part.current = { mesh, geometry, box, arrow };
+    return () => {
+      scene.remove(mesh, box, arrow);
+      geometry.dispose();
+      mesh.material.dispose();
+      part.current = null;
+    };
+  }, [preview, dfm?.pullDirection]);
+
+  // 3. OVERLAYS
+  useEffect(() => {
+    if (!part.current) return;
+    const { geometry, box, arrow } = part.current;
+    paintOverlay(geometry, overlay, {
+      thickness: preview.thickness,
+      range: thickness ?? { min: 0, max: 0 },
+      pull,
+      minDraftDeg: dfm?.minDraftDeg ?? 1,
+    });
+    box.visible = showBox;
+    arrow.visible = showPull;
+    view.current.render();
+  }, [preview, overlay, showBox, showPull, thickness, dfm?.pullDirection, dfm?.minDraftDeg]);
+
+  const hasThickness = Boolean(preview?.thickness && thickness);
+  const message = {
+    loading: 'Loading 3D preview…',
+    unavailable: thumbnail ? null : 'No 3D preview for this part. Upload the file again to view it.',
+    error: 'Could not load the 3D preview.',
+  }[status];
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <Box className="h-4 w-4 text-indigo-300"/>
+        {OVERLAYS.map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setOverlay(key)}
+            disabled={status !== 'ready' || (key === 'thickness' && !hasThickness) || (key === 'draft' && !dfm)}
+            className={`px-2 py-1 rounded-lg transition disabled:opacity-40 ${overlay === key ? 'bg-indigo-700 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-300'}`}
+            title={key === 'thickness' && !hasThickness ? 'Thickness is measured by the analysis; wait for it to finish' : undefined}
+          >
+            {label}
+          </button>
+        ))}
+        <label className="flex items-center space-x-1 text-gray-300">
+          <input type="checkbox" checked={showBox} onChange={(e) => setShowBox(e.target.checked)}/>
+          <span>Bounding box</span>
+        </label>
+        <label className="flex items-center space-x-1 text-gray-300">
+          <input type="checkbox" checked={showPull} onChange={(e) => setShowPull(e.target.checked)}/>
+          <span>Pull {dfm?.pullDirection?.toUpperCase() ?? '+Z'}</span>
+        </label>
+      </div>
+
+      <div className="relative h-80 rounded-lg overflow-hidden border border-gray-700">
+        <div ref={containerRef} className="absolute inset-0"/>
+        {status !== 'ready' && (
+          <div className="absolute inset-0 flex flex-col items-center justify-center bg-gray-900 text-sm text-gray-400 space-y-2">
+            {status === 'unavailable' && thumbnail && <img src={thumbnail} alt={fileName} className="max-h-64 rounded"/>}
+            {message && <p>{message}</p>}
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-between items-center text-xs text-gray-400">
+        {overlay === 'thickness' && hasThickness && (
+          <div className="flex items-center space-x-2">
+            <span>{thickness.min} mm</span>
+            <span className="inline-block w-32 h-2 rounded" style={{ background: THICKNESS_GRADIENT }}/>
+            <span>{thickness.max} mm</span>
+            <span className="text-gray-500">· minimum {thickness.minAllowed} mm · grey: not measured</span>
+          </div>
+        )}
+        {overlay === 'draft' && dfm && (
+          <div className="flex items-center space-x-3">
+            {[['ok', `≥ ${dfm.minDraftDeg}°`], ['low', `< ${dfm.minDraftDeg}°`], ['none', 'none']].map(([key, label]) => (
+              <span key={key} className="flex items-center space-x-1">
+                <span className="inline-block w-3 h-3 rounded-sm" style={{ background: toCss(DRAFT_COLORS[key]) }}/>
+                <span>{label}</span>
+              </span>
+            ))}
+          </div>
+        )}
+        {overlay === 'shaded' && <span>Drag to orbit, scroll to zoom, right-drag to pan.</span>}
+        {status === 'ready' && (
+          <span>
+            {preview.source === 'local' ? 'Uploaded STL' : 'Analyzed mesh'}
+            {preview.positions.length / 9 < preview.sourceTriangleCount && ` · simplified to ${(preview.positions.length / 9).toLocaleString()} of ${preview.sourceTriangleCount.toLocaleString()} triangles`}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+// src/WorkspacePanel.jsx
+// Team workspace panel: create or join an organization, and (for admins) invite members and set their roles.
+import React, { useEffect, useState } from 'react';
+import { Users, Trash2, X } from 'lucide-react';
+import { getVerifiedEmail, refreshEmailVerification } from './firebase.js';
+import {
+  ROLES, hasRole, createWorkspace, findInvite, acceptInvite, declineInvite, inviteMember, listInvites,
+  watchMembers, setMemberRole, removeMember, leaveWorkspace,
+} from './workspaceRepository.js';
+
+const inputClass = 'p-2 bg-gray-700 border border-gray-600 rounded-lg text-sm';
+const buttonClass = 'px-3 py-2 rounded-lg text-sm transition disabled:opacity-50';
+
+const RoleSelect = ({ value, onChange, disabled }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled} className={inputClass}>
+    {Object.entries(ROLES).map(([role, { label }]) => <option key={role} value={role}>{label}</option>)}
+  </select>
+);
+
+/**
+ * @param {{ db: import('firebase/firestore').Firestore | null, auth: import('firebase/auth').Auth | null,
+ *   user: import('firebase/auth').User | null, workspace: { orgId: string, name: string, role: string } | null,
+ *   onClose: () => void }} props
+ */
+export default function WorkspacePanel({ db, auth, user, workspace, onClose }) {
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [verifiedEmail, setVerifiedEmail] = useState(null);
+  const [invite, setInvite] = useState(null);
+  const [orgName, setOrgName] = useState('');
+  const [members, setMembers] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('estimator');
+
+  const isAdmin = hasRole(workspace?.role, 'admin');
+
+  // Pending invite for this user, when they are not in a workspace yet.
+  useEffect(() => {
+    if (!db || !user || workspace) return;
+    let isCurrent = true;
+    getVerifiedEmail(user)
+      .then(async (email) => {
+        if (!isCurrent) return;
+        setVerifiedEmail(email);
+        const found = email ? await findInvite(db, email) : null;
+        if (isCurrent) setInvite(found);
+      })
+      .catch(e => setError(`Could not look up invites: ${e.message}`));
+    return () => { isCurrent = false; };
+  }, [db, user, workspace]);
+
+  useEffect(() => {
+    if (!db || !workspace) return;
+    return watchMembers(db, workspace.orgId, setMembers, (e) => setError(`Could not load members: ${e.message}`));
+  }, [db, workspace?.orgId]);
+
+  const refreshInvites = () => listInvites(db, workspace.orgId).then(setInvites);
+
+  useEffect(() => {
+    if (!db || !isAdmin) return;
+    refreshInvites().catch(e => setError(`Could not load invites: ${e.message}`));
+  }, [db, workspace?.orgId, isAdmin]);
+
+  const run = async (action) => {
+    setError(null);
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const checkVerification = () => run(async () => {
+    if (!(await refreshEmailVerification(auth))) throw new Error('Your email is not verified yet. Use the link in the verification email.');
+    const email = await getVerifiedEmail(user);
+    setVerifiedEmail(email);
+    setInvite(email ? await findInvite(db, email) : null);
+  });
+
+  const sendInvite = (event) => {
+    event.preventDefault();
+    run(async () => {
+      await inviteMember(db, workspace, user, inviteEmail, inviteRole);
+      setInviteEmail('');
+      await refreshInvites();
+    });
+  };
+
+  const body = () => {
+    if (!db || !user) return <p className="text-sm text-gray-400">Sign in to create or join a team workspace.</p>;
+    if (!workspace) {
+      return (
+        <div className="space-y-4 text-sm">
+          {invite ? (
+            <div className="p-3 rounded-lg bg-gray-700 space-y-2">
+              <p>You're invited to <span className="font-semibold text-indigo-300">{invite.orgName}</span> as {ROLES[invite.role]?.label}.</p>
+              <div className="flex space-x-2">
+                <button onClick={() => run(() => acceptInvite(db, user, invite))} disabled={isBusy} className={`${buttonClass} bg-indigo-700 hover:bg-indigo-600 text-white`}>Join</button>
+                <button onClick={() => run(async () => { await declineInvite(db, invite.email); setInvite(null); })} disabled={isBusy} className={`${buttonClass} bg-gray-600 hover:bg-gray-500`}>Decline</button>
+              </div>
+            </div>
+          ) : (
+            <p className="text-gray-400">
+              {verifiedEmail ? `No pending invites for ${verifiedEmail}.` : 'Invites are matched to a verified email address. Guests and unverified accounts can only create a workspace.'}
+              {!verifiedEmail && user.email && (
+                <button onClick={checkVerification} disabled={isBusy} className="ml-2 text-indigo-300 hover:text-indigo-200">I've verified my email</button>
+              )}
+            </p>
+          )}
+          <form onSubmit={(e) => { e.preventDefault(); run(() => createWorkspace(db, user, orgName)); }} className="flex space-x-2">
+            <input value={orgName} onChange={(e) => setOrgName(e.target.value)} placeholder="Organization name" required className={`${inputClass} flex-1`}/>
+            <button type="submit" disabled={isBusy || !orgName.trim()} className={`${buttonClass} bg-indigo-700 hover:bg-indigo-600 text-white`}>Create Workspace</button>
+          </form>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4 text-sm">
+        <p className="text-gray-400">
+          <span className="font-semibold text-white">{workspace.name}</span> · You are {ROLES[workspace.role]?.label}
+        </p>
+        <table className="w-full">
+          <thead className="text-xs uppercase text-gray-400 text-left">
+            <tr><th className="p-2">Member</th><th className="p-2">Role</th><th className="p-2"></th></tr>
+          </thead>
+          <tbody>
+            {members.map(member => (
+              <tr key={member.uid} className="border-t border-gray-700">
+                <td className="p-2">
+                  {member.displayName}{member.uid === user.uid && ' (you)'}
+                  {member.email && member.email !== member.displayName && <span className="block text-xs text-gray-500">{member.email}</span>}
+                </td>
+                <td className="p-2">
+                  {isAdmin && member.uid !== user.uid
+                    ? <RoleSelect value={member.role} onChange={(role) => run(() => setMemberRole(db, workspace.orgId, member.uid, role))} disabled={isBusy}/>
+                    : ROLES[member.role]?.label}
+                </td>
+                <td className="p-2 text-right">
+                  {isAdmin && member.uid !== user.uid && (
+                    <button onClick={() => run(() => removeMember(db, workspace.orgId, member.uid))} disabled={isBusy} className="p-1 text-gray-400 hover:text-red-400 transition" aria-label={`Remove ${member.displayName}`}>
+                      <Trash2 className="h-4 w-4"/>
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {isAdmin && (
+          <div className="space-y-2">
+            <form onSubmit={sendInvite} className="flex space-x-2">
+              <input type="email" value={inviteEmail} onChange={(e) => setInviteEmail(e.target.value)} placeholder="colleague@company.com" required className={`${inputClass} flex-1`}/>
+              <RoleSelect value={inviteRole} onChange={setInviteRole} disabled={isBusy}/>
+              <button type="submit" disabled={isBusy} className={`${buttonClass} bg-indigo-700 hover:bg-indigo-600 text-white`}>Invite</button>
+            </form>
+            {invites.map(pending => (
+              <div key={pending.email} className="flex justify-between items-center text-xs text-gray-400">
+                <span>Invited {pending.email} as {ROLES[pending.role]?.label}</span>
+                <button onClick={() => run(async () => { await declineInvite(db, pending.email); await refreshInvites(); })} disabled={isBusy} className="hover:text-red-400 transition">Revoke</button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {!isAdmin && (
+          <button onClick={() => run(() => leaveWorkspace(db, user.uid, workspace.orgId))} disabled={isBusy} className={`${buttonClass} bg-gray-700 hover:bg-gray-600`}>
+            Leave Workspace
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="p-6 rounded-xl bg-gray-800 shadow-xl border border-gray-700 space-y-4">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-semibold flex items-center text-indigo-300">
+          <Users className="mr-2 h-5 w-5"/> Team Workspace
+        </h2>
+        <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-200 transition" aria-label="Close team workspace">
+          <X className="h-5 w-5"/>
+        </button>
+      </div>
+      {error && <div className="p-3 rounded-lg border border-red-700 bg-red-900/30 text-sm text-red-300">{error}</div>}
+      {body()}
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+// src/catalogApi.js
+// Clients for the editable catalogs (/api/materials, /api/presses, /api/operations). Reads fall back
+// to the built-in lists so quoting keeps working when the API is unreachable.
+
+import { DEFAULT_MATERIALS } from '../shared/materials.js';
+import { DEFAULT_PRESSES } from '../shared/presses.js';
+import { DEFAULT_OPERATIONS } from '../shared/operations.js';
+
+const ADMIN_KEY_STORAGE = 'cadQuote.adminKey';
+
+export const loadAdminKey = () => sessionStorage.getItem(ADMIN_KEY_STORAGE) || '';
+export const storeAdminKey = (key) => sessionStorage.setItem(ADMIN_KEY_STORAGE, key);
+
+const readError = async (response) => {
+  try {
+    const body = await response.json();
+    return [body.message, ...(body.errors || [])].filter(Boolean).join(' ');
+  } catch (e) {
+    return `Request failed with status ${response.status}`;
+  }
+};
+
+const adminRequest = async (method, url, adminKey, body) => {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'x-admin-key': adminKey },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (!response.ok) throw new Error(await readError(response));
+};
+
+/**
+ * @param {{ endpoint: string, collection: string, defaults: Array<{ id: string }> }} catalog
+ */
+const createCatalogClient = ({ endpoint, collection, defaults }) => ({
+  /**
+   * @returns {Promise<{ items: object[], isFallback: boolean }>}
+   */
+  fetchAll: async () => {
+    try {
+      const response = await fetch(endpoint);
+      if (!response.ok) throw new Error(await readError(response));
+      const items = (await response.json())[collection];
+      if (!Array.isArray(items) || items.length === 0) throw new Error(`Empty ${collection} catalog.`);
+      return { items, isFallback: false };
+    } catch (error) {
+      console.warn(`Using built-in ${collection}:`, error);
+      return { items: defaults, isFallback: true };
+    }
+  },
+
+  // Creates the item, or replaces the one with the same id when `isNew` is false.
+  save: (item, { isNew, adminKey }) => (
+    isNew
+      ? adminRequest('POST', endpoint, adminKey, item)
+      : adminRequest('PUT', `${endpoint}?id=${encodeURIComponent(item.id)}`, adminKey, item)
+  ),
+
+  remove: (id, { adminKey }) => adminRequest('DELETE', `${endpoint}?id=${encodeURIComponent(id)}`, adminKey),
+});
+
+export const materialsClient = createCatalogClient({ endpoint: '/api/materials', collection: 'materials', defaults: DEFAULT_MATERIALS });
+export const pressesClient = createCatalogClient({ endpoint: '/api/presses', collection: 'presses', defaults: DEFAULT_PRESSES });
+export const operationsClient = createCatalogClient({ endpoint: '/api/operations', collection: 'operations', defaults: DEFAULT_OPERATIONS });
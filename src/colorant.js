@@ -0,0 +1,56 @@
+// src/colorant.js
+// Colorant cost for a production run: precolored compound or masterbatch, custom color matching
+// and the resin purged through the barrel at each color changeover. All costs in USD.
+
+const PRECOLOR_PREMIUM = 0.15; // Compounder's upcharge over natural resin, as a share of its price
+const DEFAULT_LET_DOWN_PCT = 3; // Masterbatch share of the blend, %
+const STANDARD_MASTERBATCH_PER_KG = 8;
+const CUSTOM_MASTERBATCH_PER_KG = 12; // Matched formulations come in smaller lots
+const COLOR_MATCH_FEE = 750; // Lab match, plaques and customer approval
+const PURGE_BARRELS = 3; // Barrel volumes run to scrap to clear the previous color
+
+/** @type {Object<string, { label: string, masterbatchPerKg?: number, precolored?: boolean, matchFee?: number }>} */
+export const COLOR_OPTIONS = {
+  natural: { label: 'Natural (no colorant)' },
+  precolored: { label: 'Precolored compound', precolored: true },
+  masterbatch: { label: 'Masterbatch (standard color)', masterbatchPerKg: STANDARD_MASTERBATCH_PER_KG },
+  custom: { label: 'Custom color match (masterbatch)', masterbatchPerKg: CUSTOM_MASTERBATCH_PER_KG, matchFee: COLOR_MATCH_FEE },
+};
+
+// Quotes saved before the colorant model stored 'black' for a standard masterbatch color.
+const LEGACY_COLORS = { black: 'masterbatch' };
+
+export const resolveColor = (color) => (COLOR_OPTIONS[color] ? color : LEGACY_COLORS[color] || 'natural');
+
+export const usesMasterbatch = (color) => Boolean(COLOR_OPTIONS[resolveColor(color)].masterbatchPerKg);
+
+/**
+ * @param {{ color: string, letDownPct?: number, weightKg: number, resinPricePerKg: number, density: number,
+ *   barrelCm3: number, quantity: number }} run - weightKg is one part; barrelCm3 is the press's max shot
+ * @returns {{ color: string, items: Array<{ key: string, label: string, detail: string, cost: number }>, total: number, perPart: number }}
+ *   item costs are for the whole run
+ */
+export const estimateColorant = (run) => {
+  const color = resolveColor(run.color);
+  const option = COLOR_OPTIONS[color];
+  if (color === 'natural') return { color, items: [], total: 0, perPart: 0 };
+
+  const runKg = run.weightKg * run.quantity;
+  const items = [];
+  if (option.precolored) {
+    items.push({ key: 'compound', label: 'Precolored Compound', detail: `+${(PRECOLOR_PREMIUM * 100).toFixed(0)}% on ${runKg.toFixed(1)} kg`, cost: runKg * run.resinPricePerKg * PRECOLOR_PREMIUM });
+  } else {
+    // Masterbatch displaces the same weight of natural resin.
+    const letDownPct = run.letDownPct > 0 ? run.letDownPct : DEFAULT_LET_DOWN_PCT;
+    const masterbatchKg = runKg * (letDownPct / 100);
+    items.push({ key: 'masterbatch', label: 'Masterbatch', detail: `${letDownPct}% let-down, ${masterbatchKg.toFixed(1)} kg @ ${option.masterbatchPerKg}/kg`, cost: Math.max(0, masterbatchKg * (option.masterbatchPerKg - run.resinPricePerKg)) });
+  }
+  if (option.matchFee) {
+    items.push({ key: 'color-match', label: 'Color Match Fee', detail: 'One-time lab match and approval', cost: option.matchFee });
+  }
+  const purgeKg = run.barrelCm3 * PURGE_BARRELS * run.density / 1000;
+  items.push({ key: 'purge', label: 'Changeover Purge', detail: `${PURGE_BARRELS} barrel volumes, ${purgeKg.toFixed(1)} kg scrapped`, cost: purgeKg * run.resinPricePerKg });
+
+  const total = items.reduce((sum, item) => sum + item.cost, 0);
+  return { color, items, total, perPart: total / run.quantity };
+};
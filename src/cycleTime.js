@@ -0,0 +1,81 @@
+// src/cycleTime.js
+// Injection molding cycle model: fill, pack/hold, cooling and mold open/eject times in seconds.
+
+const FILL_RATE_CM3_PER_S = 40; // Typical injection rate for small/medium presses
+const MIN_FILL_TIME_S = 0.5;
+const HOLD_TIME_PER_MM = 1.0; // Rule of thumb: about a second of hold per mm of wall
+const MIN_HOLD_TIME_S = 0.5;
+const DRY_CYCLE_S = 2.0; // Clamp open/close and ejector stroke with no part depth
+const OPEN_STROKE_SPEED_MM_S = 250;
+const SIDE_ACTION_TIME_S = 1.0; // Extra time for slides/lifters to retract
+// No press cycles faster; also keeps parts per hour finite when every phase is overridden to 0.
+const MIN_CYCLE_S = 1.0;
+
+// Ejection temperature as a fraction of the melt-to-mold span, for grades that don't specify one.
+const DEFAULT_EJECT_FRACTION = 0.3;
+
+export const CYCLE_PHASES = [
+  { key: 'fill', label: 'Fill' },
+  { key: 'pack', label: 'Pack / Hold' },
+  { key: 'cool', label: 'Cooling' },
+  { key: 'eject', label: 'Mold Open / Eject' },
+];
+
+/**
+ * Time for the thickest wall to cool from melt to ejection temperature (plate solution):
+ *   t = s² / (π²·α) · ln( (4/π) · (Tm − Tw) / (Te − Tw) )
+ * @param {number} thicknessMm - s, wall thickness
+ * @param {{ thermalDiffusivity: number, meltTemp: number, moldTemp: number, ejectTemp?: number }} material - α in mm²/s, temperatures in °C
+ * @returns {number} seconds
+ */
+export const coolingTime = (thicknessMm, { thermalDiffusivity, meltTemp, moldTemp, ejectTemp }) => {
+  const eject = ejectTemp ?? moldTemp + (meltTemp - moldTemp) * DEFAULT_EJECT_FRACTION;
+  // Ejecting at or below mold temperature would take forever; keep the log argument valid.
+  const ratio = (4 / Math.PI) * (meltTemp - moldTemp) / Math.max(eject - moldTemp, 1);
+  return (thicknessMm ** 2 / (Math.PI ** 2 * thermalDiffusivity)) * Math.log(Math.max(ratio, 1));
+};
+
+const isOverride = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value)) && Number(value) >= 0;
+
+/**
+ * Builds the per-shot cycle breakdown. Any phase, or the whole cycle, can be
+ * overridden with a measured value from the process engineers. The total is never below MIN_CYCLE_S.
+ * @param {{ thickness: number, material: object, shotVolume: number, openStroke: number, sideActions: number }} part
+ *   thickness in mm, shotVolume in cm³ (all cavities), openStroke in mm (part depth along the pull direction)
+ * @param {{ fill?: number, pack?: number, cool?: number, eject?: number, total?: number }} [overrides] - seconds
+ * @returns {{ fill: number, pack: number, cool: number, eject: number, total: number, calculatedTotal: number, overridden: string[] }}
+ */
+export const estimateCycle = ({ thickness, material, shotVolume, openStroke, sideActions }, overrides = {}) => {
+  const totalCooling = coolingTime(thickness, material);
+  const pack = Math.max(MIN_HOLD_TIME_S, thickness * HOLD_TIME_PER_MM);
+
+  const calculated = {
+    fill: Math.max(MIN_FILL_TIME_S, shotVolume / FILL_RATE_CM3_PER_S),
+    pack,
+    // The cooling equation counts from the end of fill, so hold time already cools the part.
+    cool: Math.max(totalCooling - pack, 0),
+    // Open far enough to clear the part twice over, then close again.
+    eject: DRY_CYCLE_S + (2 * openStroke) / OPEN_STROKE_SPEED_MM_S + (sideActions > 0 ? SIDE_ACTION_TIME_S : 0),
+  };
+  const calculatedTotal = CYCLE_PHASES.reduce((sum, { key }) => sum + calculated[key], 0);
+
+  const phases = {};
+  const overridden = [];
+  for (const { key } of CYCLE_PHASES) {
+    phases[key] = isOverride(overrides[key]) ? Number(overrides[key]) : calculated[key];
+    if (isOverride(overrides[key])) overridden.push(key);
+  }
+  const phaseTotal = CYCLE_PHASES.reduce((sum, { key }) => sum + phases[key], 0);
+
+  if (isOverride(overrides.total) && Number(overrides.total) > 0) {
+    // A measured total wins; scale the phases so the breakdown still adds up. Phases all
+    // overridden to 0 have no proportions to keep, so the total is split evenly.
+    const total = Math.max(Number(overrides.total), MIN_CYCLE_S);
+    for (const { key } of CYCLE_PHASES) {
+      phases[key] = phaseTotal > 0 ? phases[key] * (total / phaseTotal) : total / CYCLE_PHASES.length;
+    }
+    return { ...phases, total, calculatedTotal, overridden: ['total'] };
+  }
+
+  return { ...phases, total: Math.max(phaseTotal, MIN_CYCLE_S), calculatedTotal, overridden };
+};
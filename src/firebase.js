@@ -0,0 +1,132 @@
+// src/firebase.js
+// Firebase app, auth and Firestore set up from Vite environment variables (see .env.example),
+// plus the sign-in paths: anonymous guest, email/password and custom tokens from our backend.
+
+import { initializeApp } from 'firebase/app';
+import {
+  connectAuthEmulator, createUserWithEmailAndPassword, EmailAuthProvider, getAuth, linkWithCredential,
+  sendEmailVerification, signInAnonymously, signInWithCustomToken, signInWithEmailAndPassword, signOut,
+} from 'firebase/auth';
+import { connectFirestoreEmulator, getFirestore } from 'firebase/firestore';
+
+const env = import.meta.env;
+
+// Namespaces saved data under /artifacts/<appId> so several deployments can share one project.
+export const appId = env.VITE_APP_ID || 'default-app-id';
+
+// Backend endpoint that exchanges the caller's session for a Firebase custom token (API/auth-token.js).
+export const AUTH_TOKEN_ENDPOINT = env.VITE_AUTH_TOKEN_ENDPOINT || '';
+
+// Local testing: `npm run emulators` (ports in firebase.json) and VITE_FIREBASE_EMULATOR=true.
+// The emulators accept any project, so a demo config stands in when no project is configured.
+export const USE_FIREBASE_EMULATOR = env.VITE_FIREBASE_EMULATOR === 'true';
+const EMULATOR_HOST = '127.0.0.1';
+const EMULATOR_PORTS = { auth: 9099, firestore: 8080 };
+const EMULATOR_CONFIG = { apiKey: 'demo-api-key', projectId: 'demo-cad-quote', authDomain: 'demo-cad-quote.firebaseapp.com' };
+
+const projectConfig = env.VITE_FIREBASE_API_KEY && env.VITE_FIREBASE_PROJECT_ID ? {
+  apiKey: env.VITE_FIREBASE_API_KEY,
+  authDomain: env.VITE_FIREBASE_AUTH_DOMAIN || `${env.VITE_FIREBASE_PROJECT_ID}.firebaseapp.com`,
+  projectId: env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: env.VITE_FIREBASE_APP_ID,
+} : null;
+
+export const firebaseConfig = projectConfig || (USE_FIREBASE_EMULATOR ? EMULATOR_CONFIG : null);
+
+export const getUserProfilePath = (userId) => `/artifacts/${appId}/users/${userId}`;
+export const getPrivateCollectionPath = (userId) => `${getUserProfilePath(userId)}/quotes`;
+export const getOrgPath = (orgId) => `/artifacts/${appId}/orgs/${orgId}`;
+export const getTeamCollectionPath = (orgId) => `${getOrgPath(orgId)}/quotes`;
+export const getInvitePath = (email) => `/artifacts/${appId}/invites/${email.trim().toLowerCase()}`;
+
+let services = null;
+
+/**
+ * Initializes Firebase once. Returns null when no project is configured, so callers can run without a database.
+ * @returns {{ auth: import('firebase/auth').Auth, db: import('firebase/firestore').Firestore } | null}
+ */
+export const getFirebase = () => {
+  if (services || !firebaseConfig) return services;
+  const app = initializeApp(firebaseConfig);
+  const auth = getAuth(app);
+  const db = getFirestore(app);
+  if (USE_FIREBASE_EMULATOR) {
+    connectFirestoreEmulator(db, EMULATOR_HOST, EMULATOR_PORTS.firestore);
+    connectAuthEmulator(auth, `http://${EMULATOR_HOST}:${EMULATOR_PORTS.auth}`, { disableWarnings: true });
+  }
+  services = { auth, db };
+  return services;
+};
+
+// Firebase error codes → messages the sign-in form can show as-is.
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'That email address is not valid.',
+  'auth/invalid-credential': 'Wrong email or password.',
+  'auth/wrong-password': 'Wrong email or password.',
+  'auth/user-not-found': 'Wrong email or password.',
+  'auth/email-already-in-use': 'An account already exists for that email; sign in instead.',
+  'auth/credential-already-in-use': 'An account already exists for that email; sign in instead.',
+  'auth/weak-password': 'Passwords need at least 6 characters.',
+  'auth/too-many-requests': 'Too many attempts. Wait a moment and try again.',
+  'auth/operation-not-allowed': 'This sign-in method is not enabled for the Firebase project.',
+};
+
+export const describeAuthError = (error) => AUTH_ERROR_MESSAGES[error?.code] || error?.message || 'Sign-in failed.';
+
+export const signInAsGuest = (auth) => signInAnonymously(auth);
+
+export const signInWithEmail = (auth, email, password) => signInWithEmailAndPassword(auth, email.trim(), password);
+
+/**
+ * Creates an email/password account. A guest is upgraded in place, so the uid (and the quotes
+ * saved under it) carry over to the new account. Sends a verification email: workspace invites
+ * are only honored for verified addresses.
+ */
+export const registerWithEmail = async (auth, email, password) => {
+  const user = auth.currentUser;
+  const credential = user?.isAnonymous
+    ? await linkWithCredential(user, EmailAuthProvider.credential(email.trim(), password))
+    : await createUserWithEmailAndPassword(auth, email.trim(), password);
+  await sendEmailVerification(credential.user);
+  return credential;
+};
+
+/**
+ * Picks up a verification done in another tab; the security rules read email_verified from the ID token.
+ * @returns {Promise<boolean>} whether the email is now verified
+ */
+export const refreshEmailVerification = async (auth) => {
+  const user = auth.currentUser;
+  if (!user) return false;
+  await user.reload();
+  if (user.emailVerified) await user.getIdToken(true);
+  return user.emailVerified;
+};
+
+/**
+ * Signs in with a custom token minted by our backend for the session cookie it issued.
+ * @returns {Promise<import('firebase/auth').UserCredential>}
+ */
+export const signInWithBackendToken = async (auth) => {
+  if (!AUTH_TOKEN_ENDPOINT) throw new Error('VITE_AUTH_TOKEN_ENDPOINT is not set.');
+  const response = await fetch(AUTH_TOKEN_ENDPOINT, { method: 'POST', credentials: 'include' });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.token) throw new Error(body.message || `Token request failed with status ${response.status}`);
+  return signInWithCustomToken(auth, body.token);
+};
+
+/**
+ * The user's email as the security rules see it: verified email/password accounts, or the email
+ * claim our backend puts in custom tokens. Null for guests and unverified addresses.
+ * @returns {Promise<string|null>}
+ */
+export const getVerifiedEmail = async (user) => {
+  if (!user || user.isAnonymous) return null;
+  const { claims, signInProvider } = await user.getIdTokenResult();
+  if (!claims.email || (signInProvider !== 'custom' && !claims.email_verified)) return null;
+  return String(claims.email).toLowerCase();
+};
+
+export const signOutUser = (auth) => signOut(auth);
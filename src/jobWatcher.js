@@ -0,0 +1,158 @@
+// src/jobWatcher.js
+// Follows an analysis job through /api/job-events (SSE), falling back to polling
+// /api/poll-status with exponential backoff when streaming is unavailable.
+
+const ACTIVE_JOB_KEY = 'cadQuote.activeJob';
+
+const POLL_INITIAL_DELAY_MS = 1000;
+const POLL_MAX_DELAY_MS = 30 * 1000;
+// Consecutive network failures tolerated while polling (about five minutes with backoff).
+const MAX_POLL_FAILURES = 12;
+// EventSource reconnects by itself; after this many errors in a row, switch to polling.
+const MAX_STREAM_ERRORS = 3;
+
+export const JOB_STAGE_LABELS = {
+  uploaded: 'File uploaded',
+  translating: 'Translating CAD file (Forge)',
+  'extracting-geometry': 'Extracting geometry',
+  dfm: 'Measuring walls and checking DFM',
+  complete: 'Analysis complete',
+};
+
+// --- RESUME AFTER RELOAD ---
+// Every part of a multi-part upload has its own job. The whole upload is kept until every
+// job has finished, so a reload brings back the parts that were already analyzed too.
+export const loadActiveJobs = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ACTIVE_JOB_KEY));
+    // Before multi-part uploads a single job object was stored.
+    if (!saved) return [];
+    return Array.isArray(saved) ? saved : [saved];
+  } catch (e) {
+    return [];
+  }
+};
+
+const storeActiveJobs = (jobs) => {
+  try {
+    if (jobs.length > 0) localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify(jobs));
+    else localStorage.removeItem(ACTIVE_JOB_KEY);
+  } catch (e) {} // Private browsing or storage disabled: resuming just won't work.
+};
+
+export const saveActiveJob = (job) => {
+  storeActiveJobs([...loadActiveJobs().filter(saved => saved.jobId !== job.jobId), job]);
+};
+
+export const clearActiveJobs = () => storeActiveJobs([]);
+
+/**
+ * Watches a job until it completes, fails or is stopped.
+ * @param {string} jobId
+ * @param {{ onUpdate: (job: object) => void, onComplete: (job: object) => void, onFailed: (message: string, job?: object) => void }} handlers
+ * @returns {() => void} Stops watching.
+ */
+export const watchJob = (jobId, { onUpdate, onComplete, onFailed }) => {
+  let stopped = false;
+  let eventSource = null;
+  let pollTimer = null;
+
+  const stop = () => {
+    stopped = true;
+    eventSource?.close();
+    clearTimeout(pollTimer);
+  };
+
+  // Returns true once the job has reached a final status.
+  const handleJob = (job) => {
+    if (stopped) return true;
+    if (job.status === 'complete') {
+      stop();
+      onComplete(job);
+      return true;
+    }
+    if (job.status === 'failed') {
+      stop();
+      onFailed(job.error ? `Analysis failed: ${job.error}` : 'Analysis failed. Check backend logs for Forge API errors.', job);
+      return true;
+    }
+    onUpdate(job);
+    return false;
+  };
+
+  const handleUnknownJob = () => {
+    stop();
+    onFailed('Analysis job not found. It may have expired; please upload the file again.');
+  };
+
+  // --- POLLING FALLBACK ---
+  const startPolling = () => {
+    let delay = POLL_INITIAL_DELAY_MS;
+    let failures = 0;
+    let lastUpdatedAt = null;
+
+    const poll = async () => {
+      if (stopped) return;
+      try {
+        const response = await fetch(`/api/poll-status?jobId=${encodeURIComponent(jobId)}`);
+        if (response.status === 404) return handleUnknownJob();
+        if (!response.ok) throw new Error(`Polling returned ${response.status}`);
+
+        const job = await response.json();
+        failures = 0;
+        if (handleJob(job)) return;
+        // Poll quickly while the job is moving, back off while it is idle.
+        delay = job.updatedAt !== lastUpdatedAt ? POLL_INITIAL_DELAY_MS : Math.min(delay * 2, POLL_MAX_DELAY_MS);
+        lastUpdatedAt = job.updatedAt;
+      } catch (error) {
+        // Network hiccups are retried; only a sustained outage ends the watch.
+        failures += 1;
+        console.warn(`Polling error (${failures}/${MAX_POLL_FAILURES}):`, error);
+        if (failures >= MAX_POLL_FAILURES) {
+          stop();
+          onFailed(`Lost connection to the analysis service: ${error.message}`);
+          return;
+        }
+        delay = Math.min(delay * 2, POLL_MAX_DELAY_MS);
+      }
+      if (!stopped) pollTimer = setTimeout(poll, delay);
+    };
+
+    poll();
+  };
+
+  // --- SERVER-SENT EVENTS ---
+  if (typeof EventSource === 'undefined') {
+    startPolling();
+    return stop;
+  }
+
+  let streamErrors = 0;
+  eventSource = new EventSource(`/api/job-events?jobId=${encodeURIComponent(jobId)}`);
+
+  eventSource.addEventListener('status', (event) => {
+    streamErrors = 0;
+    handleJob(JSON.parse(event.data));
+  });
+  eventSource.addEventListener('gone', handleUnknownJob);
+
+  const switchToPolling = () => {
+    eventSource.close();
+    eventSource = null;
+    startPolling();
+  };
+
+  // The server could not read the job store; a reconnect would most likely hit the same failure.
+  eventSource.addEventListener('stream-error', () => {
+    if (!stopped) switchToPolling();
+  });
+
+  eventSource.onerror = () => {
+    if (stopped || !eventSource) return;
+    streamErrors += 1;
+    // CLOSED means the stream was refused (e.g. 404 or no SSE support), so it won't retry.
+    if (eventSource.readyState === EventSource.CLOSED || streamErrors >= MAX_STREAM_ERRORS) switchToPolling();
+  };
+
+  return stop;
+};
@@ -0,0 +1,30 @@
+// src/leadTime.js
+// Lead time from order to last shipment: tool build, T1 sampling and approval, then production.
+// Phases run back to back and are quoted in whole weeks.
+
+const TOOL_BUILD_WEEKS = { aluminum: 3, p20: 6, h13: 8 }; // Design, machining, fitting and polish
+const WEEKS_PER_SIDE_ACTION = 0.5; // Each slide or lifter adds design, machining and fitting
+const HOT_RUNNER_WEEKS = 2; // Manifolds are ordered from the hot runner supplier
+const SAMPLING_WEEKS = 1; // T1 shots, first article inspection and customer approval
+const PRODUCTION_HOURS_PER_WEEK = 120; // One press, three shifts, five days
+const SECONDARY_OPS_WEEKS = 1; // Printing, welding, assembly and packing after molding
+
+/**
+ * @param {{ steelClass: string, runnerType: string, sideActions: number, runHours: number, hasSecondaryOps: boolean }} job
+ *   sideActions counts slides/lifters across all cavities; runHours is press time for the run
+ * @returns {{ toolingWeeks: number, samplingWeeks: number, productionWeeks: number, totalWeeks: number }}
+ */
+export const estimateLeadTime = (job) => {
+  const toolingWeeks = Math.ceil(
+    (TOOL_BUILD_WEEKS[job.steelClass] ?? TOOL_BUILD_WEEKS.p20)
+      + job.sideActions * WEEKS_PER_SIDE_ACTION
+      + (job.runnerType === 'hot' ? HOT_RUNNER_WEEKS : 0),
+  );
+  const productionWeeks = Math.ceil(job.runHours / PRODUCTION_HOURS_PER_WEEK + (job.hasSecondaryOps ? SECONDARY_OPS_WEEKS : 0));
+  return {
+    toolingWeeks,
+    samplingWeeks: SAMPLING_WEEKS,
+    productionWeeks,
+    totalWeeks: toolingWeeks + SAMPLING_WEEKS + productionWeeks,
+  };
+};
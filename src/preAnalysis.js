@@ -0,0 +1,26 @@
+// src/preAnalysis.js
+// Instant pre-analysis of STL uploads: a worker (stlWorker.js) measures the mesh in the browser so a
+// provisional quote, labelled 'estimated', shows in well under a second. The analysis job's result
+// replaces it when the job completes.
+
+export const canPreAnalyze = (fileName) => /\.stl$/i.test(fileName) && typeof Worker !== 'undefined';
+
+/**
+ * @param {File} file
+ * @param {{ pullDirection: string, units: string }} options - as sent with the upload
+ * @returns {Promise<{ analysisData: object }|{ error: { reason: 'corrupt'|'non-manifold', message: string } }|null>}
+ *   null when the worker itself failed; the upload then simply waits for the job.
+ */
+export const preAnalyzeStl = (file, { pullDirection, units }) => new Promise((resolve) => {
+  const worker = new Worker(new URL('./stlWorker.js', import.meta.url), { type: 'module' });
+  const finish = (result) => {
+    worker.terminate();
+    resolve(result);
+  };
+  worker.onmessage = ({ data }) => finish(data);
+  worker.onerror = (event) => {
+    console.error('STL pre-analysis worker error:', event.message);
+    finish(null);
+  };
+  worker.postMessage({ file, pullDirection, units });
+});
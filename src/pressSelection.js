@@ -0,0 +1,93 @@
+// src/pressSelection.js
+// Picks the cheapest press that can clamp, fit and fill the mold, and explains the choice.
+
+const CLAMP_SAFETY_FACTOR = 1.1; // 10% margin so the mold doesn't flash at peak pressure
+const MAX_SHOT_USAGE = 0.8; // Keep a melt cushion: use at most 80% of the barrel
+const CAVITY_SPACING_MM = 40; // Steel between cavities
+const MOLD_BORDER_MM = 80; // Steel around the cavity layout for cooling, guiding and clamping
+const DEFAULT_CAVITY_PRESSURE_BAR = 400; // For catalog entries saved before cavityPressure existed
+
+/**
+ * Estimates the mold plate size for a near-square grid of cavities.
+ * @param {{ partLength: number, partWidth: number, cavities: number }} layout - footprint across the pull direction, mm
+ * @returns {{ width: number, height: number }} mm
+ */
+export const estimateMoldPlate = ({ partLength, partWidth, cavities }) => {
+  const columns = Math.ceil(Math.sqrt(cavities));
+  const rows = Math.ceil(cavities / columns);
+  return {
+    width: Math.round(columns * partLength + (columns - 1) * CAVITY_SPACING_MM + 2 * MOLD_BORDER_MM),
+    height: Math.round(rows * partWidth + (rows - 1) * CAVITY_SPACING_MM + 2 * MOLD_BORDER_MM),
+  };
+};
+
+/**
+ * Clamp force needed to keep the mold closed:
+ *   F = (projected area × cavities + runner area) × cavity pressure × safety factor
+ * 1 bar on 1 cm² ≈ 1 kgf, so cm² × bar / 1000 gives tonnes.
+ * @returns {number} tonnes
+ */
+export const requiredClampForce = ({ projectedAreaCm2, cavities, runnerAreaCm2, cavityPressureBar }) => (
+  ((projectedAreaCm2 * cavities + runnerAreaCm2) * (cavityPressureBar || DEFAULT_CAVITY_PRESSURE_BAR) / 1000) * CLAMP_SAFETY_FACTOR
+);
+
+// Every reason a press cannot run this mold; empty when it can.
+const checkPress = (press, { clampForce, mold, shotVolumeCm3 }) => {
+  const problems = [];
+  if (press.tonnage < clampForce) {
+    problems.push(`needs ${clampForce.toFixed(0)} t clamp, press has ${press.tonnage} t`);
+  }
+  // The mold may be hung either way round.
+  const fitsUpright = mold.width <= press.tieBarH && mold.height <= press.tieBarV;
+  const fitsRotated = mold.height <= press.tieBarH && mold.width <= press.tieBarV;
+  if (!fitsUpright && !fitsRotated) {
+    problems.push(`${mold.width}×${mold.height} mm mold doesn't pass ${press.tieBarH}×${press.tieBarV} mm tie bars`);
+  }
+  if (shotVolumeCm3 > press.maxShotCm3 * MAX_SHOT_USAGE) {
+    problems.push(`${shotVolumeCm3.toFixed(0)} cm³ shot exceeds ${(MAX_SHOT_USAGE * 100).toFixed(0)}% of the ${press.maxShotCm3} cm³ barrel`);
+  }
+  return problems;
+};
+
+/**
+ * @param {{ projectedAreaCm2: number, cavities: number, runnerAreaCm2: number, cavityPressureBar: number, mold: { width: number, height: number }, shotVolumeCm3: number }} job
+ * @param {import('../shared/presses.js').Press[]} presses
+ * @returns {{ press: object|null, clampForce: number, reasons: string[], rejected: Array<{ name: string, problems: string[] }>, warning: string|null }}
+ *   press is null when nothing fits.
+ */
+export const selectPress = (job, presses) => {
+  const clampForce = requiredClampForce(job);
+  const requirements = { clampForce, mold: job.mold, shotVolumeCm3: job.shotVolumeCm3 };
+
+  const evaluated = presses.map(press => ({ press, problems: checkPress(press, requirements) }));
+  const candidates = evaluated
+    .filter(({ problems }) => problems.length === 0)
+    .sort((a, b) => a.press.ratePerHour - b.press.ratePerHour || a.press.tonnage - b.press.tonnage);
+  const rejected = evaluated
+    .filter(({ problems }) => problems.length > 0)
+    .map(({ press, problems }) => ({ name: press.name, problems }));
+
+  if (candidates.length === 0) {
+    return {
+      press: null,
+      clampForce,
+      reasons: [],
+      rejected,
+      warning: `No press in the list can run this mold (needs ${clampForce.toFixed(0)} t, ${job.mold.width}×${job.mold.height} mm, ${job.shotVolumeCm3.toFixed(0)} cm³ shot). Reduce cavities or add a larger press.`,
+    };
+  }
+
+  const { press } = candidates[0];
+  return {
+    press,
+    clampForce,
+    reasons: [
+      `Clamp: ${clampForce.toFixed(0)} t needed ((${job.projectedAreaCm2.toFixed(1)} cm² × ${job.cavities} + ${job.runnerAreaCm2.toFixed(1)} cm² runner) × ${job.cavityPressureBar || DEFAULT_CAVITY_PRESSURE_BAR} bar + ${((CLAMP_SAFETY_FACTOR - 1) * 100).toFixed(0)}%), press has ${press.tonnage} t.`,
+      `Tie bars: ${job.mold.width}×${job.mold.height} mm mold fits ${press.tieBarH}×${press.tieBarV} mm.`,
+      `Shot: ${job.shotVolumeCm3.toFixed(1)} cm³ uses ${((job.shotVolumeCm3 / press.maxShotCm3) * 100).toFixed(0)}% of the ${press.maxShotCm3} cm³ barrel.`,
+      candidates.length > 1 ? `Lowest hourly rate of ${candidates.length} presses that fit.` : 'Only press in the list that fits.',
+    ],
+    rejected,
+    warning: null,
+  };
+};
@@ -0,0 +1,114 @@
+// src/previewMesh.js
+// Meshes for the 3D viewer: the tessellation stored by the analysis job (/api/preview-mesh, with wall
+// thickness per triangle), or an STL read in the browser while the job runs. Also the color scales
+// of the thickness and draft overlays.
+
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+
+/**
+ * @typedef {Object} PreviewMesh
+ * @property {Float32Array} positions - 9 floats per triangle, mm
+ * @property {Float32Array|null} thickness - wall thickness per triangle in mm, -1 where unmeasured
+ * @property {number} sourceTriangleCount - triangles in the analyzed file, before simplification
+ * @property {'analysis'|'local'} source
+ */
+
+const fromBase64 = (text, ArrayType) => {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new ArrayType(bytes.buffer);
+};
+
+/**
+ * @param {string} jobId
+ * @returns {Promise<PreviewMesh|null>} null when the job has no preview (expired, or the mesh failed)
+ */
+export const fetchPreviewMesh = async (jobId) => {
+  const response = await fetch(`/api/preview-mesh?jobId=${encodeURIComponent(jobId)}`);
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`Preview request failed with status ${response.status}`);
+  const preview = await response.json();
+
+  const vertices = fromBase64(preview.vertices, Float32Array);
+  const indices = fromBase64(preview.indices, Uint32Array);
+  // Unshared vertices, so every triangle gets its own normal and overlay color.
+  const positions = new Float32Array(indices.length * 3);
+  for (let i = 0; i < indices.length; i++) {
+    // Inverted meshes are rewound so their faces point outwards.
+    const corner = preview.isInverted ? i - (i % 3) + (2 - (i % 3)) : i;
+    positions.set(vertices.subarray(indices[i] * 3, indices[i] * 3 + 3), corner * 3);
+  }
+  return {
+    positions,
+    thickness: fromBase64(preview.thickness, Float32Array),
+    sourceTriangleCount: preview.sourceTriangleCount,
+    source: 'analysis',
+  };
+};
+
+/**
+ * Reads an STL in the browser so the part shows before its analysis finishes.
+ * @param {File} file
+ * @returns {Promise<PreviewMesh>}
+ */
+export const readStlFile = async (file) => {
+  const geometry = new STLLoader().parse(await file.arrayBuffer());
+  const positions = geometry.getAttribute('position').array;
+  geometry.dispose();
+  return { positions, thickness: null, sourceTriangleCount: positions.length / 9, source: 'local' };
+};
+
+/**
+ * '+z', '-y', ... as a unit vector; the analysis reports the pull direction in this form.
+ */
+export const pullVector = (label = '+z') => {
+  const match = /^([+-]?)([xyz])$/i.exec(label);
+  const axis = 'xyz'.indexOf((match?.[2] || 'z').toLowerCase());
+  const vector = [0, 0, 0];
+  vector[axis] = match?.[1] === '-' ? -1 : 1;
+  return vector;
+};
+
+// Matches the no-draft threshold in api/_lib/dfm.js.
+const NO_DRAFT_DEG = 0.25;
+
+export const DRAFT_COLORS = {
+  ok: [0.13, 0.77, 0.37],
+  low: [0.98, 0.8, 0.08],
+  none: [0.94, 0.27, 0.27],
+};
+
+/**
+ * Draft of a face: its angle to the pull direction, 90° for faces square to it.
+ * @param {number[]} normal - unit normal
+ * @param {number[]} pull - unit pull vector
+ */
+export const draftAngleDeg = (normal, pull) => (
+  Math.asin(Math.min(1, Math.abs(normal[0] * pull[0] + normal[1] * pull[1] + normal[2] * pull[2]))) * 180 / Math.PI
+);
+
+export const draftColor = (angleDeg, minDraftDeg) => {
+  if (angleDeg < NO_DRAFT_DEG) return DRAFT_COLORS.none;
+  return angleDeg < minDraftDeg ? DRAFT_COLORS.low : DRAFT_COLORS.ok;
+};
+
+// Thin (red) through nominal (green) to thick (blue), as in the legend.
+const THICKNESS_RAMP = [[0.94, 0.27, 0.27], [0.98, 0.8, 0.08], [0.13, 0.77, 0.37], [0.23, 0.51, 0.96]];
+export const UNMEASURED_COLOR = [0.45, 0.45, 0.5];
+
+/**
+ * @param {number} value - mm, -1 when unmeasured
+ * @param {{ min: number, max: number }} range - the analyzed thickness range; values outside are clamped
+ */
+export const thicknessColor = (value, { min, max }) => {
+  if (value < 0) return UNMEASURED_COLOR;
+  const share = max > min ? Math.min(1, Math.max(0, (value - min) / (max - min))) : 0.5;
+  const scaled = share * (THICKNESS_RAMP.length - 1);
+  const i = Math.min(THICKNESS_RAMP.length - 2, Math.floor(scaled));
+  const f = scaled - i;
+  return THICKNESS_RAMP[i].map((c, k) => c + (THICKNESS_RAMP[i + 1][k] - c) * f);
+};
+
+// CSS gradient of the same ramp, for the legend.
+export const THICKNESS_GRADIENT = `linear-gradient(to right, ${THICKNESS_RAMP.map(c => `rgb(${c.map(v => Math.round(v * 255)).join(',')})`).join(', ')})`;
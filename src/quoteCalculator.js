@@ -0,0 +1,304 @@
+// src/quoteCalculator.js
+// Pure quote math: one quote for a set of parameters, consolidated multi-part (family mold) quotes
+// and the quantity/cavity price-break table.
+
+import { findMaterial } from '../shared/materials.js';
+import { estimateCycle } from './cycleTime.js';
+import { estimateMoldPlate, selectPress } from './pressSelection.js';
+import { estimateTooling } from './toolingEstimate.js';
+import { estimateColorant } from './colorant.js';
+import { estimateLeadTime } from './leadTime.js';
+
+const RUNNER_AREA_FACTOR = 0.1; // Cold runner projected area, as a share of the cavities' area
+const RUNNER_VOLUME_FACTOR = 0.15; // Cold runner and sprue volume, as a share of the parts' volume
+export const SCRAP_RATE = 0.05;
+const REGRIND_COST_FACTOR = 0.25; // Grinding and handling, as a share of the virgin resin price
+
+export const CAVITY_OPTIONS = [1, 2, 4, 8, 16];
+export const PRICE_BREAK_QUANTITIES = [1000, 5000, 10000, 50000, 100000];
+
+// Part geometry as the mold sees it: footprint across the pull direction, depth along it.
+const moldGeometry = (analysisData) => {
+  const { dimensions } = analysisData;
+  // Browser estimates carry no DFM results, only the pull direction they were measured for.
+  const pullDirection = analysisData.dfm?.pullDirection ?? analysisData.pullDirection;
+  const pullAxis = 'xyz'.indexOf(pullDirection?.slice(-1) || 'z');
+  const partSize = [dimensions.length, dimensions.width, dimensions.height];
+  const [partLength, partWidth] = partSize.filter((_, axis) => axis !== pullAxis);
+  const partDepth = partSize[pullAxis];
+  return {
+    volume: analysisData.volume,
+    partLength,
+    partWidth,
+    partDepth,
+    // The thickest wall is the last to freeze, so it governs the cycle.
+    thickness: analysisData.thickness?.max ?? analysisData.wallThickness,
+    // Clamp force comes from the area the melt pushes against, across the pull direction.
+    projectedArea: analysisData.projectedArea ?? (partLength * partWidth) / 100,
+    // Bounding box surface if the analysis predates surface area.
+    surfaceArea: analysisData.surfaceArea ?? 2 * (partLength * partWidth + (partLength + partWidth) * partDepth) / 100,
+    undercutCount: analysisData.dfm?.undercutCount ?? 0,
+  };
+};
+
+const sumOf = (items, valueOf) => items.reduce((total, item) => total + valueOf(item), 0);
+
+// Regrind replaces virgin resin; only its grinding and handling cost remains.
+const resinCostPerKg = (material, regrindPct) => material.pricePerKg * (1 - (regrindPct / 100) * (1 - REGRIND_COST_FACTOR));
+
+// Each entry is a snapshot of the catalog operation, so saved quotes keep their prices.
+const priceSecondaryOps = (ops = [], quantity) => ops.map(op => {
+  const count = op.count > 0 ? op.count : 1;
+  const total = op.setupCost + op.ratePerUnit * count * quantity;
+  return { ...op, count, total, perPart: total / quantity };
+});
+
+/**
+ * Prices one tool on one press: every shot makes `parameters.cavities` of each part. A family
+ * mold passes several parts; they share the shot, the cycle, the press and the mold base.
+ * Costs are for the whole run, which is as long as the highest-quantity part needs.
+ * @param {Array<{ analysisData: object, quantity: number }>} parts
+ */
+const quoteMoldingRun = (parts, parameters, material, presses) => {
+  const { cavities } = parameters;
+  const geometries = parts.map(part => moldGeometry(part.analysisData));
+  const runQuantity = Math.max(...parts.map(part => part.quantity));
+  const shots = runQuantity / cavities;
+  const setVolume = sumOf(geometries, g => g.volume);
+
+  // Cycle time for one shot of every cavity.
+  // A hot runner keeps its melt in the manifold, so there is no runner to fill or clamp each shot.
+  const isHotRunner = parameters.runnerType === 'hot';
+  const shotVolume = setVolume * cavities * (1 + (isHotRunner ? 0 : RUNNER_VOLUME_FACTOR));
+  const cycle = estimateCycle({
+    thickness: Math.max(...geometries.map(g => g.thickness)),
+    material,
+    shotVolume,
+    openStroke: Math.max(...geometries.map(g => g.partDepth)),
+    sideActions: sumOf(geometries, g => g.undercutCount),
+  }, parameters.cycleOverrides);
+
+  // Mold size, press and machine time.
+  const projectedArea = sumOf(geometries, g => g.projectedArea);
+  // Family cavities are laid out on a grid sized for the largest part.
+  const mold = estimateMoldPlate({
+    partLength: Math.max(...geometries.map(g => g.partLength)),
+    partWidth: Math.max(...geometries.map(g => g.partWidth)),
+    cavities: cavities * parts.length,
+  });
+  const pressSelection = selectPress({
+    projectedAreaCm2: projectedArea,
+    cavities,
+    runnerAreaCm2: isHotRunner ? 0 : projectedArea * cavities * RUNNER_AREA_FACTOR,
+    cavityPressureBar: material.cavityPressure,
+    mold,
+    shotVolumeCm3: shotVolume,
+  }, presses);
+  // Nothing fits: still price it on the biggest press, but the quote carries a warning.
+  const recommendedMachine = pressSelection.press || presses.reduce((a, b) => (b.tonnage > a.tonnage ? b : a));
+  const machineCost = shots * (cycle.total / 3600) * recommendedMachine.ratePerHour;
+  // The purge at changeover scales with the barrel of the press the job runs on.
+  const colorant = estimateColorant({
+    color: parameters.color,
+    letDownPct: parameters.letDownPct,
+    weightKg: (setVolume * material.density) / 1000,
+    resinPricePerKg: material.pricePerKg,
+    density: material.density,
+    barrelCm3: recommendedMachine.maxShotCm3,
+    quantity: runQuantity,
+  });
+
+  // Tooling for the whole run.
+  const tooling = estimateTooling({
+    inserts: geometries.map(g => ({ ...g, surfaceAreaCm2: g.surfaceArea, cavities })),
+    mold,
+    shots: Math.ceil(shots),
+    steelClass: parameters.steelClass,
+    runnerType: parameters.runnerType,
+    surfaceFinish: parameters.surfaceFinish,
+  });
+
+  return { geometries, runQuantity, cycle, pressSelection, recommendedMachine, machineCost, colorant, tooling };
+};
+
+/**
+ * @param {object} parameters - quote form state (materialId, quantity, cavities, regrindPct, cycleOverrides, tooling, color, secondaryOps)
+ * @param {object} analysisData - geometry and DFM results from the analysis job
+ * @param {import('../shared/materials.js').Material[]} materials
+ * @param {import('../shared/presses.js').Press[]} presses
+ * @returns {object|null} null until there is a part to quote
+ */
+export const calculateQuote = (parameters, analysisData, materials, presses) => {
+  const { materialId, quantity, cavities } = parameters;
+  if (!analysisData.volume || quantity <= 0 || cavities <= 0) return null;
+
+  const material = findMaterial(materials, materialId);
+  // Never exceed what the grade tolerates, even if the material changed after regrind was set.
+  const regrindPct = Math.min(parameters.regrindPct || 0, material.maxRegrindPct);
+
+  // Resin per part, net of regrind.
+  const weightKg = (analysisData.volume * material.density) / 1000;
+  const materialCostRaw = weightKg * resinCostPerKg(material, regrindPct);
+  const regrindSavings = weightKg * material.pricePerKg - materialCostRaw;
+
+  // Machine, press, colorant and tooling.
+  const run = quoteMoldingRun([{ analysisData, quantity }], parameters, material, presses);
+  const { cycle, colorant, tooling } = run;
+  const partsPerHour = (3600 / cycle.total) * cavities;
+  const machineCostPerPart = run.machineCost / quantity;
+  // Billed separately, the tooling is a one-time charge and stays out of the part price.
+  const isToolingSeparate = parameters.toolingBilling === 'separate';
+  const moldCostPerPart = isToolingSeparate ? 0 : tooling.total / quantity;
+
+  // Secondary operations.
+  const secondaryOps = priceSecondaryOps(parameters.secondaryOps, quantity);
+  const secondaryCostPerPart = sumOf(secondaryOps, op => op.perPart);
+
+  // Per-part total with scrap allowance, and the lead time.
+  const costBeforeScrap = materialCostRaw + colorant.perPart + machineCostPerPart + moldCostPerPart;
+  const scrapCostPerPart = costBeforeScrap * SCRAP_RATE;
+  // Secondary operations run on good parts only, so they carry no scrap allowance.
+  const totalPerPart = costBeforeScrap * (1 + SCRAP_RATE) + secondaryCostPerPart;
+  const totalQuote = totalPerPart * quantity;
+  const leadTime = estimateLeadTime({
+    steelClass: parameters.steelClass,
+    runnerType: parameters.runnerType,
+    sideActions: run.geometries[0].undercutCount * cavities,
+    runHours: quantity / partsPerHour,
+    hasSecondaryOps: secondaryOps.length > 0,
+  });
+  
+  return {
+    materialCost: materialCostRaw,
+    materialName: material.name,
+    regrindPct: regrindPct,
+    regrindSavings: regrindSavings,
+    machineCost: machineCostPerPart,
+    moldCost: moldCostPerPart,
+    colorCost: colorant.perPart,
+    colorant: colorant,
+    secondaryCost: secondaryCostPerPart,
+    secondaryOps: secondaryOps,
+    scrapCost: scrapCostPerPart,
+    totalPerPart: totalPerPart,
+    cycleTime: cycle.total,
+    cycle: cycle,
+    partsPerHour: partsPerHour,
+    recommendedMachine: run.recommendedMachine.name,
+    pressSelection: run.pressSelection,
+    tooling: tooling,
+    toolingCharge: isToolingSeparate ? tooling.total : 0,
+    totalQuote: totalQuote,
+    leadTime: leadTime,
+  };
+};
+
+/**
+ * Quotes several parts together, each with its own material and quantity. With
+ * `parameters.familyMold` they share one tool and one press, and the shared costs (machine time,
+ * tooling, colorant) are split by each part's share of the shot volume; otherwise every part
+ * gets its own tool.
+ * @param {Array<{ id: string, fileName: string, materialId: string, quantity: number, analysisData: object }>} parts
+ * @returns {{ mode: 'family'|'separate', lines: object[], toolCount: number, toolingTotal: number, toolingCharge: number,
+ *   partsTotal: number, grandTotal: number, press: string|null, cycle: object|null, warnings: string[] } | null}
+ */
+export const calculateConsolidatedQuote = (parts, parameters, materials, presses) => {
+  const ready = parts.filter(part => part.analysisData?.volume > 0 && part.quantity > 0);
+  if (ready.length === 0 || parameters.cavities <= 0) return null;
+  const warnings = [];
+  const isToolingSeparate = parameters.toolingBilling === 'separate';
+
+  let isFamily = parameters.familyMold && ready.length > 1;
+  const materialIds = new Set(ready.map(part => findMaterial(materials, part.materialId).id));
+  if (isFamily && materialIds.size > 1) {
+    warnings.push('A family mold runs one resin, but these parts use different materials. Quoted as separate tools instead.');
+    isFamily = false;
+  }
+
+  if (!isFamily) {
+    const lines = ready.map(part => {
+      const quote = calculateQuote({ ...parameters, materialId: part.materialId, quantity: part.quantity }, part.analysisData, materials, presses);
+      if (quote.pressSelection.warning) warnings.push(`${part.fileName}: ${quote.pressSelection.warning}`);
+      return {
+        id: part.id,
+        fileName: part.fileName,
+        materialName: quote.materialName,
+        quantity: part.quantity,
+        press: quote.recommendedMachine,
+        tooling: quote.tooling.total,
+        perPart: quote.totalPerPart,
+        total: quote.totalQuote,
+      };
+    });
+    const toolingTotal = sumOf(lines, line => line.tooling);
+    const partsTotal = sumOf(lines, line => line.total);
+    const toolingCharge = isToolingSeparate ? toolingTotal : 0;
+    return { mode: 'separate', lines, toolCount: lines.length, toolingTotal, toolingCharge, partsTotal, grandTotal: partsTotal + toolingCharge, press: null, cycle: null, warnings };
+  }
+
+  const material = findMaterial(materials, ready[0].materialId);
+  const regrindPct = Math.min(parameters.regrindPct || 0, material.maxRegrindPct);
+  const run = quoteMoldingRun(ready, parameters, material, presses);
+  if (run.pressSelection.warning) warnings.push(run.pressSelection.warning);
+  warnings.push(...run.tooling.warnings);
+
+  const setVolume = sumOf(run.geometries, g => g.volume);
+  const sharedCost = run.machineCost + run.colorant.total + (isToolingSeparate ? 0 : run.tooling.total);
+  const lines = ready.map((part, index) => {
+    const share = run.geometries[index].volume / setVolume;
+    // Every shot fills every cavity, so lower-quantity parts are made to the longest run.
+    const overrun = run.runQuantity - part.quantity;
+    if (overrun > 0) {
+      warnings.push(`${part.fileName}: ${overrun.toLocaleString()} extra parts molded to keep pace with the family; block its cavity or split the tool to avoid the overrun.`);
+    }
+    const materialCost = (part.analysisData.volume * material.density / 1000) * resinCostPerKg(material, regrindPct) * run.runQuantity;
+    const molding = (materialCost + share * sharedCost) * (1 + SCRAP_RATE);
+    const secondary = sumOf(priceSecondaryOps(parameters.secondaryOps, part.quantity), op => op.total);
+    const total = molding + secondary;
+    return {
+      id: part.id,
+      fileName: part.fileName,
+      materialName: material.name,
+      quantity: part.quantity,
+      press: run.recommendedMachine.name,
+      tooling: share * run.tooling.total,
+      perPart: total / part.quantity,
+      total,
+    };
+  });
+  const partsTotal = sumOf(lines, line => line.total);
+  const toolingCharge = isToolingSeparate ? run.tooling.total : 0;
+  return {
+    mode: 'family',
+    lines,
+    toolCount: 1,
+    toolingTotal: run.tooling.total,
+    toolingCharge,
+    partsTotal,
+    grandTotal: partsTotal + toolingCharge,
+    press: run.recommendedMachine.name,
+    cycle: run.cycle,
+    warnings,
+  };
+};
+
+/**
+ * Quotes every standard volume with every cavity count and marks the cavity count with the
+ * lowest total cost of ownership: the whole run plus the tooling, however the tooling is billed.
+ * Cavity counts no press can run are only picked when nothing else fits.
+ * @returns {Array<{ quantity: number, options: Array<{ cavities: number, quote: object, totalCost: number, unitPrice: number }>, best: object }>}
+ */
+export const calculatePriceBreaks = (parameters, analysisData, materials, presses, quantities = PRICE_BREAK_QUANTITIES) => (
+  quantities.map(quantity => {
+    const options = CAVITY_OPTIONS.map(cavities => {
+      const quote = calculateQuote({ ...parameters, quantity, cavities }, analysisData, materials, presses);
+      if (!quote) return null;
+      const totalCost = quote.totalQuote + quote.toolingCharge;
+      return { cavities, quote, totalCost, unitPrice: totalCost / quantity };
+    }).filter(Boolean);
+    const runnable = options.filter(option => option.quote.pressSelection.press);
+    const pool = runnable.length > 0 ? runnable : options;
+    const best = pool.reduce((a, b) => (b.totalCost < a.totalCost ? b : a), pool[0]);
+    return { quantity, options, best };
+  })
+);
@@ -0,0 +1,30 @@
+// src/quoteDocument.js
+// Downloads the customer PDF for a saved quote from /api/quote-pdf. The server renders it from the
+// stored record and assigns the quote number on first download.
+
+import { downloadBlob } from './quoteExport.js';
+
+const QUOTE_PDF_ENDPOINT = '/api/quote-pdf';
+
+const fileNameFrom = (response, fallback) => {
+  const match = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+  return match ? match[1] : fallback;
+};
+
+/**
+ * @param {import('firebase/auth').User} user
+ * @param {{ appId: string, scope: 'mine'|'team', orgId?: string, quoteId: string }} request
+ */
+export const downloadQuotePdf = async (user, request) => {
+  const response = await fetch(QUOTE_PDF_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${await user.getIdToken()}` },
+    body: JSON.stringify(request),
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.message || `Request failed with status ${response.status}`);
+  }
+
+  downloadBlob(await response.blob(), fileNameFrom(response, `quote-${request.quoteId}.pdf`));
+};
@@ -0,0 +1,139 @@
+// src/quoteExport.js
+// Quote history exports: CSV and XLSX with one row per quote and every cost component for the
+// finance team, and JSON with the full documents for backups and moving quotes between libraries.
+
+import { QUOTE_SCHEMA_VERSION } from '../shared/quoteSchema.js';
+import { QUOTE_STATUSES, statusOf } from './quoteStatus.js';
+
+// Identifies our JSON exports; quoteImport.js refuses anything else.
+export const QUOTE_EXPORT_FORMAT = 'cad-quote/quotes';
+
+/**
+ * Spreadsheet columns, in order. `type` drives the XLSX cell type; money is per part unless
+ * the header says otherwise.
+ * @type {Array<{ header: string, type: 'text'|'number'|'date', format?: string, width?: number, value: (quote: object) => any }>}
+ */
+export const EXPORT_COLUMNS = [
+  { header: 'Quote ID', type: 'text', width: 22, value: q => q.id },
+  { header: 'Quote Number', type: 'text', width: 16, value: q => q.quoteNumber },
+  { header: 'File', type: 'text', width: 30, value: q => q.fileName },
+  { header: 'Status', type: 'text', value: q => QUOTE_STATUSES[statusOf(q)].label },
+  { header: 'Owner', type: 'text', width: 20, value: q => q.ownerName || q.ownerId },
+  { header: 'Created', type: 'date', format: 'yyyy-mm-dd', width: 12, value: q => q.createdAt },
+  { header: 'Updated', type: 'date', format: 'yyyy-mm-dd', width: 12, value: q => q.updatedAt },
+  { header: 'Revision', type: 'number', value: q => q.revision },
+  { header: 'Parts', type: 'number', value: q => q.parts?.length },
+  { header: 'Material', type: 'text', width: 30, value: q => q.quoteResults?.materialName },
+  { header: 'Quantity', type: 'number', format: '#,##0', value: q => q.parameters?.quantity },
+  { header: 'Cavities', type: 'number', value: q => q.parameters?.cavities },
+  { header: 'Regrind %', type: 'number', value: q => q.quoteResults?.regrindPct },
+  { header: 'Material Cost', type: 'number', format: '0.0000', value: q => q.quoteResults?.materialCost },
+  { header: 'Regrind Savings', type: 'number', format: '0.0000', value: q => q.quoteResults?.regrindSavings },
+  { header: 'Color Cost', type: 'number', format: '0.0000', value: q => q.quoteResults?.colorCost },
+  { header: 'Machine Cost', type: 'number', format: '0.0000', value: q => q.quoteResults?.machineCost },
+  { header: 'Mold Cost', type: 'number', format: '0.0000', value: q => q.quoteResults?.moldCost },
+  { header: 'Secondary Ops Cost', type: 'number', format: '0.0000', value: q => q.quoteResults?.secondaryCost },
+  { header: 'Scrap Cost', type: 'number', format: '0.0000', value: q => q.quoteResults?.scrapCost },
+  { header: 'Price per Part', type: 'number', format: '0.0000', value: q => q.quoteResults?.totalPerPart },
+  { header: 'Total Quote', type: 'number', format: '#,##0.00', width: 14, value: q => q.quoteResults?.totalQuote },
+  { header: 'Tooling Total', type: 'number', format: '#,##0.00', width: 14, value: q => q.quoteResults?.tooling?.total },
+  { header: 'Tooling Charge', type: 'number', format: '#,##0.00', width: 14, value: q => q.quoteResults?.toolingCharge },
+  { header: 'Cycle Time (s)', type: 'number', format: '0.0', value: q => q.quoteResults?.cycleTime },
+  { header: 'Parts per Hour', type: 'number', format: '0', value: q => q.quoteResults?.partsPerHour },
+  { header: 'Press', type: 'text', width: 20, value: q => q.quoteResults?.recommendedMachine },
+  { header: 'Lead Time (weeks)', type: 'number', value: q => q.quoteResults?.leadTime?.totalWeeks },
+];
+
+const cellValue = (column, quote) => {
+  const value = column.value(quote);
+  if (value === undefined || value === null) return null;
+  if (column.type === 'number') return Number.isFinite(value) ? value : null;
+  if (column.type === 'date') return value instanceof Date && !Number.isNaN(value.getTime()) ? value : null;
+  return String(value);
+};
+
+// Spreadsheets run cells starting with these as formulas, so text that does gets a leading quote.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvField = (column, value) => {
+  if (value === null) return '';
+  if (column.type === 'date') return value.toISOString();
+  if (column.type === 'number') return String(value);
+  const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {object[]} quotes - as returned by fromSnapshot
+ * @returns {string} RFC 4180 CSV with a header row
+ */
+export const toCsv = (quotes) => [
+  EXPORT_COLUMNS.map(column => csvField({ type: 'text' }, column.header)).join(','),
+  ...quotes.map(quote => EXPORT_COLUMNS.map(column => csvField(column, cellValue(column, quote))).join(',')),
+].join('\r\n');
+
+const XLSX_TYPES = { text: String, number: Number, date: Date };
+
+/**
+ * @param {object[]} quotes
+ * @returns {Promise<Blob>}
+ */
+export const toXlsx = async (quotes) => {
+  // Only loaded when someone exports a spreadsheet.
+  const { default: writeXlsxFile } = await import('write-excel-file');
+  return writeXlsxFile(quotes, {
+    schema: EXPORT_COLUMNS.map(column => ({
+      column: column.header,
+      type: XLSX_TYPES[column.type],
+      format: column.format,
+      width: column.width ?? 12,
+      value: quote => cellValue(column, quote) ?? undefined,
+    })),
+    sheet: 'Quotes',
+    stickyRowsCount: 1,
+  });
+};
+
+/**
+ * Full quote documents, as stored, for quoteImport.js to load back.
+ * @param {object[]} quotes
+ * @returns {string}
+ */
+export const toJson = (quotes) => JSON.stringify({
+  format: QUOTE_EXPORT_FORMAT,
+  schemaVersion: QUOTE_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  quotes,
+}, null, 2);
+
+/**
+ * Hands a generated file to the browser as a download.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const EXPORTERS = {
+  // The byte order mark makes Excel read the file as UTF-8 (×, ³, µ in names and units).
+  csv: async (quotes) => new Blob(['\uFEFF', toCsv(quotes)], { type: 'text/csv;charset=utf-8' }),
+  xlsx: toXlsx,
+  json: async (quotes) => new Blob([toJson(quotes)], { type: 'application/json' }),
+};
+
+/**
+ * @param {object[]} quotes
+ * @param {'csv'|'xlsx'|'json'} format
+ */
+export const exportQuotes = async (quotes, format) => {
+  const blob = await EXPORTERS[format](quotes);
+  downloadBlob(blob, `quotes-${new Date().toISOString().slice(0, 10)}.${format}`);
+};
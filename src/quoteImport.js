@@ -0,0 +1,139 @@
+// src/quoteImport.js
+// Loads quotes from a JSON export (quoteExport.js) or a plain array of legacy quote documents:
+// each entry is upgraded to the current schema, validated, and checked against the library and
+// the rest of the file for duplicates before anything is written.
+
+import { QUOTE_SCHEMA_VERSION, migrateQuote } from '../shared/quoteSchema.js';
+import { QUOTE_EXPORT_FORMAT } from './quoteExport.js';
+import { statusOf } from './quoteStatus.js';
+
+export const MAX_IMPORT_QUOTES = 500;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Checks one imported document and keeps only the fields a saved quote is made of. Ownership,
+ * status, revisions and the quote number belong to the library it came from; they are kept in
+ * `importedFrom` for reference only.
+ * @param {object} input
+ * @returns {{ quote: object, errors: string[] }}
+ */
+export const validateImportedQuote = (input) => {
+  if (!isObject(input)) return { quote: null, errors: ['Not a quote object.'] };
+  if ((input.schemaVersion ?? 0) > QUOTE_SCHEMA_VERSION) {
+    return { quote: null, errors: [`Saved by a newer version of the app (schema ${input.schemaVersion}).`] };
+  }
+
+  const source = migrateQuote(input);
+  const errors = [];
+  if (typeof source.fileName !== 'string' || !source.fileName.trim()) errors.push('fileName is required.');
+  if (!isObject(source.analysisData) || !isPositive(source.analysisData.volume)) errors.push('analysisData.volume must be a positive number.');
+  if (!isObject(source.parameters)) {
+    errors.push('parameters are required.');
+  } else {
+    if (typeof source.parameters.materialId !== 'string' || !source.parameters.materialId) errors.push('parameters.materialId is required.');
+    if (!isPositive(source.parameters.quantity)) errors.push('parameters.quantity must be a positive number.');
+    if (!Number.isInteger(source.parameters.cavities) || source.parameters.cavities < 1) errors.push('parameters.cavities must be a whole number of at least 1.');
+  }
+  if (!Array.isArray(source.parts) || source.parts.length === 0) {
+    errors.push('parts must list at least one part.');
+  } else {
+    source.parts.forEach((part, i) => {
+      if (!isObject(part) || typeof part.fileName !== 'string' || !isObject(part.analysisData)) {
+        errors.push(`parts[${i}] needs a fileName and analysisData.`);
+      }
+    });
+  }
+  if (!isObject(source.quoteResults)) {
+    errors.push('quoteResults are required.');
+  } else {
+    for (const field of ['totalPerPart', 'totalQuote']) {
+      if (!Number.isFinite(source.quoteResults[field]) || source.quoteResults[field] < 0) errors.push(`quoteResults.${field} must be a number of at least 0.`);
+    }
+  }
+
+  const quote = {
+    fileName: typeof source.fileName === 'string' ? source.fileName.trim() : '',
+    fileExtension: source.fileExtension ?? null,
+    parts: source.parts,
+    analysisData: source.analysisData,
+    parameters: source.parameters,
+    quoteResults: source.quoteResults,
+    consolidatedQuote: source.consolidatedQuote ?? null,
+    priceBreaks: Array.isArray(source.priceBreaks) ? source.priceBreaks : [],
+    createdAt: toDate(source.createdAt),
+    importedFrom: {
+      id: typeof source.id === 'string' ? source.id : null,
+      quoteNumber: source.quoteNumber ?? null,
+      status: statusOf(source),
+      ownerName: source.ownerName ?? null,
+    },
+  };
+  return { quote, errors };
+};
+
+// Firestore doesn't keep the key order of maps, so keys are sorted before comparing.
+const canonical = (value) => {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (!isObject(value)) return value;
+  return Object.keys(value).sort().map(key => [key, canonical(value[key])]);
+};
+
+// Same file, parts, quantities and parameters: the same quote, whatever library it was saved in.
+const fingerprintOf = (quote) => JSON.stringify(canonical([
+  quote.fileName,
+  (quote.parts || []).map(part => [part.fileName, part.materialId ?? null, part.quantity ?? null, part.analysisData?.volume ?? null]),
+  quote.parameters || {},
+]));
+
+/**
+ * Parses an import file and sorts its entries into valid, duplicate and invalid ones.
+ * @param {string} text - file contents
+ * @param {object[]} existingQuotes - the library being imported into, as returned by fromSnapshot
+ * @returns {Array<{ index: number, fileName: string, quote: object|null, errors: string[], duplicateOf: string|null }>}
+ * @throws {Error} when the file isn't a quote export at all
+ */
+export const parseQuoteImport = (text, existingQuotes) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (isObject(data) && data.format !== QUOTE_EXPORT_FORMAT) {
+    throw new Error('The file is not a quote export.');
+  }
+  const documents = Array.isArray(data) ? data : data.quotes;
+  if (!Array.isArray(documents) || documents.length === 0) throw new Error('The file contains no quotes.');
+  if (documents.length > MAX_IMPORT_QUOTES) throw new Error(`Import at most ${MAX_IMPORT_QUOTES} quotes at a time.`);
+
+  const known = new Map();
+  for (const quote of existingQuotes) {
+    known.set(quote.id, quote.fileName);
+    if (quote.importedFrom?.id) known.set(quote.importedFrom.id, quote.fileName);
+    known.set(fingerprintOf(quote), quote.fileName);
+  }
+
+  return documents.map((input, index) => {
+    const { quote, errors } = validateImportedQuote(input);
+    const entry = { index, fileName: quote?.fileName || `Entry ${index + 1}`, quote, errors, duplicateOf: null };
+    if (!quote || errors.length > 0) return entry;
+
+    const fingerprint = fingerprintOf(quote);
+    const match = [quote.importedFrom.id, fingerprint].find(key => key && known.has(key));
+    if (match) {
+      entry.duplicateOf = known.get(match);
+    } else {
+      // Later copies in the same file are duplicates of this one.
+      known.set(fingerprint, `${quote.fileName} (entry ${index + 1})`);
+      if (quote.importedFrom.id) known.set(quote.importedFrom.id, `${quote.fileName} (entry ${index + 1})`);
+    }
+    return entry;
+  });
+};
@@ -0,0 +1,175 @@
+// src/quoteRepository.js
+// Saved quotes in Firestore: versioned documents, a revision history per quote, soft deletes and
+// status changes with an audit trail.
+
+import {
+  addDoc, collection, deleteField, doc, getDocs, orderBy, query, runTransaction, serverTimestamp, updateDoc, writeBatch,
+} from 'firebase/firestore';
+import { isLocked, statusOf } from './quoteStatus.js';
+import { QUOTE_SCHEMA_VERSION, migrateQuote } from '../shared/quoteSchema.js';
+
+const REVISIONS = 'revisions';
+const AUDIT = 'audit';
+
+// Firestore rejects undefined values; a JSON round trip drops them (and turns NaN/Infinity into null).
+const toFirestoreData = (value) => JSON.parse(JSON.stringify(value));
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ?? null);
+
+/**
+ * @param {import('firebase/firestore').DocumentSnapshot} snapshot
+ * @returns {object} the quote with `id` and JS Dates; pending server timestamps read as now
+ */
+export const fromSnapshot = (snapshot) => {
+  const data = snapshot.data({ serverTimestamps: 'estimate' });
+  return migrateQuote({
+    ...data,
+    id: snapshot.id,
+    createdAt: toDate(data.createdAt) || new Date(),
+    updatedAt: toDate(data.updatedAt),
+    deletedAt: toDate(data.deletedAt),
+    statusChangedAt: toDate(data.statusChangedAt),
+  });
+};
+
+/**
+ * Saves a new quote, or a new revision of `quoteId`. The version being replaced is copied to the
+ * quote's revisions subcollection in the same transaction, so history can't miss an edit.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} collectionPath
+ * @param {{ fileName: string, fileExtension: string, parts: object[], analysisData: object, parameters: object, quoteResults: object,
+ *   ownerId: string, ownerName?: string }} quote
+ * @param {string|null} [quoteId]
+ * @returns {Promise<{ id: string, revision: number }>}
+ */
+export const saveQuote = async (db, collectionPath, quote, quoteId = null) => {
+  const data = { ...toFirestoreData(quote), schemaVersion: QUOTE_SCHEMA_VERSION };
+
+  if (!quoteId) {
+    const ref = await addDoc(collection(db, collectionPath), {
+      ...data,
+      revision: 1,
+      status: 'draft',
+      deleted: false,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+    return { id: ref.id, revision: 1 };
+  }
+
+  const quoteRef = doc(db, collectionPath, quoteId);
+  return runTransaction(db, async (transaction) => {
+    const current = await transaction.get(quoteRef);
+    if (!current.exists()) throw new Error('This quote no longer exists; save it as a new quote.');
+    const previous = current.data();
+    if (isLocked(previous)) throw new Error(`This quote is ${statusOf(previous)} and locked; reopen it as a draft to edit it.`);
+    const previousRevision = previous.revision ?? 1;
+    const revision = previousRevision + 1;
+
+    transaction.set(doc(quoteRef, REVISIONS, String(previousRevision)), {
+      ...previous,
+      revision: previousRevision,
+      archivedAt: serverTimestamp(),
+    });
+    // Ownership is fixed when the quote is created, whoever saves later revisions; status only moves through changeQuoteStatus.
+    const { ownerId, ownerName, status, ...changes } = data;
+    transaction.update(quoteRef, {
+      ...changes,
+      revision,
+      // Re-saving a deleted quote brings it back.
+      deleted: false,
+      deletedAt: deleteField(),
+      updatedAt: serverTimestamp(),
+    });
+    return { id: quoteId, revision };
+  });
+};
+
+// Firestore batches take at most 500 writes.
+const IMPORT_BATCH_SIZE = 400;
+
+/**
+ * Adds imported quotes (validated by quoteImport.js) to a library as new drafts owned by the
+ * importer. They keep their original creation date, so they sort into the history where they belong.
+ * @param {object[]} quotes
+ * @param {{ ownerId: string, ownerName?: string }} owner
+ * @returns {Promise<number>} how many quotes were written
+ */
+export const importQuotes = async (db, collectionPath, quotes, owner) => {
+  for (let start = 0; start < quotes.length; start += IMPORT_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    for (const { createdAt, ...quote } of quotes.slice(start, start + IMPORT_BATCH_SIZE)) {
+      batch.set(doc(collection(db, collectionPath)), {
+        ...toFirestoreData({ ...quote, ...owner }),
+        schemaVersion: QUOTE_SCHEMA_VERSION,
+        revision: 1,
+        status: 'draft',
+        deleted: false,
+        createdAt: createdAt ?? serverTimestamp(),
+        updatedAt: serverTimestamp(),
+        importedAt: serverTimestamp(),
+      });
+    }
+    await batch.commit();
+  }
+  return quotes.length;
+};
+
+/**
+ * Earlier versions of a quote, newest first.
+ * @returns {Promise<object[]>}
+ */
+export const listRevisions = async (db, collectionPath, quoteId) => {
+  const snapshot = await getDocs(query(collection(db, collectionPath, quoteId, REVISIONS), orderBy('revision', 'desc')));
+  return snapshot.docs.map(fromSnapshot);
+};
+
+/**
+ * Moves a quote to another status and records who did it, when and why in its audit trail.
+ * Fails if someone else changed the status first.
+ * @param {{ from: string, to: string, comment?: string, userId: string, userName: string }} change
+ */
+export const changeQuoteStatus = (db, collectionPath, quoteId, change) => {
+  const quoteRef = doc(db, collectionPath, quoteId);
+  return runTransaction(db, async (transaction) => {
+    const current = await transaction.get(quoteRef);
+    if (!current.exists()) throw new Error('This quote no longer exists.');
+    if (statusOf(current.data()) !== change.from) {
+      throw new Error(`The quote is now ${statusOf(current.data())}; refresh and try again.`);
+    }
+    transaction.update(quoteRef, {
+      status: change.to,
+      statusChangedAt: serverTimestamp(),
+      statusChangedBy: change.userId,
+    });
+    transaction.set(doc(collection(quoteRef, AUDIT)), {
+      from: change.from,
+      to: change.to,
+      comment: change.comment?.trim() || null,
+      by: change.userId,
+      byName: change.userName,
+      at: serverTimestamp(),
+    });
+  });
+};
+
+/**
+ * Status changes of a quote, newest first.
+ * @returns {Promise<Array<{ id: string, from: string, to: string, comment: string|null, by: string, byName: string, at: Date }>>}
+ */
+export const listAuditTrail = async (db, collectionPath, quoteId) => {
+  const snapshot = await getDocs(query(collection(db, collectionPath, quoteId, AUDIT), orderBy('at', 'desc')));
+  return snapshot.docs.map(entry => {
+    const data = entry.data({ serverTimestamps: 'estimate' });
+    return { ...data, id: entry.id, at: toDate(data.at) };
+  });
+};
+
+// Hidden from history but kept, so the delete can be undone.
+export const softDeleteQuote = (db, collectionPath, quoteId) => (
+  updateDoc(doc(db, collectionPath, quoteId), { deleted: true, deletedAt: serverTimestamp() })
+);
+
+export const restoreQuote = (db, collectionPath, quoteId) => (
+  updateDoc(doc(db, collectionPath, quoteId), { deleted: false, deletedAt: deleteField() })
+);
@@ -0,0 +1,46 @@
+// src/quoteStatus.js
+// Quote lifecycle: draft → pending review → approved → sent → won/lost, and who may move a quote
+// between statuses. firestore.rules enforces the same transitions for team quotes.
+
+import { hasRole } from './workspaceRepository.js';
+
+export const QUOTE_STATUSES = {
+  draft: { label: 'Draft', badge: 'bg-gray-600 text-gray-200' },
+  'pending-review': { label: 'Pending Review', badge: 'bg-yellow-800 text-yellow-200' },
+  approved: { label: 'Approved', badge: 'bg-green-800 text-green-200' },
+  sent: { label: 'Sent', badge: 'bg-indigo-800 text-indigo-200' },
+  won: { label: 'Won', badge: 'bg-emerald-700 text-emerald-100' },
+  lost: { label: 'Lost', badge: 'bg-red-900 text-red-200' },
+};
+
+// From approval on, the priced content is frozen; only the status can move.
+export const LOCKED_STATUSES = ['approved', 'sent', 'won', 'lost'];
+
+/**
+ * `minRole: 'estimator'` moves follow the edit rule (estimators on their own quotes, approvers and
+ * admins on any); `minRole: 'approver'` moves need an approver or admin whoever owns the quote.
+ */
+export const STATUS_TRANSITIONS = [
+  { from: 'draft', to: 'pending-review', label: 'Submit for Review', minRole: 'estimator' },
+  { from: 'pending-review', to: 'draft', label: 'Return to Draft', minRole: 'estimator' },
+  { from: 'pending-review', to: 'approved', label: 'Approve', minRole: 'approver' },
+  { from: 'approved', to: 'draft', label: 'Reopen', minRole: 'approver' },
+  { from: 'approved', to: 'sent', label: 'Mark Sent', minRole: 'estimator' },
+  { from: 'sent', to: 'won', label: 'Mark Won', minRole: 'estimator' },
+  { from: 'sent', to: 'lost', label: 'Mark Lost', minRole: 'estimator' },
+];
+
+export const statusOf = (quote) => (QUOTE_STATUSES[quote?.status] ? quote.status : 'draft');
+
+export const isLocked = (quote) => LOCKED_STATUSES.includes(statusOf(quote));
+
+/**
+ * The moves available to a user on a quote.
+ * @param {{ status?: string, ownerId?: string }} quote
+ * @param {string} role - workspace role; private quotes pass 'admin' since their owner decides everything
+ * @param {string} userId
+ */
+export const availableTransitions = (quote, role, userId) => STATUS_TRANSITIONS.filter(transition => (
+  transition.from === statusOf(quote)
+  && (hasRole(role, 'approver') || (transition.minRole === 'estimator' && hasRole(role, 'estimator') && quote.ownerId === userId))
+));
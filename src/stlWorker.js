@@ -0,0 +1,69 @@
+// src/stlWorker.js
+// Module worker behind the instant pre-analysis (preAnalysis.js): parses a dropped STL off the main
+// thread and measures volume, bounding box and areas with the same code as the server, so a
+// provisional quote shows while the analysis job runs. Wall thickness and DFM need the job.
+
+import { parseStl } from '../shared/stl.js';
+import { weldVertices, checkTopology, computeBoundingBox, computeVolumeAndArea, computeProjectedArea } from '../shared/mesh.js';
+import { applyModelUnits } from '../shared/units.js';
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+const reject = (reason, message) => ({ error: { reason, message } });
+
+/**
+ * @param {File} file
+ * @param {{ pullDirection: string, units: string }} options - '+z', '-y', ...; 'auto' or a key of LENGTH_UNITS
+ * @returns {Promise<{ analysisData: object }|{ error: { reason: 'corrupt'|'non-manifold', message: string } }>}
+ */
+const preAnalyze = async (file, { pullDirection, units }) => {
+  let mesh;
+  try {
+    mesh = parseStl(new Uint8Array(await file.arrayBuffer()));
+  } catch (error) {
+    return reject('corrupt', `${file.name} is not a readable STL: ${error.message}`);
+  }
+
+  const { positions, triangleCount, units: modelUnits } = applyModelUnits(mesh, units);
+  const { indices } = weldVertices(positions);
+  const topology = checkTopology(indices);
+  if (!topology.isWatertight) {
+    // Volume is only defined for a closed, consistently wound surface.
+    return reject('non-manifold', `No instant estimate: the mesh is not a closed solid (${topology.openEdges} open, ${topology.nonManifoldEdges} non-manifold and ${topology.inconsistentEdges} flipped edges). The full analysis still runs.`);
+  }
+
+  const boundingBox = computeBoundingBox(positions);
+  const { volumeMm3, surfaceAreaMm2 } = computeVolumeAndArea(positions);
+  if (!(volumeMm3 > 0)) {
+    return reject('corrupt', `${file.name} encloses no volume; its triangles are degenerate or coincident.`);
+  }
+  const pullAxis = Math.max(0, 'xyz'.indexOf(String(pullDirection).slice(-1).toLowerCase()));
+  const projectedAreaMm2 = computeProjectedArea(positions, boundingBox, pullAxis);
+
+  // Same shape as api/_lib/geometry.js analyzeMesh, less the ray-cast results. The thin-shell
+  // approximation (V ≈ A/2 · t) stands in for the measured wall thickness.
+  return {
+    analysisData: {
+      volume: round(volumeMm3 / 1000, 3),
+      dimensions: {
+        length: round(boundingBox.max[0] - boundingBox.min[0], 2),
+        width: round(boundingBox.max[1] - boundingBox.min[1], 2),
+        height: round(boundingBox.max[2] - boundingBox.min[2], 2),
+      },
+      wallThickness: round((2 * volumeMm3) / surfaceAreaMm2, 2),
+      thickness: null,
+      dfm: null,
+      pullDirection,
+      surfaceArea: round(surfaceAreaMm2 / 100, 2),
+      projectedArea: round(projectedAreaMm2 / 100, 2),
+      triangleCount,
+      topology,
+      units: modelUnits,
+      accuracy: 'estimated',
+    },
+  };
+};
+
+self.onmessage = async ({ data }) => {
+  self.postMessage(await preAnalyze(data.file, data));
+};
@@ -0,0 +1,112 @@
+// src/toolingEstimate.js
+// Itemized injection mold (tooling) cost: cavity/core machining, mold base, side actions,
+// runner system, polishing, design and first trials. All costs in USD, lengths in mm.
+
+const MACHINING_RATE_PER_HOUR = 85; // Blended CNC, EDM and bench rate
+const BASE_MACHINING_HOURS = 40; // Per cavity/core set: roughing, finishing, fitting, cooling lines
+const HOURS_PER_CM2 = 0.06; // Extra machining per cm² of molding surface
+const HOURS_PER_MM_DEPTH = 0.12; // Deeper cavities need longer tools and more EDM
+const REPEAT_CAVITY_FACTOR = 0.7; // Later cavities reuse the CAM programs and electrodes
+const INSERT_STOCK_MM = 30; // Steel around the part in each cavity/core insert
+const MOLD_BASE_FIXED_COST = 1500; // Ejector system, guide pins, locating ring, sprue bushing
+const MOLD_BASE_STEEL_PER_KG = 4.5;
+const BASE_STACK_MM = 180; // Clamp, support and ejector plates, excluding the cavity depth
+const STEEL_DENSITY_KG_MM3 = 7.85e-6;
+const SIDE_ACTION_COST = 3500; // Per undercut per cavity: slide or lifter, guiding and actuation
+const COLD_RUNNER_COST = { base: 600, perCavity: 250 };
+const HOT_RUNNER_COST = { base: 4500, perCavity: 1800 }; // Manifold, controller zones, one drop per cavity
+const DESIGN_SHARE = 0.1; // Mold design and fill simulation, as a share of the build
+const MIN_DESIGN_COST = 1500;
+const TRIAL_COST = 900; // T1 sampling and first article inspection
+
+export const STEEL_CLASSES = {
+  aluminum: { label: 'Aluminum 7075 (prototype)', machiningFactor: 0.55, pricePerKg: 9, densityKgMm3: 2.81e-6, shotLife: 10000 },
+  p20: { label: 'P20 pre-hardened', machiningFactor: 1.0, pricePerKg: 6, densityKgMm3: STEEL_DENSITY_KG_MM3, shotLife: 500000 },
+  h13: { label: 'H13 hardened', machiningFactor: 1.45, pricePerKg: 12, densityKgMm3: STEEL_DENSITY_KG_MM3, shotLife: 1000000 },
+};
+
+export const RUNNER_TYPES = {
+  cold: { label: 'Cold runner' },
+  hot: { label: 'Hot runner' },
+};
+
+// Polishing cost per cm² of molding surface, by SPI finish (A = buffed, B = paper, C = stone, D = blasted).
+export const SPI_FINISHES = {
+  'spi-a1': { label: 'SPI A-1 (diamond buff, optical)', costPerCm2: 0.9 },
+  'spi-a2': { label: 'SPI A-2 (diamond buff, high gloss)', costPerCm2: 0.7 },
+  'spi-a3': { label: 'SPI A-3 (diamond buff, gloss)', costPerCm2: 0.5 },
+  'spi-b1': { label: 'SPI B-1 (600 grit paper)', costPerCm2: 0.3 },
+  'spi-b2': { label: 'SPI B-2 (400 grit paper)', costPerCm2: 0.25 },
+  'spi-b3': { label: 'SPI B-3 (320 grit paper)', costPerCm2: 0.2 },
+  'spi-c1': { label: 'SPI C-1 (600 grit stone)', costPerCm2: 0.12 },
+  'spi-c2': { label: 'SPI C-2 (400 grit stone)', costPerCm2: 0.1 },
+  'spi-c3': { label: 'SPI C-3 (320 grit stone)', costPerCm2: 0.08 },
+  'spi-d1': { label: 'SPI D-1 (dry blast, glass bead)', costPerCm2: 0.1 },
+  'spi-d2': { label: 'SPI D-2 (dry blast #240 oxide)', costPerCm2: 0.08 },
+  'spi-d3': { label: 'SPI D-3 (dry blast #24 oxide)', costPerCm2: 0.06 },
+};
+
+const plural = (count) => `cavit${count > 1 ? 'ies' : 'y'}`;
+
+/**
+ * @param {{ inserts: Array<{ partLength: number, partWidth: number, partDepth: number, surfaceAreaCm2: number,
+ *   undercutCount: number, cavities: number }>, mold: { width: number, height: number }, shots: number,
+ *   steelClass: string, runnerType: string, surfaceFinish: string }} tool
+ *   one insert per distinct part (a family mold has several); part dimensions are across (length, width)
+ *   and along (depth) the pull direction
+ * @returns {{ items: Array<{ key: string, label: string, detail: string, cost: number }>, total: number, steel: object, warnings: string[] }}
+ */
+export const estimateTooling = (tool) => {
+  const steel = STEEL_CLASSES[tool.steelClass] || STEEL_CLASSES.p20;
+  const finish = SPI_FINISHES[tool.surfaceFinish] || SPI_FINISHES['spi-b2'];
+  const runner = tool.runnerType === 'hot' ? HOT_RUNNER_COST : COLD_RUNNER_COST;
+  const sum = (valueOf) => tool.inserts.reduce((total, insert) => total + valueOf(insert), 0);
+  const cavities = sum(insert => insert.cavities);
+  const undercuts = sum(insert => insert.undercutCount);
+  const partDepth = Math.max(...tool.inserts.map(insert => insert.partDepth));
+
+  // 1. Cavity and core inserts: first set of each part at full cost, repeats cheaper.
+  const hoursPerSet = (insert) => (BASE_MACHINING_HOURS + insert.surfaceAreaCm2 * HOURS_PER_CM2 + insert.partDepth * HOURS_PER_MM_DEPTH) * steel.machiningFactor;
+  const machiningHours = sum(insert => hoursPerSet(insert) * (1 + (insert.cavities - 1) * REPEAT_CAVITY_FACTOR));
+  const machiningCost = machiningHours * MACHINING_RATE_PER_HOUR;
+  // Cavity and core halves each hold the part depth plus stock on every side.
+  const insertKg = sum(insert => (
+    (insert.partLength + 2 * INSERT_STOCK_MM) * (insert.partWidth + 2 * INSERT_STOCK_MM) * (insert.partDepth + 2 * INSERT_STOCK_MM) * 2
+      * steel.densityKgMm3 * insert.cavities
+  ));
+  const insertSteelCost = insertKg * steel.pricePerKg;
+
+  // 2. Mold base sized from the cavity layout.
+  const stackHeight = BASE_STACK_MM + 2 * partDepth;
+  const baseWeightKg = tool.mold.width * tool.mold.height * stackHeight * STEEL_DENSITY_KG_MM3;
+  const moldBaseCost = MOLD_BASE_FIXED_COST + baseWeightKg * MOLD_BASE_STEEL_PER_KG;
+
+  // 3. Every undercut needs its own slide or lifter in every cavity.
+  const sideActionCount = sum(insert => insert.undercutCount * insert.cavities);
+  const sideActionCost = sideActionCount * SIDE_ACTION_COST * steel.machiningFactor;
+
+  const runnerCost = runner.base + runner.perCavity * cavities;
+  const polishingCost = sum(insert => insert.surfaceAreaCm2 * insert.cavities) * finish.costPerCm2;
+
+  const build = machiningCost + insertSteelCost + moldBaseCost + sideActionCost + runnerCost + polishingCost;
+  const designCost = Math.max(MIN_DESIGN_COST, build * DESIGN_SHARE);
+  const partCount = tool.inserts.length > 1 ? ` (${tool.inserts.length} parts)` : '';
+
+  const items = [
+    { key: 'machining', label: 'Cavity & Core Machining', detail: `${machiningHours.toFixed(0)} h @ ${MACHINING_RATE_PER_HOUR}/h for ${cavities} ${plural(cavities)}${partCount}`, cost: machiningCost },
+    { key: 'insert-steel', label: 'Insert Steel', detail: `${steel.label}, ${insertKg.toFixed(1)} kg`, cost: insertSteelCost },
+    { key: 'mold-base', label: 'Mold Base', detail: `${tool.mold.width}×${tool.mold.height}×${Math.round(stackHeight)} mm, ${baseWeightKg.toFixed(0)} kg`, cost: moldBaseCost },
+    { key: 'side-actions', label: 'Side Actions', detail: `${sideActionCount} slide(s)/lifter(s) for ${undercuts} undercut(s)`, cost: sideActionCost },
+    { key: 'runner', label: RUNNER_TYPES[tool.runnerType]?.label || RUNNER_TYPES.cold.label, detail: tool.runnerType === 'hot' ? `Manifold + ${cavities} drop(s)` : 'Machined sprue, runners and gates', cost: runnerCost },
+    { key: 'polishing', label: 'Polishing', detail: finish.label, cost: polishingCost },
+    { key: 'design', label: 'Design & Fill Simulation', detail: `${(DESIGN_SHARE * 100).toFixed(0)}% of build, min ${MIN_DESIGN_COST}`, cost: designCost },
+    { key: 'trials', label: 'T1 Trials & Sampling', detail: 'First shots and first article inspection', cost: TRIAL_COST },
+  ].filter(item => item.cost > 0);
+
+  const warnings = [];
+  if (tool.shots > steel.shotLife) {
+    warnings.push(`${steel.label} tooling is rated for about ${steel.shotLife.toLocaleString()} shots; this run needs ${tool.shots.toLocaleString()}. Choose a harder steel or budget for a second tool.`);
+  }
+
+  return { items, total: items.reduce((total, item) => total + item.cost, 0), steel, warnings };
+};
@@ -0,0 +1,141 @@
+// src/workspaceRepository.js
+// Organization workspaces in Firestore: the org, its members and their roles, email invites and
+// each user's active workspace. firestore.rules enforces the same roles on the server.
+
+import {
+  collection, deleteDoc, doc, getDoc, getDocs, onSnapshot, query, serverTimestamp, setDoc, updateDoc, where, writeBatch,
+} from 'firebase/firestore';
+import { appId, getInvitePath, getOrgPath, getUserProfilePath } from './firebase.js';
+
+/**
+ * Least to most privileged. Estimators edit their own team quotes; approvers edit anyone's;
+ * admins also manage members and invites.
+ */
+export const ROLES = {
+  viewer: { label: 'Viewer', rank: 0 },
+  estimator: { label: 'Estimator', rank: 1 },
+  approver: { label: 'Approver', rank: 2 },
+  admin: { label: 'Admin', rank: 3 },
+};
+
+export const hasRole = (role, minimum) => (ROLES[role]?.rank ?? -1) >= ROLES[minimum].rank;
+
+/**
+ * Whether `workspace.role` may change a team quote (update, revise or delete it).
+ * @param {{ role: string } | null} workspace
+ * @param {{ ownerId?: string } | null} quote - null for a new quote
+ */
+export const canEditTeamQuote = (workspace, quote, userId) => (
+  hasRole(workspace?.role, 'approver') || (hasRole(workspace?.role, 'estimator') && (!quote || quote.ownerId === userId))
+);
+
+const memberFields = (user, role, email = user.email) => ({
+  role,
+  email: email || null,
+  displayName: user.displayName || email || 'Guest',
+  joinedAt: serverTimestamp(),
+});
+
+/**
+ * Follows the user's active workspace: the profile's orgId, then the org and the user's membership.
+ * @param {(workspace: { orgId: string, name: string, role: string } | null) => void} onChange
+ * @returns {() => void} unsubscribe
+ */
+export const watchWorkspace = (db, userId, onChange, onError) => {
+  let stopOrg = () => {};
+  const stopProfile = onSnapshot(doc(db, getUserProfilePath(userId)), (profile) => {
+    stopOrg();
+    const orgId = profile.data()?.orgId;
+    if (!orgId) {
+      onChange(null);
+      return;
+    }
+    let role; // undefined until the membership is read, null when there is none
+    let name = '';
+    const emit = () => {
+      // A removed member keeps a stale orgId; treat it as no workspace.
+      if (role !== undefined) onChange(role ? { orgId, name, role } : null);
+    };
+    const stopMember = onSnapshot(doc(db, getOrgPath(orgId), 'members', userId), (member) => {
+      role = member.exists() ? member.data().role : null;
+      emit();
+    }, onError);
+    // Non-members can't read the org, so this listener just stops after a removal.
+    const stopOrgDoc = onSnapshot(doc(db, getOrgPath(orgId)), (org) => {
+      name = org.data()?.name ?? '';
+      emit();
+    }, () => {});
+    stopOrg = () => { stopMember(); stopOrgDoc(); };
+  }, onError);
+  return () => { stopProfile(); stopOrg(); };
+};
+
+/**
+ * Creates an org with the user as its first admin and makes it their active workspace.
+ * @returns {Promise<string>} the new orgId
+ */
+export const createWorkspace = async (db, user, name) => {
+  const orgRef = doc(collection(db, `/artifacts/${appId}/orgs`));
+  const batch = writeBatch(db);
+  batch.set(orgRef, { name: name.trim(), createdBy: user.uid, createdAt: serverTimestamp() });
+  batch.set(doc(orgRef, 'members', user.uid), memberFields(user, 'admin'));
+  batch.set(doc(db, getUserProfilePath(user.uid)), { orgId: orgRef.id }, { merge: true });
+  await batch.commit();
+  return orgRef.id;
+};
+
+/**
+ * The pending invite for a (verified) email, if any.
+ * @returns {Promise<{ email: string, orgId: string, orgName: string, role: string } | null>}
+ */
+export const findInvite = async (db, email) => {
+  const snapshot = await getDoc(doc(db, getInvitePath(email)));
+  return snapshot.exists() ? snapshot.data() : null;
+};
+
+export const acceptInvite = async (db, user, invite) => {
+  const batch = writeBatch(db);
+  batch.set(doc(db, getOrgPath(invite.orgId), 'members', user.uid), memberFields(user, invite.role, invite.email));
+  batch.delete(doc(db, getInvitePath(invite.email)));
+  batch.set(doc(db, getUserProfilePath(user.uid)), { orgId: invite.orgId }, { merge: true });
+  await batch.commit();
+};
+
+export const declineInvite = (db, email) => deleteDoc(doc(db, getInvitePath(email)));
+
+// One pending invite per email; inviting again replaces it.
+export const inviteMember = (db, workspace, user, email, role) => setDoc(doc(db, getInvitePath(email)), {
+  email: email.trim().toLowerCase(),
+  orgId: workspace.orgId,
+  orgName: workspace.name,
+  role,
+  invitedBy: user.uid,
+  invitedAt: serverTimestamp(),
+});
+
+export const listInvites = async (db, orgId) => {
+  const snapshot = await getDocs(query(collection(db, `/artifacts/${appId}/invites`), where('orgId', '==', orgId)));
+  return snapshot.docs.map(invite => invite.data());
+};
+
+/**
+ * @param {(members: Array<{ uid: string, role: string, email: string|null, displayName: string }>) => void} onChange
+ * @returns {() => void} unsubscribe
+ */
+export const watchMembers = (db, orgId, onChange, onError) => onSnapshot(
+  collection(db, getOrgPath(orgId), 'members'),
+  (snapshot) => onChange(snapshot.docs.map(member => ({ uid: member.id, ...member.data() }))),
+  onError,
+);
+
+export const setMemberRole = (db, orgId, memberId, role) => updateDoc(doc(db, getOrgPath(orgId), 'members', memberId), { role });
+
+export const removeMember = (db, orgId, memberId) => deleteDoc(doc(db, getOrgPath(orgId), 'members', memberId));
+
+// Leaving keeps the quotes in the org. Admins can't leave or change their own role, so an org always keeps one.
+export const leaveWorkspace = async (db, userId, orgId) => {
+  const batch = writeBatch(db);
+  batch.delete(doc(db, getOrgPath(orgId), 'members', userId));
+  batch.set(doc(db, getUserProfilePath(userId)), { orgId: null }, { merge: true });
+  await batch.commit();
+};
@@ -0,0 +1,66 @@
+// src/zipArchive.js
+// Minimal zip reader for multi-part uploads: lists the central directory and inflates
+// stored or deflated entries with the browser's DecompressionStream.
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_FILE_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+export const isZipFile = (file) => file.name.toLowerCase().endsWith('.zip');
+
+// The end record sits in the last 22 bytes plus an optional comment of up to 64 KB.
+const findEndOfCentralDirectory = (view) => {
+  for (let offset = view.byteLength - 22; offset >= Math.max(0, view.byteLength - 22 - 0xffff); offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new Error('Not a zip archive (no end of central directory).');
+};
+
+const inflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Extracts the files from a zip archive, skipping folders and macOS metadata.
+ * @param {File} file
+ * @param {(name: string) => boolean} [accept] - keeps only entries whose name passes
+ * @returns {Promise<File[]>}
+ */
+export const extractZip = async (file, accept = () => true) => {
+  const buffer = await file.arrayBuffer();
+  const view = new DataView(buffer);
+  const end = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const files = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_FILE_HEADER) throw new Error('Corrupt zip central directory.');
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const name = path.split('/').pop();
+    if (!name || path.startsWith('__MACOSX/') || name.startsWith('.') || !accept(name)) continue;
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATE) {
+      throw new Error(`${name} uses an unsupported zip compression method (${method}).`);
+    }
+
+    // The local header repeats the name and may carry a different extra field.
+    if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) throw new Error(`Corrupt zip entry: ${name}.`);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, dataStart, compressedSize);
+    files.push(new File([method === METHOD_DEFLATE ? await inflate(data) : data], name));
+  }
+
+  return files;
+};
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateCycle, CYCLE_PHASES } from '../src/cycleTime.js';
+import { DEFAULT_MATERIALS } from '../shared/materials.js';
+
+const part = { thickness: 2, material: DEFAULT_MATERIALS[0], shotVolume: 20, openStroke: 30, sideActions: 0 };
+const allPhasesZero = { fill: 0, pack: 0, cool: 0, eject: 0 };
+
+test('every phase overridden to 0 still leaves a positive cycle', () => {
+  const cycle = estimateCycle(part, allPhasesZero);
+
+  assert.ok(cycle.total > 0);
+  assert.ok(Number.isFinite(3600 / cycle.total));
+});
+
+test('a total override over zero phases is split evenly', () => {
+  const cycle = estimateCycle(part, { ...allPhasesZero, total: 20 });
+
+  assert.equal(cycle.total, 20);
+  for (const { key } of CYCLE_PHASES) assert.equal(cycle[key], 5);
+  assert.deepEqual(cycle.overridden, ['total']);
+});
+
+test('a total override keeps the proportions of the calculated phases', () => {
+  const calculated = estimateCycle(part);
+  const cycle = estimateCycle(part, { total: calculated.total * 2 });
+
+  for (const { key } of CYCLE_PHASES) assert.ok(Math.abs(cycle[key] - calculated[key] * 2) < 1e-9);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signPayload, SIGNATURE_HEADER, DELIVERY_TIMESTAMP_HEADER } from '../API/_lib/webhook-security.js';
+
+const SECRET = 'test-webhook-secret';
+process.env.FORGE_WEBHOOK_SECRET = SECRET;
+const { default: handler } = await import('../API/forge-webhook.js');
+const { createJob, getJob } = await import('../API/_lib/job-store.js');
+
+// An extraction.finished callback as APS delivers it: the hook that fired and the job's payload,
+// with no delivery id or delivery timestamp headers.
+const apsCallback = (jobId, status) => ({
+  version: '1.0',
+  resourceUrn: 'dXJuOmFkc2sub2JqZWN0czpvcy5vYmplY3Q6YnVja2V0L3BhcnQuc3RlcA',
+  hook: {
+    hookId: '0f60f6a0-996c-11e7-abf3-51d68cff984c',
+    tenant: 'cad-quote-engine',
+    callbackUrl: 'https://quotes.example.com/api/forge-webhook',
+    createdBy: 'quote-engine-app',
+    event: 'extraction.finished',
+    createdDate: '2025-01-15T09:30:00.000+0000',
+    system: 'derivative',
+    creatorType: 'Application',
+    status: 'active',
+    scope: { workflow: 'cad-quote-engine' },
+  },
+  payload: {
+    status,
+    URN: 'dXJuOmFkc2sub2JqZWN0czpvcy5vYmplY3Q6YnVja2V0L3BhcnQuc3RlcA',
+    WorkflowId: 'cad-quote-engine',
+    WorkflowAttribute: { jobId },
+  },
+});
+
+const deliver = async (event, headers = {}) => {
+  const body = Buffer.from(JSON.stringify(event));
+  const req = { method: 'POST', body, headers: { [SIGNATURE_HEADER]: signPayload(body, SECRET), ...headers }, socket: {} };
+  const res = {
+    statusCode: null,
+    payload: null,
+    setHeader() {},
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.payload = payload; return this; },
+    end() { return this; },
+  };
+  await handler(req, res);
+  return res;
+};
+
+test('accepts a signed APS callback that carries no delivery timestamp', async () => {
+  await createJob('job-no-timestamp', { status: 'translating' });
+
+  const res = await deliver(apsCallback('job-no-timestamp', 'failed'));
+
+  assert.equal(res.statusCode, 204);
+  assert.equal((await getJob('job-no-timestamp')).status, 'failed');
+});
+
+test('acknowledges a repeated callback without processing it again', async () => {
+  await createJob('job-repeat', { status: 'translating' });
+  const event = apsCallback('job-repeat', 'failed');
+
+  await deliver(event);
+  const res = await deliver(event);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.payload.duplicate, true);
+});
+
+test('still rejects a callback with a stale delivery timestamp', async () => {
+  await createJob('job-stale', { status: 'translating' });
+  const oneHourAgo = String(Date.now() - 60 * 60 * 1000);
+
+  const res = await deliver(apsCallback('job-stale', 'failed'), { [DELIVERY_TIMESTAMP_HEADER]: oneHourAgo });
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.payload.reason, 'stale-timestamp');
+  assert.equal((await getJob('job-stale')).status, 'translating');
+});
+
+test('rejects an unsigned callback', async () => {
+  await createJob('job-unsigned', { status: 'translating' });
+
+  const res = await deliver(apsCallback('job-unsigned', 'failed'), { [SIGNATURE_HEADER]: undefined });
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.payload.reason, 'missing-signature');
+});
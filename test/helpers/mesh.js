@@ -0,0 +1,28 @@
+// test/helpers/mesh.js
+// Triangle-soup fixtures for the geometry tests, in the `{ positions, triangleCount }` shape parseStl returns.
+
+const CORNERS = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0], [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]];
+// Outward-facing winding.
+const FACES = [[0, 2, 1], [0, 3, 2], [4, 5, 6], [4, 6, 7], [0, 1, 5], [0, 5, 4], [1, 2, 6], [1, 6, 5], [2, 3, 7], [2, 7, 6], [3, 0, 4], [3, 4, 7]];
+
+/**
+ * Box triangles from `origin` with side lengths `size`; `inward` flips the winding (a cavity wall).
+ * @returns {number[]} 9 numbers per triangle
+ */
+export const boxTriangles = ([sx, sy, sz], [ox, oy, oz] = [0, 0, 0], { inward = false } = {}) => (
+  FACES.flatMap(face => (inward ? [...face].reverse() : face))
+    .flatMap(corner => [ox + CORNERS[corner][0] * sx, oy + CORNERS[corner][1] * sy, oz + CORNERS[corner][2] * sz])
+);
+
+export const toMesh = (values) => {
+  const positions = Float32Array.from(values);
+  return { positions, triangleCount: positions.length / 9 };
+};
+
+export const solidBox = (size, origin) => toMesh(boxTriangles(size, origin));
+
+// Closed box with walls `wall` thick all round: an outer box and an inward-facing cavity.
+export const hollowBox = (size, wall) => toMesh([
+  ...boxTriangles(size),
+  ...boxTriangles(size.map(side => side - 2 * wall), [wall, wall, wall], { inward: true }),
+]);
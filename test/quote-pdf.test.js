@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderQuotePdf } from '../API/_lib/quote-pdf.js';
+import { DEFAULT_TEMPLATE } from '../API/_lib/quote-template.js';
+import { migrateQuote } from '../shared/quoteSchema.js';
+
+const analysisData = { volume: 12.5, dimensions: { length: 40, width: 30, height: 10 }, wallThickness: 2 };
+
+// Schema 0: one part at the top level and results from before tooling was itemized.
+const legacyQuote = {
+  fileName: 'bracket.stl',
+  analysisData,
+  parameters: { materialId: 'abs', quantity: 5000, cavities: 2 },
+  quoteResults: { materialName: 'ABS', totalPerPart: 1.25, totalQuote: 6250, cycleTime: 24 },
+  createdAt: '2024-03-01T00:00:00.000Z',
+};
+
+const render = (quote) => renderQuotePdf(quote, DEFAULT_TEMPLATE, { quoteNumber: 'Q-2026-00001' });
+
+const assertPdf = (pdf) => {
+  assert.ok(Buffer.isBuffer(pdf));
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+};
+
+test('renders a legacy quote without tooling results', async () => {
+  assertPdf(await render(migrateQuote(legacyQuote)));
+});
+
+test('renders an imported quote with only the results the import requires', async () => {
+  // As src/quoteImport.js accepts it and saveQuote stores it.
+  const imported = {
+    schemaVersion: 2,
+    revision: 1,
+    status: 'draft',
+    deleted: false,
+    fileName: 'bracket.stl',
+    parts: [{ fileName: 'bracket.stl', analysisData }],
+    analysisData,
+    parameters: { materialId: 'abs', quantity: 1000, cavities: 1 },
+    quoteResults: { totalPerPart: 0.8, totalQuote: 800 },
+    consolidatedQuote: null,
+    priceBreaks: [],
+    importedFrom: { id: 'a1', quoteNumber: null, status: 'won', ownerName: null },
+  };
+  assertPdf(await render(migrateQuote(imported)));
+});
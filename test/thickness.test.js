@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeMesh } from '../API/_lib/geometry.js';
+import { hollowBox } from './helpers/mesh.js';
+
+test('a uniform wall gets a single histogram bin', () => {
+  const { thickness } = analyzeMesh(hollowBox([60, 40, 30], 2));
+
+  assert.equal(thickness.min, 2);
+  assert.equal(thickness.max, 2);
+  assert.equal(thickness.histogram.length, 1);
+  assert.deepEqual(thickness.histogram[0], { from: 2, to: 2, percent: 100 });
+});
+
+test('a varying wall is spread over ten labelled bins', () => {
+  // Side walls 2 mm and top/bottom 6 mm: a 40 mm tall box around a 28 mm tall cavity.
+  const mesh = hollowBox([60, 40, 40], 2);
+  for (let i = 2; i < mesh.positions.length; i += 3) {
+    const z = mesh.positions[i];
+    if (z > 1 && z < 39) mesh.positions[i] = z < 20 ? 6 : 34;
+  }
+  const { thickness } = analyzeMesh(mesh);
+
+  assert.equal(thickness.histogram.length, 10);
+  assert.equal(thickness.histogram[0].from, thickness.min);
+  assert.equal(thickness.histogram.at(-1).to, thickness.max);
+  assert.ok(thickness.max - thickness.min > 1);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { guessUnitFromSize, applyModelUnits } from '../shared/units.js';
+import { solidBox } from './helpers/mesh.js';
+
+const boundsOfSide = (side) => ({ min: [0, 0, 0], max: [side, side / 2, side / 4] });
+
+test('tiny parts that are credible in millimetres stay in millimetres', () => {
+  assert.equal(guessUnitFromSize(boundsOfSide(2.5)), 'mm');
+  assert.equal(guessUnitFromSize(boundsOfSide(0.5)), 'mm');
+});
+
+test('absurdly small parts are read in inches, or metres when inches are still too small', () => {
+  assert.equal(guessUnitFromSize(boundsOfSide(0.3)), 'in'); // 7.6 mm
+  assert.equal(guessUnitFromSize(boundsOfSide(0.05)), 'm'); // 50 mm
+  assert.equal(guessUnitFromSize(boundsOfSide(0.001)), 'mm'); // No unit makes it a part
+});
+
+test('huge parts stay in millimetres', () => {
+  assert.equal(guessUnitFromSize(boundsOfSide(1200)), 'mm');
+  assert.equal(guessUnitFromSize(boundsOfSide(3000)), 'mm');
+});
+
+test('a 2.5 mm STL pin is not scaled', () => {
+  const mesh = solidBox([2.5, 1, 1]);
+  const { positions, units } = applyModelUnits(mesh);
+
+  assert.deepEqual(units, { unit: 'mm', detected: 'mm', source: 'size' });
+  assert.equal(positions, mesh.positions);
+});
+
+test('an override scales the mesh even when the size looks like millimetres', () => {
+  const { positions, units } = applyModelUnits(solidBox([2.5, 1, 1]), 'in');
+
+  assert.deepEqual(units, { unit: 'in', detected: 'mm', source: 'size' });
+  assert.ok(Math.abs(Math.max(...positions) - 63.5) < 1e-4);
+});